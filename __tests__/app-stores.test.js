@@ -0,0 +1,139 @@
+import { APP_STORES, getAppStoreInfo, normalizeExtensionId } from '../extension/app-stores.js';
+import { getDomainInfo } from '../extension/domain-info.js';
+
+/**
+ * Identifies the store and app for a URL string.
+ *
+ * @param {string} url - The URL.
+ * @returns {{appStoreName: string, appID: string|null}|null} The result of `getAppStoreInfo`.
+ */
+function storeInfo(url) {
+    return getAppStoreInfo(new URL(url));
+}
+
+const UBLOCK_ID = 'cjpalhdlnbpafiamejdnhcphjbkeiagm';
+
+describe.each([
+    ['Apple App Store', [
+        ['https://apps.apple.com/us/app/google-classroom/id924620788', '924620788'],
+        ['https://apps.apple.com/gb/app/google-classroom/id924620788?platform=ipad', '924620788'],
+        ['https://apps.apple.com/app/ID924620788', '924620788'],
+        ['https://itunes.apple.com/us/app/google-classroom/id924620788?mt=8', '924620788'],
+        ['https://apps.apple.com/us/developer/google-llc/id281956209', null],
+        ['https://apps.apple.com/us/charts/iphone', null]
+    ]],
+    ['Chrome Web Store', [
+        [`https://chromewebstore.google.com/detail/ublock-origin/${UBLOCK_ID}`, UBLOCK_ID],
+        [`https://chromewebstore.google.com/detail/${UBLOCK_ID.toUpperCase()}`, UBLOCK_ID],
+        [`https://chrome.google.com/webstore/detail/ublock-origin/${UBLOCK_ID}?hl=en`, UBLOCK_ID],
+        ['https://chromewebstore.google.com/detail/ublock-origin/not-an-extension-id', null],
+        ['https://chromewebstore.google.com/category/extensions', null]
+    ]],
+    ['Google Play Store', [
+        ['https://play.google.com/store/apps/details?id=com.google.android.apps.classroom&hl=en_US', 'com.google.android.apps.classroom'],
+        ['https://play.google.com/store/apps/details?id=not%20a%20package', null],
+        ['https://play.google.com/store/apps/details', null],
+        ['https://play.google.com/store/movies/details?id=abc.def', null]
+    ]],
+    ['Google Workspace Marketplace', [
+        ['https://workspace.google.com/marketplace/app/kami_for_google_chrome/1062394755437', '1062394755437'],
+        ['https://workspace.google.com/u/0/marketplace/app/kami_for_google_chrome/1062394755437', '1062394755437'],
+        ['https://workspace.google.com/marketplace/category/education', null]
+    ]],
+    ['Microsoft Store', [
+        ['https://apps.microsoft.com/detail/9wzdncrfj3tj', '9WZDNCRFJ3TJ'],
+        ['https://apps.microsoft.com/store/detail/netflix/9WZDNCRFJ3TJ?hl=en-us', '9WZDNCRFJ3TJ'],
+        ['https://apps.microsoft.com/detail/too-short', null],
+        ['https://apps.microsoft.com/home', null]
+    ]],
+    ['Microsoft Edge Add-ons', [
+        ['https://microsoftedge.microsoft.com/addons/detail/ublock-origin/odfafepnkmbhccpbejgmiehpchacaeak', 'odfafepnkmbhccpbejgmiehpchacaeak'],
+        ['https://microsoftedge.microsoft.com/addons/category/productivity', null]
+    ]],
+    ['Firefox Add-ons', [
+        ['https://addons.mozilla.org/en-US/firefox/addon/ublock-origin/', 'ublock-origin'],
+        ['https://addons.mozilla.org/firefox/addon/Dark-Reader', 'dark-reader'],
+        ['https://addons.mozilla.org/en-US/firefox/extensions/', null]
+    ]]
+])('%s', (storeName, cases) => {
+    test.each(cases)('%s -> %p', (url, appID) => {
+        expect(storeInfo(url)).toEqual({ appStoreName: storeName, appID: appID });
+    });
+});
+
+describe('pages that are not app stores', () => {
+    test.each([
+        'https://www.google.com/search?q=apps',
+        'https://chrome.google.com/',
+        'https://support.google.com/chrome_webstore/answer/1',
+        'https://www.amazon.com/',
+        'https://www.amazon.com/s?k=kindle',
+        'https://www.amazon.com/dp/not-an-asin'
+    ])('%s', url => {
+        expect(storeInfo(url)).toBeNull();
+    });
+});
+
+describe('Amazon Appstore', () => {
+    // Amazon app pages use the same /dp/ URLs as every other product
+    const LISTED_APPS = { 'Amazon Appstore': { B00992CF6W: 0 } };
+
+    test.each([
+        ['https://www.amazon.com/dp/B00992CF6W', 'B00992CF6W'],
+        ['https://amazon.com/Minecraft/dp/b00992cf6w/ref=sr_1_1', 'B00992CF6W'],
+        ['https://www.amazon.com/gp/product/B00992CF6W', 'B00992CF6W']
+    ])('a DPA row linking to %s is an app', (url, appID) => {
+        expect(storeInfo(url)).toEqual({ appStoreName: 'Amazon Appstore', appID: appID });
+    });
+
+    test('a page for an app in the DPA list is an app page', () => {
+        expect(getDomainInfo('https://www.amazon.com/Minecraft/dp/B00992CF6W', LISTED_APPS)).toMatchObject({
+            hostname: 'www.amazon.com',
+            isAppStore: true,
+            isInstalled: true,
+            appID: 'B00992CF6W',
+            appStoreName: 'Amazon Appstore'
+        });
+    });
+
+    test.each([
+        ['another product', LISTED_APPS],
+        ['any product, when no Amazon apps are listed', {}]
+    ])('%s is an ordinary page on amazon.com', (label, listedApps) => {
+        expect(getDomainInfo('https://www.amazon.com/Kindle-Paperwhite/dp/B08KTZ8249/ref=sr_1_1', listedApps)).toMatchObject({
+            hostname: 'amazon.com',
+            isAppStore: false,
+            isInstalled: false,
+            appID: null
+        });
+    });
+});
+
+describe('the registry', () => {
+    test('every store has hosts, an ID parser and a normalizer', () => {
+        for (const store of APP_STORES) {
+            expect(store.hosts.length).toBeGreaterThan(0);
+            expect(typeof store.getAppId).toBe('function');
+            expect(typeof store.normalizeId).toBe('function');
+        }
+    });
+
+    test('a store page gets its store name and app ID in the domain info', () => {
+        expect(getDomainInfo(`https://chromewebstore.google.com/detail/x/${UBLOCK_ID}`)).toMatchObject({
+            fullHostname: 'chromewebstore.google.com',
+            hostname: 'chromewebstore.google.com',
+            isAppStore: true,
+            isInstalled: true,
+            appID: UBLOCK_ID,
+            appStoreName: 'Chrome Web Store'
+        });
+    });
+
+    test.each([
+        [` ${UBLOCK_ID.toUpperCase()} `, UBLOCK_ID],
+        ['cjpalhdlnbpafiamejdnhcphjbkeiagz', null],
+        ['cjpalhdlnbpafiamejdnhcphjbkeiag', null]
+    ])('normalizeExtensionId(%p) -> %p', (id, expected) => {
+        expect(normalizeExtensionId(id)).toBe(expected);
+    });
+});
@@ -0,0 +1,355 @@
+// End-to-end scenarios for the service worker: the real modules, a jest-chrome `chrome`, and the
+// fake Supabase from fake-supabase.mjs on a local port. Replaces the old manual checklist.
+
+import { createFakeSupabase } from '../fake-supabase.mjs';
+import { useFakeSupabase } from './support/api-config.js';
+import { STATUS_RULES } from './support/status-rules.js';
+import { DATA_HEALTH_BADGES, handleTabUpdate } from '../extension/background.js';
+import { getAndUpdateDpaList, getDataHealth, resetDpaLookup } from '../extension/dpa-cache.js';
+import { fetchSupabaseRows } from '../extension/data-sources.js';
+import { getSession } from '../extension/session.js';
+import { recordEnforcementBypass } from '../extension/enforcement.js';
+
+let fake;
+
+/**
+ * Stands in for `chrome.identity.launchWebAuthFlow`: an interactive sign-in follows the fake's
+ * authorize redirect, like the sign-in window would; a silent one fails, as it does for a
+ * teacher who hasn't signed in.
+ *
+ * @param {{url: string, interactive: boolean}} details - The auth flow details.
+ * @returns {Promise<string>} The redirect URL with the tokens.
+ */
+async function launchWebAuthFlow({ url, interactive }) {
+    if (!interactive) throw new Error('User interaction required.');
+    const response = await fetch(url, { redirect: 'manual' });
+    return response.headers.get('Location');
+}
+
+/**
+ * Sends a message to the service worker's `onMessage` listener, like the popup does.
+ *
+ * @param {object} request - The message.
+ * @param {object} [sender={}] - The sender.
+ * @returns {Promise<*>} The response.
+ */
+function sendMessage(request, sender = {}) {
+    return new Promise(resolve => chrome.runtime.onMessage.callListeners(request, sender, resolve));
+}
+
+/**
+ * Simulates a tab finishing loading a page.
+ *
+ * @param {string} url - The page URL.
+ * @param {number} [tabId=1] - The tab ID.
+ * @returns {Promise<void>}
+ */
+function visit(url, tabId = 1) {
+    return handleTabUpdate(tabId, { status: 'complete' }, { id: tabId, url: url });
+}
+
+/**
+ * The icon the tab was last given.
+ *
+ * @returns {object} The `path` passed to `chrome.action.setIcon`.
+ */
+function lastIcon() {
+    return chrome.action.setIcon.mock.calls[chrome.action.setIcon.mock.calls.length - 1][0].path;
+}
+
+/**
+ * The badge text the tab was last given.
+ *
+ * @returns {string} The badge text.
+ */
+function lastBadge() {
+    return chrome.action.setBadgeText.mock.calls[chrome.action.setBadgeText.mock.calls.length - 1][0].text;
+}
+
+/**
+ * Backdates the cached list, as if it was fetched some minutes ago.
+ *
+ * @param {number} minutes - How long ago.
+ * @returns {Promise<void>}
+ */
+async function ageCache(minutes) {
+    await chrome.storage.local.set({ lastFetch: new Date().getTime() - minutes * 60 * 1000 });
+    resetDpaLookup();
+}
+
+beforeEach(async () => {
+    fake = createFakeSupabase();
+    useFakeSupabase(await fake.listen());
+    resetDpaLookup();
+    chrome.identity.launchWebAuthFlow.mockImplementation(launchWebAuthFlow);
+    await chrome.storage.sync.set({ dataSource: 'supabase', allowedDomains: [] });
+});
+
+afterEach(async () => {
+    await fake.close();
+});
+
+describe('tab updates and icon choice', () => {
+    beforeEach(async () => {
+        await sendMessage({ action: 'signIn' });
+        chrome.action.setIcon.mockClear();
+    });
+
+    test.each([
+        ['https://kahoot.com/', 'approved'],
+        ['https://www.canva.com/design', 'staff_only'],
+        ['https://games.example.com/play', 'denied'],
+        ['https://quizlet.com/latest', 'pending'],
+        ['https://unknown-tool.example.net/', 'unlisted']
+    ])('%s gets the %s icon', async (url, status) => {
+        await visit(url);
+        expect(lastIcon()).toEqual(STATUS_RULES.icons[status]);
+        expect(lastBadge()).toBe('');
+    });
+
+    test('an app store page for a listed app gets its status and the installed-app badge', async () => {
+        await visit('https://apps.apple.com/us/app/google-classroom/id924620788');
+        expect(lastIcon()).toEqual(STATUS_RULES.icons.approved);
+        expect(lastBadge()).toBe('⇲');
+    });
+
+    test('updates before the page finishes loading, and non-web pages, are ignored', async () => {
+        await handleTabUpdate(1, { status: 'loading' }, { id: 1, url: 'https://kahoot.com/' });
+        await handleTabUpdate(1, { status: 'complete' }, { id: 1, url: 'chrome://settings/' });
+        expect(chrome.action.setIcon).not.toHaveBeenCalled();
+    });
+
+    test('visits to unlisted and pending sites are tallied on the device', async () => {
+        await visit('https://unknown-tool.example.net/');
+        await visit('https://kahoot.com/');
+        const { usageTally } = await chrome.storage.local.get('usageTally');
+        expect(Object.keys(usageTally)).toEqual(['example.net']);
+    });
+});
+
+describe('signed out', () => {
+    test('a tab gets the neutral icon and the not-signed-in badge, without opening a sign-in window', async () => {
+        await visit('https://kahoot.com/');
+        expect(lastIcon()).toEqual(STATUS_RULES.icons.default);
+        expect(lastBadge()).toBe(DATA_HEALTH_BADGES.not_signed_in.text);
+        expect(chrome.identity.launchWebAuthFlow).toHaveBeenCalledWith(expect.objectContaining({ interactive: false }));
+        expect(fake.state.requests.some(request => request.startsWith('GET /rest/'))).toBe(false);
+    });
+});
+
+describe('cache expiry', () => {
+    beforeEach(async () => {
+        await sendMessage({ action: 'signIn' });
+        fake.state.requests.length = 0;
+    });
+
+    test('a fresh cache is used without a request', async () => {
+        await ageCache(10);
+        await visit('https://kahoot.com/');
+        expect(fake.state.requests).toEqual([]);
+        expect(lastIcon()).toEqual(STATUS_RULES.icons.approved);
+    });
+
+    test('an expired cache asks only for changed rows and merges them', async () => {
+        fake.upsertRows({ id: 2, current_tl_status: 'Approved', current_dpa_status: 'Recieved' });
+        await ageCache(61);
+
+        await visit('https://quizlet.com/');
+        expect(fake.state.requests).toEqual([expect.stringMatching(/^GET \/rest\/v1\/dpa_list\?updated_at=gte\./)]);
+        expect(lastIcon()).toEqual(STATUS_RULES.icons.approved);
+        const { dpaList } = await chrome.storage.local.get('dpaList');
+        expect(dpaList).toHaveLength(6);
+    });
+
+    test('a deleted row drops out of the cached list', async () => {
+        fake.deleteRow(1);
+        await ageCache(61);
+
+        await visit('https://kahoot.com/');
+        expect(lastIcon()).toEqual(STATUS_RULES.icons.unlisted);
+    });
+
+    test('a stale list is still used when the refresh fails, with the out-of-date badge', async () => {
+        await ageCache(4 * 24 * 60);
+        await fake.close();
+
+        await visit('https://kahoot.com/');
+        expect(lastIcon()).toEqual(STATUS_RULES.icons.approved);
+        expect(lastBadge()).toBe(DATA_HEALTH_BADGES.stale.text);
+        expect((await getDataHealth()).lastError.reason).toBe('network');
+    });
+});
+
+describe('enforcement', () => {
+    /**
+     * Simulates a tab starting to navigate to a page.
+     *
+     * @param {string} url - The page URL.
+     * @param {number} [tabId=1] - The tab ID.
+     * @returns {Promise<void>}
+     */
+    function navigate(url, tabId = 1) {
+        return handleTabUpdate(tabId, { status: 'loading', url: url }, { id: tabId, url: url, status: 'loading' });
+    }
+
+    beforeEach(async () => {
+        await chrome.storage.sync.set({ enforceDenied: 'block', enforceStaffOnly: 'warn' });
+        await sendMessage({ action: 'signIn' });
+        fake.state.requests.length = 0;
+    });
+
+    test('a denied page is replaced as the navigation starts, from the cache, before any fetch', async () => {
+        await ageCache(61);
+
+        await navigate('https://games.example.com/play');
+        const interstitialUrl = new URL(chrome.tabs.update.mock.calls[0][1].url);
+        expect(interstitialUrl.searchParams.get('url')).toBe('https://games.example.com/play');
+        expect(interstitialUrl.searchParams.get('level')).toBe('block');
+        expect(fake.state.requests).toEqual([]);
+        expect(chrome.action.setIcon).not.toHaveBeenCalled();
+    });
+
+    test('a page that passed the check at navigation is not checked again when it loads', async () => {
+        await recordEnforcementBypass(1, 'www.canva.com', 'staff_only');
+
+        await navigate('https://www.canva.com/design');
+        await visit('https://www.canva.com/design');
+        expect(chrome.tabs.update).not.toHaveBeenCalled();
+        expect(lastIcon()).toEqual(STATUS_RULES.icons.staff_only);
+    });
+
+    test('without a cached list, the page is checked once it has loaded', async () => {
+        await chrome.storage.local.remove(['dpaList', 'dpaIndex', 'lastFetch']);
+        resetDpaLookup();
+
+        await navigate('https://games.example.com/play');
+        expect(chrome.tabs.update).not.toHaveBeenCalled();
+
+        await visit('https://games.example.com/play');
+        expect(chrome.tabs.update).toHaveBeenCalledWith(1, { url: expect.stringContaining('interstitial.html') });
+    });
+
+    test('an approved page is never redirected', async () => {
+        await navigate('https://kahoot.com/');
+        await visit('https://kahoot.com/');
+        expect(chrome.tabs.update).not.toHaveBeenCalled();
+    });
+
+    describe('going back from the interstitial', () => {
+        const interstitialTab = { tab: { id: 1 } };
+
+        test('going back onto the blocked page steps back again, without blocking it', async () => {
+            await sendMessage({ action: 'leaveBlockedPage', url: 'https://games.example.com/play' }, interstitialTab);
+
+            await navigate('https://games.example.com/play');
+            expect(chrome.tabs.goBack).toHaveBeenCalledWith(1);
+            expect(chrome.tabs.update).not.toHaveBeenCalled();
+        });
+
+        test('going back onto an earlier page stays there', async () => {
+            await sendMessage({ action: 'leaveBlockedPage', url: 'https://games.example.com/play' }, interstitialTab);
+
+            await navigate('https://kahoot.com/');
+            expect(chrome.tabs.goBack).not.toHaveBeenCalled();
+
+            // Only the first navigation after leaving is checked
+            await navigate('https://games.example.com/play');
+            expect(chrome.tabs.goBack).not.toHaveBeenCalled();
+            expect(chrome.tabs.update).toHaveBeenCalledWith(1, { url: expect.stringContaining('interstitial.html') });
+        });
+
+        test('the tab is closed when there is nothing before the blocked page', async () => {
+            chrome.tabs.goBack.mockRejectedValue(new Error('Cannot find a next page in history.'));
+            await sendMessage({ action: 'leaveBlockedPage', url: 'https://games.example.com/play' }, interstitialTab);
+
+            await navigate('https://games.example.com/play');
+            expect(chrome.tabs.remove).toHaveBeenCalledWith(1);
+        });
+    });
+});
+
+describe('401 re-auth', () => {
+    beforeEach(async () => {
+        await sendMessage({ action: 'signIn' });
+        fake.state.requests.length = 0;
+    });
+
+    test('an expired access token is renewed with the refresh token and the request retried', async () => {
+        const before = await getSession();
+        fake.expireTokens();
+
+        const result = await fetchSupabaseRows({}, {});
+        expect(result.status).toBe('full');
+        expect(result.rows).toHaveLength(6);
+        expect(fake.state.requests).toEqual([
+            'GET /rest/v1/dpa_list',
+            'POST /auth/v1/token?grant_type=refresh_token',
+            'GET /rest/v1/dpa_list'
+        ]);
+        const after = await getSession();
+        expect(after.access_token).not.toBe(before.access_token);
+        expect(after.refresh_token).not.toBe(before.refresh_token);
+    });
+
+    test('a rejected refresh token signs the teacher out and flags the icon', async () => {
+        fake.expireTokens();
+        fake.state.refreshTokens.clear();
+
+        await getAndUpdateDpaList(true);
+        expect(await getSession()).toBeNull();
+        expect((await getDataHealth()).state).toBe('not_signed_in');
+
+        await visit('https://kahoot.com/');
+        expect(lastBadge()).toBe(DATA_HEALTH_BADGES.not_signed_in.text);
+        // The cached list still drives the icon
+        expect(lastIcon()).toEqual(STATUS_RULES.icons.approved);
+    });
+});
+
+describe('popup messaging', () => {
+    test('site info is unavailable until the list has been downloaded', async () => {
+        const response = await sendMessage({ action: 'getSiteInfoForUrl', url: 'https://kahoot.com/' });
+        expect(response.error).toBe('DPA data is not yet available.');
+        expect(response.dataHealth.state).toBe('no_data');
+    });
+
+    test('signing in downloads the list, and the popup gets the status for its tab', async () => {
+        expect(await sendMessage({ action: 'signIn' })).toEqual({ signedIn: true, email: 'teacher@example.org' });
+
+        const response = await sendMessage({ action: 'getSiteInfoForUrl', url: 'https://www.khanacademy.org/math/algebra' });
+        expect(response.overallStatus).toBe('approved');
+        expect(response.siteInfo.software_name).toBe('Khan Academy (Math)');
+        expect(response.dataHealth.state).toBe('ok');
+    });
+
+    test('an invalid URL is reported', async () => {
+        expect(await sendMessage({ action: 'getSiteInfoForUrl', url: 'not a url' })).toEqual({ error: 'Invalid URL provided.' });
+    });
+
+    test('sign-in is limited to the allowed Workspace domain', async () => {
+        await chrome.storage.sync.set({ allowedDomains: ['masonohioschools.com'] });
+
+        expect(await sendMessage({ action: 'signIn' })).toEqual({ signedIn: true, email: 'teacher@masonohioschools.com' });
+        const authUrl = new URL(chrome.identity.launchWebAuthFlow.mock.calls[0][0].url);
+        expect(authUrl.searchParams.get('hd')).toBe('masonohioschools.com');
+        expect(await sendMessage({ action: 'getSession' })).toEqual({ signedIn: true, email: 'teacher@masonohioschools.com', error: null });
+    });
+
+    test('signing out revokes the session', async () => {
+        await sendMessage({ action: 'signIn' });
+
+        expect(await sendMessage({ action: 'signOut' })).toEqual({ signedIn: false, email: null });
+        expect(fake.state.refreshTokens.size).toBe(0);
+        expect(await sendMessage({ action: 'getSession' })).toEqual({ signedIn: false, email: null, error: null });
+    });
+
+    test('the audit page gets a status for each link', async () => {
+        await sendMessage({ action: 'signIn' });
+
+        const response = await sendMessage({
+            action: 'auditUrls',
+            urls: [{ line: 1, url: 'https://kahoot.com/join' }, { line: 2, url: 'https://nope.example.net/' }]
+        });
+        expect(response.results.map(result => result.overallStatus)).toEqual(['approved', 'unlisted']);
+    });
+});
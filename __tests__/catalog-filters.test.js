@@ -0,0 +1,121 @@
+import {
+    UNCATEGORIZED, buildCatalogEntries, filterCatalog, getCatalogFacetValues, groupCatalog, sortCatalog
+} from '../extension/catalog-filters.js';
+import { determineOverallStatus } from '../extension/overall-status.js';
+
+const DPA_LIST = [
+    { software_name: 'Kahoot!', resource_link: 'https://kahoot.com', category: 'Assessment', current_tl_status: 'Approved', current_dpa_status: 'Received' },
+    { software_name: 'Example Games', resource_link: 'https://games.example.com', category: 'Games', current_tl_status: 'Rejected', current_dpa_status: '' },
+    { software_name: 'Quizlet', resource_link: 'https://quizlet.com', category: 'Assessment', current_tl_status: 'Pending', current_dpa_status: 'Requested' },
+    { software_name: 'Canva', resource_link: 'https://www.canva.com', category: '', current_tl_status: 'Approved', current_dpa_status: 'Received' },
+    { software_name: ' adobe Express ', resource_link: ' https://express.adobe.com ', current_tl_status: 'Approved', current_dpa_status: 'Received' }
+];
+const ENTRIES = buildCatalogEntries(DPA_LIST, determineOverallStatus);
+
+/**
+ * The names of catalog entries, in order.
+ *
+ * @param {object[]} entries - The entries.
+ * @returns {string[]} Their names.
+ */
+function names(entries) {
+    return entries.map(entry => entry.name);
+}
+
+describe('buildCatalogEntries', () => {
+    test('trims the fields, puts rows without a category under Uncategorized, and keeps the row', () => {
+        expect(ENTRIES[4]).toEqual({
+            row: DPA_LIST[4],
+            name: 'adobe Express',
+            link: 'https://express.adobe.com',
+            category: UNCATEGORIZED,
+            overallStatus: 'approved',
+            tlStatus: 'Approved',
+            dpaStatus: 'Received',
+            searchText: 'adobe express https://express.adobe.com uncategorized'
+        });
+        expect(ENTRIES[3].category).toBe(UNCATEGORIZED);
+        expect(ENTRIES.map(entry => entry.overallStatus)).toEqual(['approved', 'denied', 'pending', 'approved', 'approved']);
+    });
+});
+
+describe('filterCatalog', () => {
+    test.each([
+        ['', ['Kahoot!', 'Example Games', 'Quizlet', 'Canva', 'adobe Express']],
+        ['KAHOOT', ['Kahoot!']],
+        // Every word must appear, in any of the fields and in any order
+        ['assessment quiz', ['Quizlet']],
+        ['quiz assessment', ['Quizlet']],
+        ['  adobe   express  ', ['adobe Express']],
+        ['example.com', ['Example Games']],
+        ['uncategorized', ['Canva', 'adobe Express']],
+        ['kahoot quizlet', []]
+    ])('query %p', (query, expected) => {
+        expect(names(filterCatalog(ENTRIES, { query }))).toEqual(expected);
+    });
+
+    test.each([
+        [{ overallStatus: 'approved' }, ['Kahoot!', 'Canva', 'adobe Express']],
+        [{ tlStatus: 'Pending' }, ['Quizlet']],
+        [{ dpaStatus: 'Received' }, ['Kahoot!', 'Canva', 'adobe Express']],
+        [{ dpaStatus: 'Received', query: 'assessment' }, ['Kahoot!']],
+        [{ overallStatus: 'approved', tlStatus: 'Rejected' }, []],
+        [{ overallStatus: '', tlStatus: '', dpaStatus: '' }, ['Kahoot!', 'Example Games', 'Quizlet', 'Canva', 'adobe Express']]
+    ])('status filters %p', (filters, expected) => {
+        expect(names(filterCatalog(ENTRIES, filters))).toEqual(expected);
+    });
+});
+
+describe('sortCatalog', () => {
+    test('sorts by name, ignoring case, without changing the input', () => {
+        const before = [...ENTRIES];
+        expect(names(sortCatalog(ENTRIES, 'name'))).toEqual(['adobe Express', 'Canva', 'Example Games', 'Kahoot!', 'Quizlet']);
+        expect(ENTRIES).toEqual(before);
+    });
+
+    test('sorts by status, usable resources first, then by name', () => {
+        expect(names(sortCatalog(ENTRIES, 'status'))).toEqual(['adobe Express', 'Canva', 'Kahoot!', 'Quizlet', 'Example Games']);
+    });
+
+    test('puts statuses it does not know after the rest', () => {
+        const entries = [
+            { name: 'Mystery', overallStatus: 'something_new' },
+            { name: 'Blocked', overallStatus: 'denied' },
+            { name: 'Unknown Tool', overallStatus: 'unlisted' }
+        ];
+        expect(names(sortCatalog(entries, 'status'))).toEqual(['Blocked', 'Unknown Tool', 'Mystery']);
+    });
+});
+
+describe('groupCatalog', () => {
+    test('groups by category in name order, with Uncategorized last', () => {
+        const groups = groupCatalog(sortCatalog(ENTRIES, 'name'));
+        expect(groups.map(group => [group.category, names(group.entries)])).toEqual([
+            ['Assessment', ['Kahoot!', 'Quizlet']],
+            ['Games', ['Example Games']],
+            [UNCATEGORIZED, ['adobe Express', 'Canva']]
+        ]);
+    });
+
+    test('keeps Uncategorized last even when a category sorts after it', () => {
+        const groups = groupCatalog(buildCatalogEntries([
+            { software_name: 'Loose', resource_link: 'https://loose.example.com' },
+            { software_name: 'Video', resource_link: 'https://video.example.com', category: 'Video' }
+        ], determineOverallStatus));
+        expect(groups.map(group => group.category)).toEqual(['Video', UNCATEGORIZED]);
+    });
+
+    test('no entries, no groups', () => {
+        expect(groupCatalog([])).toEqual([]);
+    });
+});
+
+describe('getCatalogFacetValues', () => {
+    test.each([
+        ['tlStatus', ['Approved', 'Pending', 'Rejected']],
+        ['dpaStatus', ['Received', 'Requested']],
+        ['overallStatus', ['approved', 'denied', 'pending']]
+    ])('%s', (key, expected) => {
+        expect(getCatalogFacetValues(ENTRIES, key)).toEqual(expected);
+    });
+});
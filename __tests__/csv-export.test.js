@@ -0,0 +1,61 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { buildCsv, downloadCsv, toCsvField } from '../extension/csv-export.js';
+
+describe('toCsvField', () => {
+    test.each([
+        ['plain', 'plain'],
+        [42, '42'],
+        ['', ''],
+        ['a,b', '"a,b"'],
+        ['say "hi"', '"say ""hi"""'],
+        ['two\nlines', '"two\nlines"'],
+        ['windows\r\nline', '"windows\r\nline"']
+    ])('%p -> %p', (value, expected) => {
+        expect(toCsvField(value)).toBe(expected);
+    });
+});
+
+describe('buildCsv', () => {
+    test('writes the header, then each row, ending with a line break', () => {
+        expect(buildCsv(['site', 'visits'], [['kahoot.com', 3], ['a,b.example.com', 1]]))
+            .toBe('site,visits\nkahoot.com,3\n"a,b.example.com",1\n');
+    });
+
+    test('with no rows, it is just the header', () => {
+        expect(buildCsv(['site', 'visits'], [])).toBe('site,visits\n');
+    });
+});
+
+describe('downloadCsv', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        // jsdom has no blob URLs
+        URL.createObjectURL = jest.fn(() => 'blob:chrome-extension://sb29guardtestextensionid/1');
+        URL.revokeObjectURL = jest.fn();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('clicks a download link for the CSV, then frees the blob', () => {
+        const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+            expect(this.download).toBe('link-audit-2026-10-19.csv');
+            expect(this.href).toBe('blob:chrome-extension://sb29guardtestextensionid/1');
+        });
+
+        downloadCsv('line,url\n', 'link-audit-2026-10-19.csv');
+        expect(click).toHaveBeenCalledTimes(1);
+        const blob = URL.createObjectURL.mock.calls[0][0];
+        expect(blob.type).toBe('text/csv');
+        // jsdom's Blob can't be read back, so check its size
+        expect(blob.size).toBe('line,url\n'.length);
+
+        expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+        jest.advanceTimersByTime(1000);
+        expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:chrome-extension://sb29guardtestextensionid/1');
+    });
+});
@@ -0,0 +1,190 @@
+import fs from 'fs';
+import path from 'path';
+import {
+    DataSourceError, csvRecordsToRows, fetchJsonRows, fetchSheetCsvRows, fetchSupabaseRows, getDataSource, parseCsv
+} from '../extension/data-sources.js';
+
+const SHEET_URL = 'https://docs.google.com/spreadsheets/d/e/sheet/pub?output=csv';
+const JSON_URL = 'https://district.github.io/dpa/list.json';
+
+/**
+ * Reads a file from __tests__/fixtures.
+ *
+ * @param {string} name - The file name.
+ * @returns {string} The contents.
+ */
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+/**
+ * Replaces `fetch` with one that answers every request with the given responses, in turn.
+ *
+ * @param {...(Response|Error)} responses - The responses; an Error is thrown like a network failure.
+ * @returns {jest.SpyInstance} The mocked fetch.
+ */
+function mockFetch(...responses) {
+    const spy = jest.spyOn(global, 'fetch');
+    for (const response of responses) {
+        if (response instanceof Error) {
+            spy.mockRejectedValueOnce(response);
+        } else {
+            spy.mockResolvedValueOnce(response);
+        }
+    }
+    return spy;
+}
+
+describe('parseCsv', () => {
+    test('handles quoted fields, doubled quotes, line breaks in quotes, CRLF, a BOM and blank lines', () => {
+        const records = parseCsv(fixture('dpa-list.csv'));
+        expect(records[0][0]).toBe(' Software Name ');
+        expect(records[2][0]).toBe('Quizlet, Inc.');
+        expect(records[3][0]).toBe('The "Math" Lab');
+        expect(records[3][4]).toBe('Math\r\nand Science');
+        expect(records).toHaveLength(6);
+    });
+
+    test('keeps a last line without a line break', () => {
+        expect(parseCsv('a,b\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+});
+
+describe('csvRecordsToRows', () => {
+    test('maps rows by normalized header and pads short rows', () => {
+        const rows = csvRecordsToRows(parseCsv(fixture('dpa-list.csv')));
+        expect(rows[0]).toEqual({
+            software_name: 'Kahoot!',
+            resource_link: 'https://kahoot.com',
+            current_tl_status: 'Approved',
+            current_dpa_status: 'Received',
+            category: 'Assessment',
+            is_deleted: ''
+        });
+        expect(rows[4]).toMatchObject({ software_name: 'Short Row', current_dpa_status: '' });
+    });
+
+    test('rejects a sheet missing a required column', () => {
+        expect(() => csvRecordsToRows(parseCsv(fixture('dpa-list-missing-header.csv'))))
+            .toThrow('The sheet is missing required column(s): current_dpa_status.');
+    });
+
+    test('rejects an empty sheet', () => {
+        expect(() => csvRecordsToRows([])).toThrow('The sheet is empty');
+    });
+});
+
+describe('fetchSheetCsvRows', () => {
+    const settings = { dataSourceUrl: SHEET_URL };
+
+    test('downloads the sheet, drops deleted rows and keeps the validators', async () => {
+        const fetch = mockFetch(new Response(fixture('dpa-list.csv'), { headers: { ETag: '"v1"', 'Last-Modified': 'Mon, 01 Sep 2025 00:00:00 GMT' } }));
+
+        const result = await fetchSheetCsvRows(settings, {});
+        expect(fetch).toHaveBeenCalledWith(SHEET_URL, expect.objectContaining({ method: 'GET', cache: 'no-store' }));
+        expect(result.status).toBe('full');
+        expect(result.rows.map(row => row.software_name)).toEqual(['Kahoot!', 'Quizlet, Inc.', 'The "Math" Lab', 'Short Row']);
+        expect(result.syncState).toMatchObject({ etag: '"v1"', lastModified: 'Mon, 01 Sep 2025 00:00:00 GMT' });
+    });
+
+    test('sends the validators and reports an unchanged sheet', async () => {
+        const fetch = mockFetch(new Response(null, { status: 304 }));
+        const syncState = { etag: '"v1"', lastModified: 'Mon, 01 Sep 2025 00:00:00 GMT' };
+
+        const result = await fetchSheetCsvRows(settings, syncState);
+        const headers = fetch.mock.calls[0][1].headers;
+        expect(headers.get('If-None-Match')).toBe('"v1"');
+        expect(headers.get('If-Modified-Since')).toBe('Mon, 01 Sep 2025 00:00:00 GMT');
+        expect(result).toEqual({ status: 'not_modified', rows: [], syncState });
+    });
+
+    test('rejects a sheet missing a required column as invalid data', async () => {
+        mockFetch(new Response(fixture('dpa-list-missing-header.csv')));
+        await expect(fetchSheetCsvRows(settings, {})).rejects.toMatchObject({ name: 'DataSourceError', reason: 'invalid_data' });
+    });
+
+    test('reports an HTTP error with its status', async () => {
+        mockFetch(new Response('Not found', { status: 404, statusText: 'Not Found' }));
+        await expect(fetchSheetCsvRows(settings, {})).rejects.toMatchObject({ reason: 'http', httpStatus: 404, message: 'Sheet Error: 404 Not Found' });
+    });
+
+    test('reports a network failure', async () => {
+        mockFetch(new TypeError('fetch failed'));
+        await expect(fetchSheetCsvRows(settings, {})).rejects.toMatchObject({ reason: 'network' });
+    });
+});
+
+describe('fetchJsonRows', () => {
+    const settings = { dataSourceUrl: JSON_URL };
+
+    test('downloads the rows and drops deleted ones', async () => {
+        mockFetch(new Response(fixture('dpa-list.json'), { headers: { ETag: '"j1"' } }));
+
+        const result = await fetchJsonRows(settings, {});
+        expect(result.status).toBe('full');
+        expect(result.rows.map(row => row.id)).toEqual([1, 2]);
+        expect(result.syncState.etag).toBe('"j1"');
+    });
+
+    test('reports an unchanged file', async () => {
+        mockFetch(new Response(null, { status: 304 }));
+        expect((await fetchJsonRows(settings, { etag: '"j1"' })).status).toBe('not_modified');
+    });
+
+    test('rejects a file that is not JSON', async () => {
+        mockFetch(new Response('<html>Sign in</html>'));
+        await expect(fetchJsonRows(settings, {})).rejects.toMatchObject({ reason: 'invalid_data' });
+    });
+
+    test('rejects JSON that is not an array of rows', async () => {
+        mockFetch(new Response('{"rows": []}'));
+        await expect(fetchJsonRows(settings, {})).rejects.toThrow('The JSON data source must contain an array of rows.');
+    });
+});
+
+describe('fetchSupabaseRows', () => {
+    beforeEach(async () => {
+        await chrome.storage.sync.set({ allowedDomains: [] });
+    });
+
+    test('needs a sign-in', async () => {
+        chrome.identity.launchWebAuthFlow.mockRejectedValue(new Error('User interaction required.'));
+        const fetch = mockFetch();
+
+        await expect(fetchSupabaseRows({}, {})).rejects.toMatchObject({ reason: 'not_signed_in' });
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('sends the anon key and access token, and starts the delta cursor', async () => {
+        const expiresAt = Math.floor(Date.now() / 1000) + 3600;
+        await chrome.storage.local.set({ supabase_session: { access_token: 'token-1', refresh_token: 'refresh-1', expires_at: expiresAt, email: 'teacher@example.org' } });
+        const rows = [
+            { id: 1, software_name: 'Kahoot!', updated_at: '2025-09-01T00:00:00Z' },
+            { id: 2, software_name: 'Quizlet', updated_at: '2025-09-02T00:00:00Z' }
+        ];
+        const fetch = mockFetch(new Response(JSON.stringify(rows), { headers: { ETag: '"s1"' } }));
+
+        const result = await fetchSupabaseRows({}, {});
+        const headers = fetch.mock.calls[0][1].headers;
+        expect(headers.get('apikey')).toBe('fake-anon-key');
+        expect(headers.get('Authorization')).toBe('Bearer token-1');
+        expect(result).toMatchObject({ status: 'full', rows, syncState: { etag: '"s1"', cursor: '2025-09-02T00:00:00Z' } });
+    });
+});
+
+describe('getDataSource', () => {
+    test('picks the adapter for the setting', () => {
+        expect(getDataSource('sheet-csv').fetchRows).toBe(fetchSheetCsvRows);
+        expect(getDataSource('json').fetchRows).toBe(fetchJsonRows);
+    });
+
+    test('falls back to Supabase for an unknown type', () => {
+        expect(getDataSource('ftp').fetchRows).toBe(fetchSupabaseRows);
+    });
+
+    test('errors carry their reason', () => {
+        const error = new DataSourceError('Nope', 'http', 500);
+        expect(error).toBeInstanceOf(Error);
+        expect(error).toMatchObject({ name: 'DataSourceError', reason: 'http', httpStatus: 500 });
+    });
+});
@@ -0,0 +1,199 @@
+import {
+    DPA_CACHE_VERSION, buildDpaDiagnostics, normalizeColumnName, normalizeResourceLink, normalizeStatusValue,
+    validateDpaList, validateDpaRow
+} from '../extension/dpa-schema.js';
+import { STATUS_RULES } from './support/status-rules.js';
+import { loadDpaLookup, migrateDpaCache, resetDpaLookup } from '../extension/dpa-cache.js';
+
+describe('normalizeColumnName', () => {
+    test.each([
+        ['software_name', 'software_name'],
+        [' Software Name ', 'software_name'],
+        ['Name', 'software_name'],
+        ['URL', 'resource_link'],
+        ['Resource URL', 'resource_link'],
+        ['T&L Status', 'current_tl_status'],
+        ['Current T L Status', 'current_tl_status'],
+        ['DPA  Status', 'current_dpa_status'],
+        ['Category', 'category'],
+        ['Notes for staff', 'notes_for_staff']
+    ])('%p -> %p', (name, expected) => {
+        expect(normalizeColumnName(name)).toBe(expected);
+    });
+});
+
+describe('normalizeStatusValue', () => {
+    const tl = value => normalizeStatusValue('current_tl_status', value, STATUS_RULES.tlStatuses);
+    const dpa = value => normalizeStatusValue('current_dpa_status', value, STATUS_RULES.dpaStatuses);
+
+    test.each([
+        ['Approved', 'Approved'],
+        ['  approved ', 'Approved'],
+        ['NOT   REQUIRED', 'Not Required'],
+        ['Aproved', 'Approved'],
+        ['not-required', 'Not Required'],
+        ['In Review', 'Pending'],
+        ['', ''],
+        ['   ', ''],
+        [null, ''],
+        [undefined, ''],
+        ['(blank)', null],
+        ['Maybe', null],
+        // Words from the DPA column are not translated into T&L statuses
+        ['Denied', null]
+    ])('T&L %p -> %p', (value, expected) => {
+        expect(tl(value)).toBe(expected);
+    });
+
+    test.each([
+        ['Recieved', 'Received'],
+        [' RECIEVED ', 'Received'],
+        ['Received', 'Received'],
+        ['Signed', 'Received'],
+        ['requsted', 'Requested'],
+        ['Deny', 'Denied'],
+        ['Unknown', null],
+        // Words from the T&L column are not translated into DPA statuses
+        ['Rejected', null]
+    ])('DPA %p -> %p', (value, expected) => {
+        expect(dpa(value)).toBe(expected);
+    });
+});
+
+describe('normalizeResourceLink', () => {
+    test.each([
+        ['https://kahoot.com', 'https://kahoot.com'],
+        ['  https://kahoot.com/join  ', 'https://kahoot.com/join'],
+        ['kahoot.com', 'https://kahoot.com'],
+        ['create.kahoot.com/details/1', 'https://create.kahoot.com/details/1'],
+        ['http://example.org', 'http://example.org'],
+        ['mailto:it@example.org', 'mailto:it@example.org'],
+        ['not a link', 'not a link'],
+        ['', ''],
+        [null, ''],
+        [undefined, '']
+    ])('%p -> %p', (value, expected) => {
+        expect(normalizeResourceLink(value)).toBe(expected);
+    });
+});
+
+describe('validateDpaRow', () => {
+    test('normalizes the columns, link and statuses, listing what was corrected', () => {
+        const { row, reasons, corrections } = validateDpaRow({
+            'Software Name': ' Kahoot! ', URL: 'kahoot.com', 'T&L Status': 'approved', 'DPA Status': 'Recieved', id: 1
+        });
+        expect(reasons).toEqual([]);
+        expect(row).toEqual({
+            software_name: 'Kahoot!', resource_link: 'https://kahoot.com', current_tl_status: 'Approved', current_dpa_status: 'Received', id: 1
+        });
+        expect(corrections).toEqual([
+            { field: 'resource_link', from: 'kahoot.com', to: 'https://kahoot.com' },
+            { field: 'current_tl_status', from: 'approved', to: 'Approved' },
+            { field: 'current_dpa_status', from: 'Recieved', to: 'Received' }
+        ]);
+    });
+
+    test('a standard column wins over an alias of it', () => {
+        const { row } = validateDpaRow({ url: 'https://old.example.com', resource_link: 'https://kahoot.com', software_name: 'Kahoot!' });
+        expect(row.resource_link).toBe('https://kahoot.com');
+    });
+
+    test('a blank link and blank statuses are allowed', () => {
+        expect(validateDpaRow({ software_name: 'Paper Worksheets' }).reasons).toEqual([]);
+    });
+});
+
+describe('validateDpaList', () => {
+    test('quarantines rows that cannot be used, with the reasons, and passes tombstones through', () => {
+        const rows = [
+            { id: 1, software_name: 'Kahoot!', resource_link: 'https://kahoot.com', current_tl_status: 'Approved', current_dpa_status: 'Received' },
+            { id: 2, software_name: '', resource_link: 'https://quizlet.com', current_tl_status: 'Pending', current_dpa_status: '' },
+            { id: 3, software_name: 'Broken Link', resource_link: 'http://', current_tl_status: 'Approved', current_dpa_status: '' },
+            { id: 4, software_name: 'Student Sites', resource_link: 'https://github.io/', current_tl_status: 'Approved', current_dpa_status: 'Received' },
+            { id: 5, software_name: 'Typo', resource_link: 'https://typo.example.com', current_tl_status: 'Denied', current_dpa_status: 'Rejected' },
+            { id: 6, deleted_at: '2025-09-01T00:00:00Z' },
+            { id: 7, software_name: 'App Store Home', resource_link: 'https://apps.apple.com/us/charts/iphone', current_tl_status: '', current_dpa_status: '' }
+        ];
+
+        const validation = validateDpaList(rows);
+        expect(validation.rows.map(row => row.id)).toEqual([1, 6]);
+        expect(validation.rows[1]).toBe(rows[5]);
+        expect(validation.quarantined.map(({ index, reasons }) => [index, reasons])).toEqual([
+            [1, ['Missing software_name.']],
+            [2, ['resource_link "http://" is not a usable web address or app store page.']],
+            [3, ['resource_link "https://github.io/" is a shared domain (a public suffix) that would cover every site below it.']],
+            [4, [
+                'current_tl_status "Denied" is not one of: Pending, Approved, Rejected, Not Required, or blank.',
+                'current_dpa_status "Rejected" is not one of: Requested, Received, Denied, Not Required, or blank.'
+            ]],
+            [6, ['resource_link "https://apps.apple.com/us/charts/iphone" is not a usable web address or app store page.']]
+        ]);
+        expect(validation.quarantined[0].row).toBe(rows[1]);
+    });
+
+    test('records the corrections with the row they were made in', () => {
+        const { corrections } = validateDpaList([{ software_name: 'Quizlet', resource_link: 'quizlet.com', current_dpa_status: 'requsted' }]);
+        expect(corrections).toEqual([
+            { index: 0, name: 'Quizlet', field: 'resource_link', from: 'quizlet.com', to: 'https://quizlet.com' },
+            { index: 0, name: 'Quizlet', field: 'current_dpa_status', from: 'requsted', to: 'Requested' }
+        ]);
+    });
+});
+
+describe('buildDpaDiagnostics', () => {
+    test('a delta keeps earlier quarantined rows, unless it brought a new version of them', () => {
+        const previous = {
+            quarantined: [
+                { index: 0, row: { id: 1, software_name: 'Fixed Later' }, reasons: ['Missing resource_link.'] },
+                { index: 1, row: { id: 2, software_name: 'Still Bad' }, reasons: ['Missing resource_link.'] }
+            ]
+        };
+        const validation = validateDpaList([{ id: 1, software_name: 'Fixed Later', resource_link: 'https://fixed.example.com' }]);
+
+        const diagnostics = buildDpaDiagnostics(validation, 10, previous);
+        expect(diagnostics.quarantined.map(entry => entry.row.id)).toEqual([2]);
+        expect(diagnostics).toMatchObject({ totalRows: 10, cacheVersion: DPA_CACHE_VERSION, correctionCount: 0 });
+    });
+});
+
+describe('migrateDpaCache', () => {
+    // A version 1 cache: no format version, and rows as they were fetched
+    const V1_LIST = [
+        { id: 1, software_name: 'Kahoot!', resource_link: 'kahoot.com', current_tl_status: 'approved', current_dpa_status: 'Recieved' },
+        { id: 2, software_name: 'Student Sites', resource_link: 'https://github.io/', current_tl_status: 'Approved', current_dpa_status: 'Received' }
+    ];
+
+    beforeEach(() => {
+        resetDpaLookup();
+    });
+
+    test('re-validates the rows and rebuilds the index, keeping the fetch time', async () => {
+        const lookup = await migrateDpaCache({ dpaList: V1_LIST, lastFetch: 1760000000000 });
+        expect(lookup.lastFetch).toBe(1760000000000);
+        expect(lookup.dpaList).toEqual([
+            { id: 1, software_name: 'Kahoot!', resource_link: 'https://kahoot.com', current_tl_status: 'Approved', current_dpa_status: 'Received' }
+        ]);
+        expect(Object.keys(lookup.dpaIndex.hosts)).toEqual(['kahoot.com']);
+
+        const stored = await chrome.storage.local.get(['dpaList', 'dpaCacheVersion', 'dpaDiagnostics']);
+        expect(stored.dpaList).toEqual(lookup.dpaList);
+        expect(stored.dpaCacheVersion).toBe(DPA_CACHE_VERSION);
+        expect(stored.dpaDiagnostics.quarantined.map(entry => entry.row.id)).toEqual([2]);
+    });
+
+    test('loading a version 1 cache migrates it', async () => {
+        await chrome.storage.local.set({ dpaList: V1_LIST, dpaIndex: { hosts: {}, apps: {} }, lastFetch: 1760000000000 });
+
+        const lookup = await loadDpaLookup();
+        expect(lookup.dpaList).toHaveLength(1);
+        expect((await chrome.storage.local.get('dpaCacheVersion')).dpaCacheVersion).toBe(DPA_CACHE_VERSION);
+    });
+
+    test('a current cache is used as stored', async () => {
+        await chrome.storage.local.set({ dpaList: V1_LIST, dpaIndex: { hosts: {}, apps: {} }, lastFetch: 1, dpaCacheVersion: DPA_CACHE_VERSION });
+
+        const lookup = await loadDpaLookup();
+        expect(lookup.dpaList).toEqual(V1_LIST);
+        expect(lookup.dpaIndex).toEqual({ hosts: {}, apps: {} });
+    });
+});
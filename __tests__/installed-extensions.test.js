@@ -0,0 +1,120 @@
+import {
+    INSTALL_NOTIFICATION_PREFIX, checkInstalledExtension, getInstalledExtensionReport, handleExtensionInstalled,
+    handleInstallNotificationClick
+} from '../extension/installed-extensions.js';
+import { buildDpaIndex } from '../extension/site-matching.js';
+import { DPA_CACHE_VERSION } from '../extension/dpa-schema.js';
+import { resetDpaLookup } from '../extension/dpa-cache.js';
+
+const UBLOCK_ID = 'ddkjiahejlhfcafbddmgiahcphecmpfh';
+const GAMES_ID = 'aaaabbbbccccddddeeeeffffgggghhhh';
+const PENDING_ID = 'iiiijjjjkkkkllllmmmmnnnnoooopppp';
+const UNLISTED_ID = 'ppppoooonnnnmmmmllllkkkkjjjjiiii';
+
+const DPA_LIST = [
+    { software_name: 'uBlock Origin Lite', resource_link: `https://chromewebstore.google.com/detail/ublock-origin-lite/${UBLOCK_ID}`, current_tl_status: 'Approved', current_dpa_status: 'Not Required' },
+    // A row that links to the old Web Store still matches
+    { software_name: 'Games Toolbar', resource_link: `https://chrome.google.com/webstore/detail/games-toolbar/${GAMES_ID}`, current_tl_status: 'Rejected', current_dpa_status: '' },
+    { software_name: 'Reading Helper', resource_link: `https://chromewebstore.google.com/detail/${PENDING_ID}`, current_tl_status: 'Pending', current_dpa_status: 'Requested' }
+];
+const LOOKUP = { dpaList: DPA_LIST, dpaIndex: buildDpaIndex(DPA_LIST) };
+
+/**
+ * Describes an installed extension the way `chrome.management` does.
+ *
+ * @param {string} id - The extension ID.
+ * @param {object} [fields] - Fields to override.
+ * @returns {object} The extension info.
+ */
+function extensionInfo(id, fields = {}) {
+    return { id, name: `Extension ${id.slice(0, 4)}`, enabled: true, installType: 'normal', type: 'extension', ...fields };
+}
+
+describe('checkInstalledExtension', () => {
+    test.each([
+        [UBLOCK_ID, 'approved', 'uBlock Origin Lite'],
+        [GAMES_ID, 'denied', 'Games Toolbar'],
+        [PENDING_ID, 'pending', 'Reading Helper'],
+        [UNLISTED_ID, 'unlisted', null]
+    ])('%s -> %p', (id, overallStatus, softwareName) => {
+        const checked = checkInstalledExtension(LOOKUP, extensionInfo(id));
+        expect(checked).toMatchObject({ id, name: `Extension ${id.slice(0, 4)}`, enabled: true, installType: 'normal', overallStatus });
+        expect(checked.siteInfo ? checked.siteInfo.software_name : null).toBe(softwareName);
+    });
+});
+
+describe('with a cached list', () => {
+    beforeEach(async () => {
+        resetDpaLookup();
+        await chrome.storage.local.set({ ...LOOKUP, lastFetch: Date.now(), dpaCacheVersion: DPA_CACHE_VERSION });
+    });
+
+    describe('getInstalledExtensionReport', () => {
+        test('checks extensions, but not apps, themes or this extension', async () => {
+            chrome.management.getAll.mockResolvedValue([
+                extensionInfo(UBLOCK_ID),
+                extensionInfo(GAMES_ID, { enabled: false }),
+                extensionInfo(PENDING_ID, { type: 'theme' }),
+                extensionInfo(UNLISTED_ID, { type: 'hosted_app' }),
+                extensionInfo(chrome.runtime.id)
+            ]);
+
+            const { extensions } = await getInstalledExtensionReport();
+            expect(extensions.map(({ id, enabled, overallStatus }) => [id, enabled, overallStatus])).toEqual([
+                [UBLOCK_ID, true, 'approved'],
+                [GAMES_ID, false, 'denied']
+            ]);
+        });
+    });
+
+    describe('handleExtensionInstalled', () => {
+        test.each([
+            [GAMES_ID, 'Extension aaaa is denied', 'This extension is not approved by your district. Consider removing it.'],
+            [UNLISTED_ID, 'Extension pppp is unlisted', 'This extension has not been reviewed by your district yet.']
+        ])('notifies when %s is installed', async (id, title, message) => {
+            await handleExtensionInstalled(extensionInfo(id));
+            expect(chrome.notifications.create).toHaveBeenCalledWith(`${INSTALL_NOTIFICATION_PREFIX}${id}`, expect.objectContaining({
+                type: 'basic', title, message, iconUrl: expect.any(String)
+            }));
+        });
+
+        test.each([
+            ['an approved extension', extensionInfo(UBLOCK_ID)],
+            ['a pending extension', extensionInfo(PENDING_ID)],
+            ['an unlisted theme', extensionInfo(UNLISTED_ID, { type: 'theme' })],
+            ['this extension', extensionInfo(chrome.runtime.id)]
+        ])('does not notify for %s', async (label, extension) => {
+            await handleExtensionInstalled(extension);
+            expect(chrome.notifications.create).not.toHaveBeenCalled();
+        });
+    });
+});
+
+describe('without a cached list', () => {
+    beforeEach(() => {
+        resetDpaLookup();
+    });
+
+    test('the report says so', async () => {
+        expect(await getInstalledExtensionReport()).toEqual({ error: 'DPA data is not yet available.' });
+    });
+
+    test('an install raises no notification', async () => {
+        await handleExtensionInstalled(extensionInfo(UNLISTED_ID));
+        expect(chrome.notifications.create).not.toHaveBeenCalled();
+    });
+});
+
+describe('handleInstallNotificationClick', () => {
+    test('opens the report and clears the notification', () => {
+        handleInstallNotificationClick(`${INSTALL_NOTIFICATION_PREFIX}${GAMES_ID}`);
+        expect(chrome.tabs.create).toHaveBeenCalledWith({ url: 'chrome-extension://sb29guardtestextensionid/extensions.html' });
+        expect(chrome.notifications.clear).toHaveBeenCalledWith(`${INSTALL_NOTIFICATION_PREFIX}${GAMES_ID}`);
+    });
+
+    test('ignores other notifications', () => {
+        handleInstallNotificationClick('something-else');
+        expect(chrome.tabs.create).not.toHaveBeenCalled();
+        expect(chrome.notifications.clear).not.toHaveBeenCalled();
+    });
+});
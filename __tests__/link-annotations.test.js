@@ -0,0 +1,103 @@
+import {
+    LINK_ANNOTATOR_ORIGINS, LINK_ANNOTATOR_SCRIPT_ID, MAX_ANNOTATED_LINKS, getLinkStatuses, syncLinkAnnotator
+} from '../extension/link-annotations.js';
+import { STATUS_RULES } from './support/status-rules.js';
+import { buildDpaIndex } from '../extension/site-matching.js';
+import { DPA_CACHE_VERSION } from '../extension/dpa-schema.js';
+import { resetDpaLookup } from '../extension/dpa-cache.js';
+
+const DPA_LIST = [
+    { software_name: 'Kahoot!', resource_link: 'https://kahoot.com', current_tl_status: 'Approved', current_dpa_status: 'Received' },
+    { software_name: 'Example Games', resource_link: 'https://games.example.com', current_tl_status: 'Rejected', current_dpa_status: '' }
+];
+
+/**
+ * The icon the annotator shows for a status: the largest size of the toolbar icon.
+ *
+ * @param {string} overallStatus - The status.
+ * @returns {string} The icon path.
+ */
+function iconFor(overallStatus) {
+    return Object.values(STATUS_RULES.icons[overallStatus]).pop();
+}
+
+describe('getLinkStatuses', () => {
+    beforeEach(async () => {
+        resetDpaLookup();
+        await chrome.storage.local.set({
+            dpaList: DPA_LIST, dpaIndex: buildDpaIndex(DPA_LIST), lastFetch: Date.now(), dpaCacheVersion: DPA_CACHE_VERSION
+        });
+    });
+
+    test('gives each link its status, label, explanation and icon', async () => {
+        const { statuses } = await getLinkStatuses(['https://create.kahoot.com/details/1', 'https://games.example.com/play', 'https://unknown-tool.example.net/']);
+
+        expect(statuses.map(({ url, overallStatus, label, softwareName, iconPath }) => [url, overallStatus, label, softwareName, iconPath])).toEqual([
+            ['https://create.kahoot.com/details/1', 'approved', 'Approved', 'Kahoot!', iconFor('approved')],
+            ['https://games.example.com/play', 'denied', 'Denied', 'Example Games', iconFor('denied')],
+            ['https://unknown-tool.example.net/', 'unlisted', 'Unlisted', null, iconFor('unlisted')]
+        ]);
+        statuses.forEach(status => expect(status.explanation).not.toBe(''));
+    });
+
+    test('skips links that are not web pages', async () => {
+        const { statuses } = await getLinkStatuses(['not a url', 'https://kahoot.com/']);
+        expect(statuses.map(status => status.url)).toEqual(['https://kahoot.com/']);
+    });
+
+    test(`checks at most ${MAX_ANNOTATED_LINKS} links per message`, async () => {
+        const urls = Array.from({ length: MAX_ANNOTATED_LINKS + 10 }, (value, index) => `https://site${index}.example.com/`);
+        const { statuses } = await getLinkStatuses(urls);
+        expect(statuses).toHaveLength(MAX_ANNOTATED_LINKS);
+        expect(statuses[MAX_ANNOTATED_LINKS - 1].url).toBe(urls[MAX_ANNOTATED_LINKS - 1]);
+    });
+
+    test('without a cached list, says so', async () => {
+        resetDpaLookup();
+        await chrome.storage.local.clear();
+        expect(await getLinkStatuses(['https://kahoot.com/'])).toEqual({ error: 'DPA data is not yet available.' });
+    });
+});
+
+describe('syncLinkAnnotator', () => {
+    /**
+     * Sets up the setting, the granted access and whether the script is registered.
+     *
+     * @param {{annotateLinks: boolean, hasAccess: boolean, registered: boolean}} state - The state.
+     * @returns {Promise<void>}
+     */
+    async function given({ annotateLinks, hasAccess, registered }) {
+        await chrome.storage.sync.set({ annotateLinks });
+        chrome.permissions.contains.mockResolvedValue(hasAccess);
+        chrome.scripting.getRegisteredContentScripts.mockResolvedValue(registered ? [{ id: LINK_ANNOTATOR_SCRIPT_ID }] : []);
+    }
+
+    test('registers the annotator when it is turned on and access is granted', async () => {
+        await given({ annotateLinks: true, hasAccess: true, registered: false });
+        await syncLinkAnnotator();
+        expect(chrome.permissions.contains).toHaveBeenCalledWith({ origins: LINK_ANNOTATOR_ORIGINS });
+        expect(chrome.scripting.registerContentScripts).toHaveBeenCalledWith([
+            expect.objectContaining({ id: LINK_ANNOTATOR_SCRIPT_ID, matches: LINK_ANNOTATOR_ORIGINS, js: ['link-annotator.js'] })
+        ]);
+    });
+
+    test.each([
+        ['turned off', { annotateLinks: false, hasAccess: true }],
+        ['access was taken away', { annotateLinks: true, hasAccess: false }]
+    ])('unregisters the annotator when it is %s', async (label, state) => {
+        await given({ ...state, registered: true });
+        await syncLinkAnnotator();
+        expect(chrome.scripting.unregisterContentScripts).toHaveBeenCalledWith({ ids: [LINK_ANNOTATOR_SCRIPT_ID] });
+        expect(chrome.scripting.registerContentScripts).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        [{ annotateLinks: true, hasAccess: true, registered: true }],
+        [{ annotateLinks: false, hasAccess: false, registered: false }]
+    ])('leaves a matching registration alone: %p', async state => {
+        await given(state);
+        await syncLinkAnnotator();
+        expect(chrome.scripting.registerContentScripts).not.toHaveBeenCalled();
+        expect(chrome.scripting.unregisterContentScripts).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// link-annotator.js is a content script, not a module, so it is run as a script element, the
+// same way Chrome injects it into a Classroom or Docs page.
+
+import fs from 'fs';
+import path from 'path';
+
+const ANNOTATOR_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'extension', 'link-annotator.js'), 'utf8');
+
+/**
+ * Runs the annotator on the current document.
+ */
+function runAnnotator() {
+    const script = document.createElement('script');
+    script.textContent = ANNOTATOR_SOURCE;
+    document.head.appendChild(script);
+}
+
+/**
+ * Fills the page with links to different sites.
+ *
+ * @param {number} count - How many links.
+ */
+function addLinks(count) {
+    document.body.innerHTML = Array.from({ length: count }, (value, index) =>
+        `<a href="https://site${index}.example.com/">Site ${index}</a>`).join(' ');
+}
+
+beforeEach(() => {
+    // Answer each message with an unlisted status for every link in it
+    chrome.runtime.sendMessage.mockImplementation((message, callback) => callback({
+        statuses: message.urls.map(url => ({ url, overallStatus: 'unlisted', label: 'Unlisted', explanation: '', softwareName: null, iconPath: 'icons/unlisted.png' }))
+    }));
+});
+
+test('sends the links a batch at a time, so every link gets a marker', () => {
+    addLinks(450);
+    runAnnotator();
+
+    const batches = chrome.runtime.sendMessage.mock.calls.map(([message]) => message.urls.length);
+    expect(batches).toEqual([200, 200, 50]);
+    expect(document.querySelectorAll('img.sb29-status-marker')).toHaveLength(450);
+});
+
+test('skips links to Google itself and checks each site once', () => {
+    document.body.innerHTML = [
+        '<a href="https://kahoot.com/">Kahoot</a>',
+        '<a href="https://www.google.com/url?q=https://kahoot.com/">Kahoot again</a>',
+        '<a href="https://docs.google.com/document/d/1">A doc</a>',
+        '<a href="mailto:teacher@masonohioschools.com">Email</a>'
+    ].join(' ');
+    runAnnotator();
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledTimes(1);
+    expect(chrome.runtime.sendMessage.mock.calls[0][0]).toEqual({ action: 'getLinkStatuses', urls: ['https://kahoot.com/'] });
+    expect(document.querySelectorAll('img.sb29-status-marker')).toHaveLength(2);
+});
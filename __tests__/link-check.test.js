@@ -0,0 +1,60 @@
+import { createLinkCheckMenus, handleLinkCheckMenuClick } from '../extension/link-check.js';
+
+const EXTENSION_URL = 'chrome-extension://sb29guardtestextensionid/';
+
+describe('createLinkCheckMenus', () => {
+    test('replaces the menus with one for links and one for selected text', () => {
+        chrome.contextMenus.removeAll.mockImplementation(callback => callback());
+
+        createLinkCheckMenus();
+        expect(chrome.contextMenus.create.mock.calls.map(([menu]) => [menu.id, menu.contexts])).toEqual([
+            ['checkLinkStatus', ['link']],
+            ['checkSelectionStatus', ['selection']]
+        ]);
+    });
+});
+
+describe('handleLinkCheckMenuClick', () => {
+    /**
+     * The page a status window was opened on.
+     *
+     * @returns {string} The window's URL, relative to the extension.
+     */
+    function statusWindowPage() {
+        expect(chrome.windows.create).toHaveBeenCalledTimes(1);
+        const { url, type } = chrome.windows.create.mock.calls[0][0];
+        expect(type).toBe('popup');
+        return url.replace(EXTENSION_URL, '');
+    }
+
+    test('a link opens its status in a small window', async () => {
+        await handleLinkCheckMenuClick({ menuItemId: 'checkLinkStatus', linkUrl: 'https://kahoot.com/join?pin=1&x=2' });
+        expect(statusWindowPage()).toBe('link-status.html?url=https%3A%2F%2Fkahoot.com%2Fjoin%3Fpin%3D1%26x%3D2');
+        expect(chrome.tabs.create).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        ['https://kahoot.com/join', 'https%3A%2F%2Fkahoot.com%2Fjoin'],
+        ['  kahoot.com  ', 'https%3A%2F%2Fkahoot.com'],
+        ['create.kahoot.com/details/1', 'https%3A%2F%2Fcreate.kahoot.com%2Fdetails%2F1']
+    ])('selected text that looks like a URL opens its status: %p', async (selectionText, encodedUrl) => {
+        await handleLinkCheckMenuClick({ menuItemId: 'checkSelectionStatus', selectionText });
+        expect(statusWindowPage()).toBe(`link-status.html?url=${encodedUrl}`);
+    });
+
+    test('other selected text is searched for in the catalog, in a tab', async () => {
+        await handleLinkCheckMenuClick({ menuItemId: 'checkSelectionStatus', selectionText: ' Google Classroom & Meet ' });
+        expect(chrome.tabs.create).toHaveBeenCalledWith({ url: `${EXTENSION_URL}catalog.html?q=Google%20Classroom%20%26%20Meet` });
+        expect(chrome.windows.create).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        ['a link menu without a link', { menuItemId: 'checkLinkStatus' }],
+        ['a selection menu without text', { menuItemId: 'checkSelectionStatus', selectionText: '' }],
+        ['another menu', { menuItemId: 'somethingElse', linkUrl: 'https://kahoot.com' }]
+    ])('%s opens nothing', async (label, info) => {
+        await handleLinkCheckMenuClick(info);
+        expect(chrome.windows.create).not.toHaveBeenCalled();
+        expect(chrome.tabs.create).not.toHaveBeenCalled();
+    });
+});
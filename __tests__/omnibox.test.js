@@ -0,0 +1,149 @@
+import {
+    MAX_OMNIBOX_SUGGESTIONS, escapeOmniboxText, findOmniboxMatches, getOmniboxSuggestions, handleOmniboxInput,
+    looksLikeUrl, scoreOmniboxMatch
+} from '../extension/omnibox.js';
+import { buildDpaIndex } from '../extension/site-matching.js';
+import { DPA_CACHE_VERSION } from '../extension/dpa-schema.js';
+import { resetDpaLookup } from '../extension/dpa-cache.js';
+
+const DPA_LIST = [
+    { id: 1, software_name: 'Kahoot!', resource_link: 'https://kahoot.com', current_tl_status: 'Approved', current_dpa_status: 'Received' },
+    { id: 2, software_name: 'Google Classroom', resource_link: 'https://classroom.google.com', current_tl_status: 'Approved', current_dpa_status: 'Received' },
+    { id: 3, software_name: 'Example Games', resource_link: 'https://games.example.com', current_tl_status: 'Rejected', current_dpa_status: '' },
+    { id: 4, software_name: 'Tom & Jerry\'s <Lab>', resource_link: 'https://lab.example.org', current_tl_status: 'Pending', current_dpa_status: '' },
+    { id: 5, software_name: 'Paper Worksheets', resource_link: '', current_tl_status: 'Approved', current_dpa_status: 'Not Required' }
+];
+
+describe('escapeOmniboxText', () => {
+    test('escapes the characters XML gives a meaning to', () => {
+        expect(escapeOmniboxText('Tom & Jerry\'s <Lab> "beta"')).toBe('Tom &amp; Jerry&apos;s &lt;Lab&gt; &quot;beta&quot;');
+    });
+});
+
+describe('scoreOmniboxMatch', () => {
+    test.each([
+        ['kahoot!', 'Kahoot!', 100],
+        ['kah', 'Kahoot!', 80],
+        ['class', 'Google Classroom', 60],
+        ['assro', 'Google Classroom', 40],
+        ['gclass', 'Google Classroom', 14],
+        ['gm', 'Google Classroom', 6],
+        ['xyz', 'Google Classroom', 0],
+        ['', 'Kahoot!', 0],
+        ['kah', '', 0],
+        ['kah', null, 0]
+    ])('%p in %p -> %p', (query, candidate, expected) => {
+        expect(scoreOmniboxMatch(query, candidate)).toBe(expected);
+    });
+
+    test('letters far apart still score at least 1', () => {
+        expect(scoreOmniboxMatch('ak', 'a' + 'x'.repeat(50) + 'k')).toBe(1);
+    });
+});
+
+describe('looksLikeUrl', () => {
+    test.each([
+        ['kahoot.com', true],
+        ['create.kahoot.com/details/1', true],
+        ['https://kahoot.com', true],
+        ['HTTP://Kahoot', true],
+        ['kahoot', false],
+        ['google classroom', false],
+        ['v1.2', false]
+    ])('%p -> %p', (text, expected) => {
+        expect(looksLikeUrl(text)).toBe(expected);
+    });
+});
+
+describe('findOmniboxMatches', () => {
+    const names = text => findOmniboxMatches(DPA_LIST, text).map(row => row.software_name);
+
+    test.each([
+        ['kahoot', ['Kahoot!']],
+        ['  KAHOOT  ', ['Kahoot!']],
+        // The host counts as well as the name
+        ['games.example', ['Example Games']],
+        ['gclass', ['Google Classroom']],
+        ['paper', ['Paper Worksheets']],
+        ['', []],
+        ['zzz', []]
+    ])('%p -> %p', (text, expected) => {
+        expect(names(text)).toEqual(expected);
+    });
+
+    test('ranks better matches first, then by name', () => {
+        // A name prefix, then a word in the host, then substrings in name order
+        expect(names('e')).toEqual(['Example Games', 'Tom & Jerry\'s <Lab>', 'Google Classroom', 'Paper Worksheets']);
+    });
+
+    test(`returns at most ${MAX_OMNIBOX_SUGGESTIONS} rows`, () => {
+        const dpaList = Array.from({ length: MAX_OMNIBOX_SUGGESTIONS + 3 }, (value, index) => ({ software_name: `Tool ${index}` }));
+        expect(findOmniboxMatches(dpaList, 'tool')).toHaveLength(MAX_OMNIBOX_SUGGESTIONS);
+    });
+});
+
+describe('getOmniboxSuggestions', () => {
+    beforeEach(async () => {
+        resetDpaLookup();
+        await chrome.storage.local.set({
+            dpaList: DPA_LIST, dpaIndex: buildDpaIndex(DPA_LIST), lastFetch: Date.now(), dpaCacheVersion: DPA_CACHE_VERSION
+        });
+        await chrome.storage.sync.set({ detailsUrlTemplate: 'https://apps.example.org/resources/{id}' });
+    });
+
+    test('a name suggests the details page of the best match, then the resources', async () => {
+        expect(await getOmniboxSuggestions('kahoot')).toEqual([
+            { content: 'https://apps.example.org/resources/1', description: '<match>Kahoot!</match> <dim>Approved</dim> <dim>- details page</dim>' },
+            { content: 'https://kahoot.com', description: '<match>Kahoot!</match> <dim>Approved</dim> <url>https://kahoot.com</url>' }
+        ]);
+    });
+
+    test('a URL is checked like a tab', async () => {
+        const [first] = await getOmniboxSuggestions('https://create.kahoot.com/details/1');
+        expect(first).toEqual({ content: 'https://apps.example.org/resources/1', description: '<match>Kahoot!</match> <dim>Approved</dim> <dim>- details page</dim>' });
+    });
+
+    test('an unlisted hostname says so', async () => {
+        expect(await getOmniboxSuggestions('unknown-tool.example.net')).toEqual([
+            { content: 'https://unknown-tool.example.net', description: '<url>unknown-tool.example.net</url> <dim>Unlisted: not in the district list</dim>' }
+        ]);
+    });
+
+    test('escapes names for the XML description', async () => {
+        const [first] = await getOmniboxSuggestions('jerry');
+        expect(first.description).toBe('<match>Tom &amp; Jerry&apos;s &lt;Lab&gt;</match> <dim>Pending</dim> <dim>- details page</dim>');
+    });
+
+    test('a row without a web link only offers its details page', async () => {
+        expect((await getOmniboxSuggestions('paper worksheets')).map(suggestion => suggestion.content)).toEqual(['https://apps.example.org/resources/5']);
+    });
+
+    test('never repeats a suggestion', async () => {
+        const contents = (await getOmniboxSuggestions('kahoot.com')).map(suggestion => suggestion.content);
+        expect(contents).toEqual(['https://apps.example.org/resources/1', 'https://kahoot.com']);
+    });
+
+    test('nothing typed, or no cached list, suggests nothing', async () => {
+        expect(await getOmniboxSuggestions('   ')).toEqual([]);
+
+        resetDpaLookup();
+        await chrome.storage.local.clear();
+        expect(await getOmniboxSuggestions('kahoot')).toEqual([]);
+    });
+});
+
+describe('handleOmniboxInput', () => {
+    test.each([
+        ['currentTab', 'update', [{ url: 'https://kahoot.com' }]],
+        ['newForegroundTab', 'create', [{ url: 'https://kahoot.com', active: true }]],
+        ['newBackgroundTab', 'create', [{ url: 'https://kahoot.com', active: false }]]
+    ])('opens a chosen suggestion in %s', async (disposition, method, args) => {
+        await handleOmniboxInput(' https://kahoot.com ', disposition);
+        expect(chrome.tabs[method]).toHaveBeenCalledWith(...args);
+    });
+
+    test('plain text opens the catalog with that search', async () => {
+        await handleOmniboxInput('google classroom', 'currentTab');
+        expect(chrome.tabs.update).toHaveBeenCalledWith({ url: 'chrome-extension://sb29guardtestextensionid/catalog.html?q=google%20classroom' });
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * @jest-environment jsdom
+ */
+
+// page-signals.js is a classic script injected into the page, not a module, so it is loaded
+// the same way here: as a script element, which leaves its functions on the window.
+
+import fs from 'fs';
+import path from 'path';
+
+const PAGES_DIR = path.join(__dirname, 'fixtures', 'pages');
+
+/**
+ * Parses a fixture page into its own document. Parsed documents never run or fetch scripts.
+ *
+ * @param {string} name - The fixture's file name, without '.html'.
+ * @returns {Document} The page's document.
+ */
+function loadPage(name) {
+    const html = fs.readFileSync(path.join(PAGES_DIR, `${name}.html`), 'utf8');
+    return new DOMParser().parseFromString(html, 'text/html');
+}
+
+beforeAll(() => {
+    const script = document.createElement('script');
+    script.textContent = fs.readFileSync(path.join(__dirname, '..', 'extension', 'page-signals.js'), 'utf8');
+    document.head.appendChild(script);
+});
+
+describe('collectPageSignals', () => {
+    test.each([
+        ['login-form', { passwordFields: 1, accountForms: 1, accountLinks: 2, oauthButtons: 0, fileUploads: 0, analyticsTrackers: ['www.googletagmanager.com'], adTrackers: [] }],
+        ['oauth-button', { passwordFields: 0, accountForms: 0, accountLinks: 2, oauthButtons: 3, fileUploads: 0, analyticsTrackers: [], adTrackers: [] }],
+        ['gsi-script', { passwordFields: 0, accountForms: 0, accountLinks: 0, oauthButtons: 1, fileUploads: 0, analyticsTrackers: [], adTrackers: [] }],
+        ['file-upload', { passwordFields: 0, accountForms: 0, accountLinks: 0, oauthButtons: 0, fileUploads: 1, analyticsTrackers: [], adTrackers: [] }],
+        ['ad-trackers', {
+            passwordFields: 0, accountForms: 0, accountLinks: 0, oauthButtons: 0, fileUploads: 0,
+            analyticsTrackers: ['www.google-analytics.com'],
+            adTrackers: ['pagead2.googlesyndication.com', 'securepubads.g.doubleclick.net', 'connect.facebook.net']
+        }],
+        ['informational', {
+            passwordFields: 0, accountForms: 0, accountLinks: 0, oauthButtons: 0, fileUploads: 0,
+            analyticsTrackers: ['www.google-analytics.com', 'static.hotjar.com'], adTrackers: []
+        }]
+    ])('%s', (name, expected) => {
+        expect(window.collectPageSignals(loadPage(name))).toEqual(expected);
+    });
+
+    test('a form counts as an account form by its action alone', () => {
+        const doc = new DOMParser().parseFromString('<form action="/users/register"><input name="name"></form>', 'text/html');
+        expect(window.collectPageSignals(doc).accountForms).toBe(1);
+    });
+});
+
+describe('classifyPageSignals', () => {
+    test.each([
+        ['login-form', 'data_collection_likely', ['password field']],
+        ['oauth-button', 'data_collection_likely', ['"Sign in with…" button']],
+        ['gsi-script', 'data_collection_likely', ['"Sign in with…" button']],
+        ['file-upload', 'data_collection_likely', ['file upload']],
+        ['ad-trackers', 'data_collection_likely', ['advertising trackers']],
+        // Analytics alone don't count
+        ['informational', 'informational', []]
+    ])('%s is %s', (name, pageCheck, reasons) => {
+        expect(window.classifyPageSignals(window.collectPageSignals(loadPage(name)))).toEqual({ pageCheck, reasons });
+    });
+
+    test('a sign-in link is only a reason when nothing stronger was found', () => {
+        const signals = { passwordFields: 0, accountForms: 0, accountLinks: 1, oauthButtons: 0, fileUploads: 0, analyticsTrackers: [], adTrackers: [] };
+        expect(window.classifyPageSignals(signals).reasons).toEqual(['sign-in or sign-up link']);
+        expect(window.classifyPageSignals({ ...signals, oauthButtons: 1 }).reasons).toEqual(['"Sign in with…" button']);
+    });
+
+    test('a sign-up form without a password field is reported as a form', () => {
+        const signals = { passwordFields: 0, accountForms: 1, accountLinks: 1, oauthButtons: 0, fileUploads: 1, analyticsTrackers: [], adTrackers: ['doubleclick.net'] };
+        expect(window.classifyPageSignals(signals).reasons).toEqual(['sign-in or sign-up form', 'file upload', 'advertising trackers']);
+    });
+});
+
+describe('checkPageSignals', () => {
+    test('checks the document it was injected into', () => {
+        document.body.innerHTML = loadPage('login-form').body.innerHTML;
+
+        const result = window.checkPageSignals();
+        expect(result.pageCheck).toBe('data_collection_likely');
+        expect(result.reasons).toEqual(['password field']);
+        expect(result.signals.passwordFields).toBe(1);
+    });
+});
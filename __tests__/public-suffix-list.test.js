@@ -0,0 +1,91 @@
+import { getPublicSuffix, getRegistrableDomain, isPublicSuffix } from '../extension/public-suffix-list.js';
+import { getDomainInfo } from '../extension/domain-info.js';
+
+describe('getRegistrableDomain', () => {
+    test.each([
+        // Plain TLDs fall back to the implicit '*' rule
+        ['example.com', 'example.com'],
+        ['mail.google.com', 'google.com'],
+        // Country-code second levels
+        ['foo.co.uk', 'foo.co.uk'],
+        ['www.foo.co.uk', 'foo.co.uk'],
+        ['co.uk', 'co.uk'],
+        // The US locality namespace
+        ['district.k12.oh.us', 'district.k12.oh.us'],
+        ['app.district.k12.oh.us', 'district.k12.oh.us'],
+        ['x.pvt.k12.oh.us', 'x.pvt.k12.oh.us'],
+        ['portal.x.pvt.k12.oh.us', 'x.pvt.k12.oh.us'],
+        ['k12.oh.us', 'k12.oh.us'],
+        // Private suffixes
+        ['myschool.github.io', 'myschool.github.io'],
+        ['docs.myschool.github.io', 'myschool.github.io'],
+        ['github.io', 'github.io'],
+        ['app.vercel.app', 'app.vercel.app'],
+        ['preview.app.vercel.app', 'app.vercel.app'],
+        // Wildcard rules: every label under sch.uk is itself a suffix
+        ['a.b.sch.uk', 'a.b.sch.uk'],
+        ['www.a.b.sch.uk', 'a.b.sch.uk'],
+        ['b.sch.uk', 'b.sch.uk'],
+        // IP addresses and single-label hosts are left alone
+        ['192.168.1.10', '192.168.1.10'],
+        ['[::1]', '[::1]'],
+        ['[2001:db8::1]', '[2001:db8::1]'],
+        ['localhost', 'localhost'],
+        // Case and a trailing dot (the fully qualified form) don't matter
+        ['WWW.Example.COM', 'example.com'],
+        ['www.example.com.', 'example.com'],
+        ['foo.co.uk.', 'foo.co.uk'],
+        ['localhost.', 'localhost']
+    ])('%s -> %s', (hostname, expected) => {
+        expect(getRegistrableDomain(hostname)).toBe(expected);
+    });
+});
+
+describe('getPublicSuffix', () => {
+    test.each([
+        ['example.com', 'com'],
+        ['foo.co.uk', 'co.uk'],
+        ['district.k12.oh.us', 'k12.oh.us'],
+        ['x.pvt.k12.oh.us', 'pvt.k12.oh.us'],
+        ['a.b.sch.uk', 'b.sch.uk'],
+        ['myschool.github.io', 'github.io']
+    ])('%s -> %s', (hostname, expected) => {
+        expect(getPublicSuffix(hostname)).toBe(expected);
+    });
+});
+
+describe('isPublicSuffix', () => {
+    test.each([
+        ['github.io', true],
+        ['GitHub.io.', true],
+        ['co.uk', true],
+        ['k12.oh.us', true],
+        ['com', true],
+        ['localhost', true],
+        ['myschool.github.io', false],
+        ['foo.co.uk', false],
+        ['district.k12.oh.us', false],
+        ['kahoot.com', false],
+        ['127.0.0.1', false],
+        ['[::1]', false]
+    ])('%s -> %p', (hostname, expected) => {
+        expect(isPublicSuffix(hostname)).toBe(expected);
+    });
+});
+
+describe('getDomainInfo', () => {
+    test.each([
+        ['https://www.foo.co.uk/page', 'www.foo.co.uk', 'foo.co.uk'],
+        ['https://myschool.github.io/class/', 'myschool.github.io', 'myschool.github.io'],
+        ['http://[::1]:8080/', '[::1]', '[::1]'],
+        ['http://127.0.0.1:3000/app', '127.0.0.1', '127.0.0.1'],
+        ['http://localhost:5173/', 'localhost', 'localhost'],
+        ['https://www.example.com./', 'www.example.com.', 'example.com']
+    ])('%s matches on %s', (url, fullHostname, hostname) => {
+        expect(getDomainInfo(url)).toMatchObject({ fullHostname, hostname, isAppStore: false, isInstalled: false });
+    });
+
+    test.each([null, undefined, '', 'not a url', 42])('%p is not a URL', value => {
+        expect(getDomainInfo(value)).toBeNull();
+    });
+});
@@ -0,0 +1,184 @@
+import {
+    authenticate, buildSession, decodeJwtClaims, getAccountDomains, getSession, isAllowedAccount, rejectDisallowedSession
+} from '../extension/session.js';
+
+/**
+ * Crafts an unsigned JWT with the given claims. The extension never checks signatures.
+ *
+ * @param {object} claims - The payload.
+ * @returns {string} The token.
+ */
+function craftJwt(claims) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}.signature`;
+}
+
+describe('decodeJwtClaims', () => {
+    test('reads the payload, including base64url characters and non-ASCII text', () => {
+        // '?>' and '~~' encode to '-' and '_' in base64url, and the name needs UTF-8
+        const claims = { email: 'josé@masonohioschools.com', note: '?>~~', exp: 1760000000 };
+        expect(decodeJwtClaims(craftJwt(claims))).toEqual(claims);
+    });
+
+    test.each([
+        ['no dots', 'not-a-jwt'],
+        ['an empty string', ''],
+        ['a payload that is not base64', 'a.!!!.c'],
+        ['a payload that is not JSON', `a.${Buffer.from('hello').toString('base64url')}.c`],
+        ['null', null],
+        ['undefined', undefined]
+    ])('returns null for %s', (label, token) => {
+        expect(decodeJwtClaims(token)).toBeNull();
+    });
+});
+
+describe('buildSession', () => {
+    test('prefers expires_in from the response to the token expiry', () => {
+        const now = Math.floor(Date.now() / 1000);
+        const session = buildSession({ access_token: craftJwt({ email: 'a@b.org', exp: now + 60 }), refresh_token: 'r', expires_in: '3600' });
+        expect(session.expires_at).toBeGreaterThanOrEqual(now + 3600);
+        expect(session).toMatchObject({ refresh_token: 'r', email: 'a@b.org' });
+    });
+
+    test("falls back to the token's own exp", () => {
+        expect(buildSession({ access_token: craftJwt({ exp: 1760000000 }) })).toMatchObject({ expires_at: 1760000000, refresh_token: null, email: null });
+    });
+
+    test('needs an access token', () => {
+        expect(buildSession({ refresh_token: 'r' })).toBeNull();
+    });
+});
+
+describe('getAccountDomains', () => {
+    test.each([
+        ['the hd claim and the email domain', { hd: 'MasonOhioSchools.com', email: 'teacher@masonohioschools.com' }, ['masonohioschools.com']],
+        ['a Workspace account with a different email domain', { hd: 'masonohioschools.com', email: 'teacher@staff.example.org' }, ['masonohioschools.com', 'staff.example.org']],
+        ['the hd in Supabase custom claims', { user_metadata: { custom_claims: { hd: 'masonohioschools.com' }, email: 't@masonohioschools.com' } }, ['masonohioschools.com']],
+        ['only an email', { email: 'someone@gmail.com' }, ['gmail.com']],
+        ['an email without a domain', { email: 'someone' }, []],
+        ['no claims', null, []]
+    ])('%s', (label, claims, expected) => {
+        expect(getAccountDomains(claims)).toEqual(expected);
+    });
+});
+
+describe('isAllowedAccount', () => {
+    const allowed = ['masonohioschools.com'];
+
+    test.each([
+        ['an hd claim in the list', { hd: 'masonohioschools.com', email: 't@masonohioschools.com' }, allowed, true],
+        ['an email domain in the list, without an hd claim', { email: 't@masonohioschools.com' }, allowed, true],
+        ['an hd claim in the list, with another email domain', { hd: 'masonohioschools.com', email: 't@alias.example.org' }, allowed, true],
+        ['a personal account', { email: 'someone@gmail.com' }, allowed, false],
+        ['another district', { hd: 'lakotaonline.com', email: 't@lakotaonline.com' }, allowed, false],
+        ['a look-alike subdomain', { email: 't@masonohioschools.com.evil.example' }, allowed, false],
+        ['a malformed token', null, allowed, false],
+        ['any account when the list is empty', { email: 'someone@gmail.com' }, [], true],
+        ['even a malformed token when the list is empty', null, [], true]
+    ])('%s', (label, claims, allowedDomains, expected) => {
+        expect(isAllowedAccount(claims, allowedDomains)).toBe(expected);
+    });
+});
+
+describe('rejectDisallowedSession', () => {
+    let fetch;
+
+    /**
+     * Stores a session for a token with the given claims.
+     *
+     * @param {object} claims - The token's claims.
+     * @param {string} [accessToken] - The token, if not crafted from the claims.
+     * @returns {Promise<object>} The session.
+     */
+    async function signInAs(claims, accessToken = craftJwt(claims)) {
+        const session = { access_token: accessToken, refresh_token: 'refresh', expires_at: Math.floor(Date.now() / 1000) + 3600, email: claims.email || null };
+        await chrome.storage.local.set({ supabase_session: session });
+        return session;
+    }
+
+    beforeEach(async () => {
+        await chrome.storage.sync.set({ allowedDomains: ['masonohioschools.com'] });
+        fetch = jest.spyOn(global, 'fetch').mockResolvedValue(new Response(null, { status: 204 }));
+    });
+
+    test('keeps a district session', async () => {
+        const session = await signInAs({ hd: 'masonohioschools.com', email: 'teacher@masonohioschools.com' });
+        expect(await rejectDisallowedSession(session)).toBeNull();
+        expect(await getSession()).toEqual(session);
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('signs out a personal account, revoking it with Supabase', async () => {
+        const session = await signInAs({ email: 'someone@gmail.com' });
+
+        expect(await rejectDisallowedSession(session))
+            .toBe('someone@gmail.com is not a district account. Sign in with your @masonohioschools.com account.');
+        expect(await getSession()).toBeNull();
+        expect(fetch).toHaveBeenCalledWith(expect.stringMatching(/\/auth\/v1\/logout$/), expect.objectContaining({ method: 'POST' }));
+    });
+
+    test('signs out a session whose token cannot be read', async () => {
+        const session = await signInAs({}, 'garbage');
+        expect(await rejectDisallowedSession(session)).toBe('This account is not a district account. Sign in with your @masonohioschools.com account.');
+        expect(await getSession()).toBeNull();
+    });
+
+    test('allows any account when no domains are configured', async () => {
+        await chrome.storage.sync.set({ allowedDomains: [] });
+        const session = await signInAs({ email: 'someone@gmail.com' });
+        expect(await rejectDisallowedSession(session)).toBeNull();
+        expect(await getSession()).toEqual(session);
+    });
+});
+
+describe('authenticate', () => {
+    let fetch;
+
+    /**
+     * Makes the sign-in window come back with a token for the given claims.
+     *
+     * @param {object} claims - The token's claims.
+     * @returns {string} The access token.
+     */
+    function signInWindowReturns(claims) {
+        const accessToken = craftJwt(claims);
+        chrome.identity.launchWebAuthFlow.mockResolvedValue(
+            `https://sb29guardtestextensionid.chromiumapp.org/#access_token=${accessToken}&refresh_token=refresh&expires_in=3600`
+        );
+        return accessToken;
+    }
+
+    beforeEach(async () => {
+        await chrome.storage.sync.set({ allowedDomains: ['masonohioschools.com'] });
+        fetch = jest.spyOn(global, 'fetch').mockResolvedValue(new Response(null, { status: 204 }));
+    });
+
+    test('stores a district session', async () => {
+        const accessToken = signInWindowReturns({ hd: 'masonohioschools.com', email: 'teacher@masonohioschools.com' });
+
+        const { session, error } = await authenticate(true);
+        expect(error).toBeNull();
+        expect(session).toMatchObject({ access_token: accessToken, refresh_token: 'refresh', email: 'teacher@masonohioschools.com' });
+        expect(await getSession()).toEqual(session);
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('never stores a personal account, and revokes it with Supabase', async () => {
+        signInWindowReturns({ email: 'someone@gmail.com' });
+
+        expect(await authenticate(true)).toEqual({
+            session: null, error: 'someone@gmail.com is not a district account. Sign in with your @masonohioschools.com account.'
+        });
+        expect(chrome.storage.local.set).not.toHaveBeenCalledWith(expect.objectContaining({ supabase_session: expect.anything() }));
+        expect(fetch).toHaveBeenCalledWith(expect.stringMatching(/\/auth\/v1\/logout$/), expect.objectContaining({ method: 'POST' }));
+    });
+
+    test('a rejected sign-in leaves the stored district session alone', async () => {
+        const stored = { access_token: craftJwt({ email: 'teacher@masonohioschools.com' }), refresh_token: 'r', expires_at: 1, email: 'teacher@masonohioschools.com' };
+        await chrome.storage.local.set({ supabase_session: stored });
+        signInWindowReturns({ email: 'someone@gmail.com' });
+
+        expect((await authenticate(true)).session).toBeNull();
+        expect(await getSession()).toEqual(stored);
+    });
+});
@@ -0,0 +1,136 @@
+import { DEFAULT_SETTINGS, getManagedSettings, getSettings, parseDomainList, validateSettings } from '../extension/settings.js';
+import { handleSettingsChange } from '../extension/background.js';
+import { resetDpaLookup } from '../extension/dpa-cache.js';
+
+const POLICY_JSON_URL = 'https://district.github.io/dpa/list.json';
+
+describe('getSettings', () => {
+    test('uses the defaults when nothing is saved or set by policy', async () => {
+        const settings = await getSettings();
+        expect(settings.refreshMinutes).toBe(DEFAULT_SETTINGS.refreshMinutes);
+        expect(settings.districtName).toBe('Mason City Schools');
+        expect(settings.enforceDenied).toBe('off');
+    });
+
+    test('saved values override the defaults', async () => {
+        await chrome.storage.sync.set({ districtName: 'Lakota Local Schools', refreshMinutes: 120 });
+        expect(await getSettings()).toMatchObject({ districtName: 'Lakota Local Schools', refreshMinutes: 120 });
+    });
+
+    test('policy overrides saved values', async () => {
+        await chrome.storage.sync.set({ districtName: 'Lakota Local Schools', enforceDenied: 'off' });
+        await chrome.storage.managed.set({ districtName: 'Mason City Schools', enforceDenied: 'block' });
+        expect(await getSettings()).toMatchObject({ districtName: 'Mason City Schools', enforceDenied: 'block' });
+    });
+
+    test('invalid policy values are ignored, leaving the saved value in force', async () => {
+        await chrome.storage.sync.set({ refreshMinutes: 120, enforceDenied: 'warn' });
+        await chrome.storage.managed.set({ refreshMinutes: 1, enforceDenied: 'shout', districtName: 'Mason City Schools' });
+
+        const settings = await getSettings();
+        expect(settings).toMatchObject({ refreshMinutes: 120, enforceDenied: 'warn', districtName: 'Mason City Schools' });
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Ignoring invalid managed policy value for refreshMinutes'));
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Ignoring invalid managed policy value for enforceDenied'));
+    });
+
+    test('saved values that no longer validate fall back to the defaults', async () => {
+        await chrome.storage.sync.set({ staleAfterDays: 365, detailsUrlTemplate: 'http://insecure.example.com' });
+        expect(await getSettings()).toMatchObject({
+            staleAfterDays: DEFAULT_SETTINGS.staleAfterDays,
+            detailsUrlTemplate: DEFAULT_SETTINGS.detailsUrlTemplate
+        });
+    });
+
+    test('a browser that cannot read managed storage has no policy', async () => {
+        chrome.storage.managed.get.mockRejectedValueOnce(new Error('Managed storage is not available.'));
+        expect(await getManagedSettings()).toEqual({});
+    });
+
+    test('policy can set the allowed domains as a list', async () => {
+        await chrome.storage.managed.set({ allowedDomains: ['@MasonOhioSchools.com', 'staff.masonohioschools.com'] });
+        expect((await getSettings()).allowedDomains).toEqual(['masonohioschools.com', 'staff.masonohioschools.com']);
+    });
+});
+
+describe('validateSettings', () => {
+    test.each([
+        [{ refreshMinutes: 14 }, 'refreshMinutes'],
+        [{ refreshMinutes: 60 * 24 * 7 + 1 }, 'refreshMinutes'],
+        [{ refreshMinutes: 30.5 }, 'refreshMinutes'],
+        [{ dataSource: 'ftp' }, 'dataSource'],
+        [{ dataSource: 'json', dataSourceUrl: '' }, 'dataSourceUrl'],
+        [{ dataSourceUrl: 'http://example.com/list.json' }, 'dataSourceUrl'],
+        [{ allowedDomains: 'not a domain' }, 'allowedDomains'],
+        [{ reviewUrlTemplate: 'mailto:it@example.org' }, 'reviewUrlTemplate'],
+        [{ districtName: '' }, 'districtName'],
+        [{ enforceStaffOnly: 'maybe' }, 'enforceStaffOnly'],
+        [{ annotateLinks: 'yes' }, 'annotateLinks']
+    ])('rejects %p', (input, key) => {
+        const { values, errors } = validateSettings(input);
+        expect(Object.keys(errors)).toEqual([key]);
+        expect(values[key]).toBeUndefined();
+    });
+
+    test('accepts and normalizes valid values', () => {
+        const { values, errors } = validateSettings({
+            dataSource: 'sheet-csv',
+            dataSourceUrl: ' https://docs.google.com/spreadsheets/d/e/x/pub?output=csv ',
+            allowedDomains: '@masonohioschools.com, staff.masonohioschools.com',
+            refreshMinutes: '30',
+            reviewUrlTemplate: '',
+            detailsUrlTemplate: 'https://apphub.example.org/tools/{slug}'
+        });
+        expect(errors).toEqual({});
+        expect(values).toEqual({
+            dataSource: 'sheet-csv',
+            dataSourceUrl: 'https://docs.google.com/spreadsheets/d/e/x/pub?output=csv',
+            allowedDomains: ['masonohioschools.com', 'staff.masonohioschools.com'],
+            refreshMinutes: 30,
+            reviewUrlTemplate: '',
+            detailsUrlTemplate: 'https://apphub.example.org/tools/{slug}'
+        });
+    });
+
+    test('parseDomainList drops duplicates and leading @', () => {
+        expect(parseDomainList('@A.org a.org  b.org')).toEqual(['a.org', 'b.org']);
+    });
+});
+
+describe('handleSettingsChange', () => {
+    beforeEach(() => {
+        resetDpaLookup();
+    });
+
+    test('ignores changes to local storage', async () => {
+        await handleSettingsChange({ refreshMinutes: { newValue: 30 } }, 'local');
+        expect(chrome.alarms.create).not.toHaveBeenCalled();
+    });
+
+    test('reschedules the refresh alarm when policy changes the period', async () => {
+        await chrome.storage.managed.set({ refreshMinutes: 240 });
+        await handleSettingsChange({ refreshMinutes: { newValue: 240 } }, 'managed');
+        expect(chrome.alarms.create).toHaveBeenCalledWith('refreshDpaList', expect.objectContaining({ periodInMinutes: 240 }));
+    });
+
+    test('turns link annotations on when policy enables them and access was granted', async () => {
+        chrome.permissions.contains.mockResolvedValue(true);
+        await chrome.storage.managed.set({ annotateLinks: true });
+
+        await handleSettingsChange({ annotateLinks: { newValue: true } }, 'managed');
+        expect(chrome.scripting.registerContentScripts).toHaveBeenCalledWith([expect.objectContaining({ id: 'link-annotator' })]);
+    });
+
+    test('drops the cached list and downloads from the new source when policy changes it', async () => {
+        await chrome.storage.local.set({ dpaList: [{ software_name: 'Old' }], dpaIndex: {}, lastFetch: Date.now(), syncState: { etag: '"old"' } });
+        await chrome.storage.managed.set({ dataSource: 'json', dataSourceUrl: POLICY_JSON_URL });
+        const rows = [{ id: 1, software_name: 'Kahoot!', resource_link: 'https://kahoot.com', current_tl_status: 'Approved', current_dpa_status: 'Received' }];
+        const fetch = jest.spyOn(global, 'fetch').mockResolvedValue(new Response(JSON.stringify(rows)));
+
+        await handleSettingsChange({ dataSource: { newValue: 'json' }, dataSourceUrl: { newValue: POLICY_JSON_URL } }, 'managed');
+        expect(fetch).toHaveBeenCalledWith(POLICY_JSON_URL, expect.objectContaining({ method: 'GET' }));
+        const { dpaList, syncState } = await chrome.storage.local.get(['dpaList', 'syncState']);
+        expect(dpaList.map(row => row.software_name)).toEqual(['Kahoot!']);
+        expect(syncState.etag).toBeNull();
+        expect(syncState.sourceKey).toBe(`json|${POLICY_JSON_URL}`);
+    });
+});
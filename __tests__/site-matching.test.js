@@ -0,0 +1,137 @@
+import { buildDpaIndex, getMatchRule, lookupSite } from '../extension/site-matching.js';
+import { getDomainInfo } from '../extension/domain-info.js';
+
+const DPA_LIST = [
+    { software_name: 'Kahoot!', resource_link: 'https://kahoot.com/schools/' },
+    { software_name: 'Khan Academy', resource_link: 'https://www.khanacademy.org/math' },
+    { software_name: 'Canva', resource_link: 'https://www.canva.com' },
+    { software_name: 'Canva for Education', resource_link: 'https://www.canva.com/edu', match_scope: 'path' },
+    { software_name: 'Google Docs', resource_link: 'https://docs.google.com' },
+    { software_name: 'Google', resource_link: 'https://google.com', match_scope: 'exact' },
+    { software_name: 'Google Classroom (iOS)', resource_link: 'https://apps.apple.com/us/app/google-classroom/id924620788' },
+    { software_name: 'Nearpod', resource_link: 'https://app.nearpod.com/' },
+    { software_name: 'Nearpod Lessons', resource_link: 'https://nearpod.com/lessons', match_scope: 'path' },
+    { software_name: 'Padlet Sandbox', resource_link: 'https://sandbox.padlet.com/', match_scope: 'exact' }
+];
+const DPA_INDEX = buildDpaIndex(DPA_LIST);
+
+/**
+ * The name of the row that applies to a page.
+ *
+ * @param {string} url - The page URL.
+ * @returns {string|null} The row's software name, or null if no row applies.
+ */
+function matchedName(url) {
+    const site = lookupSite(DPA_LIST, DPA_INDEX, getDomainInfo(url));
+    return site ? site.software_name : null;
+}
+
+describe('getMatchRule', () => {
+    test.each([
+        ['a bare domain', { resource_link: 'https://www.kahoot.com' }, { scope: 'subdomains', host: 'kahoot.com', domain: 'kahoot.com', path: '/' }],
+        ['a link to a landing page', { resource_link: 'https://kahoot.com/schools/' }, { scope: 'subdomains', host: 'kahoot.com', domain: 'kahoot.com', path: '/' }],
+        ['a subdomain link', { resource_link: 'https://app.nearpod.com/' }, { scope: 'subdomains', host: 'app.nearpod.com', domain: 'nearpod.com', path: '/' }],
+        ['an explicit path scope', { resource_link: 'https://canva.com/edu/', match_scope: ' Path ' }, { scope: 'path', host: 'canva.com', domain: 'canva.com', path: '/edu' }],
+        ['an exact scope', { resource_link: 'https://google.com/search', match_scope: 'exact' }, { scope: 'exact', host: 'google.com', domain: 'google.com', path: '/' }],
+        ['an unknown scope', { resource_link: 'https://canva.com/edu', match_scope: 'folder' }, { scope: 'subdomains', host: 'canva.com', domain: 'canva.com', path: '/' }]
+    ])('%s', (label, site, expected) => {
+        expect(getMatchRule(site)).toEqual({ ...expected, appID: null });
+    });
+
+    test('an app page gets an app rule', () => {
+        expect(getMatchRule(DPA_LIST[6])).toEqual({
+            scope: 'app', host: 'apps.apple.com', domain: 'apps.apple.com', path: '/', appID: '924620788', appStoreName: 'Apple App Store'
+        });
+    });
+
+    test.each([
+        'https://apps.apple.com/us/charts/iphone',
+        'https://github.io/',
+        'https://www.co.uk/',
+        'not a link',
+        ''
+    ])('%p has no rule', link => {
+        expect(getMatchRule({ resource_link: link })).toBeNull();
+    });
+});
+
+describe('lookupSite', () => {
+    test.each([
+        // Links with a path still cover the whole host by default
+        ['https://kahoot.com/', 'Kahoot!'],
+        ['https://create.kahoot.com/login', 'Kahoot!'],
+        ['https://kahoot.com/schools/', 'Kahoot!'],
+        ['https://www.khanacademy.org/', 'Khan Academy'],
+        ['https://www.khanacademy.org/science/biology', 'Khan Academy'],
+        ['https://www.khanacademy.org/math/algebra', 'Khan Academy'],
+        // An explicit path scope covers only pages under the path, and beats the host row there
+        ['https://www.canva.com/edu', 'Canva for Education'],
+        ['https://www.canva.com/edu/classroom', 'Canva for Education'],
+        ['https://www.canva.com/education', 'Canva'],
+        ['https://www.canva.com/design/abc', 'Canva'],
+        // A subdomain row beats the exact row for its parent; other subdomains fall back to the root domain
+        ['https://docs.google.com/document/d/1', 'Google Docs'],
+        ['https://google.com/search?q=dpa', 'Google'],
+        ['https://mail.google.com/', 'Google Docs'],
+        ['https://apps.apple.com/gb/app/google-classroom/id924620788', 'Google Classroom (iOS)'],
+        ['https://apps.apple.com/us/charts/iphone', null],
+        ['https://unknown-tool.example.net/', null]
+    ])('%s -> %p', (url, expected) => {
+        expect(matchedName(url)).toBe(expected);
+    });
+
+    test.each([
+        ['https://nearpod.com/', 'Nearpod'],
+        ['https://www.nearpod.com/lesson', 'Nearpod'],
+        ['https://join.nearpod.com/', 'Nearpod'],
+        // More specific rows still win over the fallback
+        ['https://nearpod.com/lessons/42', 'Nearpod Lessons'],
+        ['https://app.nearpod.com/lessons/42', 'Nearpod'],
+        // Exact and path rows never cover the rest of their root domain
+        ['https://www.padlet.com/', null]
+    ])('a subdomain link still covers its root domain: %s -> %p', (url, expected) => {
+        expect(matchedName(url)).toBe(expected);
+    });
+});
+
+describe('public suffixes', () => {
+    test('a row for a public suffix covers none of the sites below it', () => {
+        const dpaList = [
+            { software_name: 'GitHub Pages', resource_link: 'https://github.io/' },
+            { software_name: 'Class Site', resource_link: 'https://myclass.github.io/' }
+        ];
+        const dpaIndex = buildDpaIndex(dpaList);
+        const match = url => lookupSite(dpaList, dpaIndex, getDomainInfo(url));
+
+        expect(match('https://student.github.io/')).toBeNull();
+        expect(match('https://github.io/')).toBeNull();
+        expect(match('https://docs.myclass.github.io/unit1').software_name).toBe('Class Site');
+    });
+});
+
+describe('Amazon apps', () => {
+    const dpaList = [
+        { software_name: 'Minecraft (Fire tablets)', resource_link: 'https://www.amazon.com/Minecraft/dp/B00992CF6W' },
+        { software_name: 'Amazon', resource_link: 'https://www.amazon.com/', match_scope: 'exact' }
+    ];
+    const dpaIndex = buildDpaIndex(dpaList);
+    const match = url => {
+        const site = lookupSite(dpaList, dpaIndex, getDomainInfo(url, dpaIndex.apps));
+        return site ? site.software_name : null;
+    };
+
+    test('a row for an Amazon app is indexed by its ASIN, not as a rule for all of amazon.com', () => {
+        expect(dpaIndex.apps).toEqual({ 'Amazon Appstore': { B00992CF6W: 0 } });
+        expect(Object.keys(dpaIndex.hosts)).toEqual(['amazon.com']);
+    });
+
+    test.each([
+        ['https://www.amazon.com/dp/B00992CF6W', 'Minecraft (Fire tablets)'],
+        ['https://www.amazon.com/gp/product/b00992cf6w', 'Minecraft (Fire tablets)'],
+        // Other products are ordinary amazon.com pages
+        ['https://www.amazon.com/dp/B08KTZ8249', 'Amazon'],
+        ['https://www.amazon.com/', 'Amazon']
+    ])('%s -> %p', (url, expected) => {
+        expect(match(url)).toBe(expected);
+    });
+});
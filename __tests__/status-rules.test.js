@@ -0,0 +1,106 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadStatusRules, renderStatusRules } from '../status-rules.mjs';
+import { determineOverallStatus } from '../extension/overall-status.js';
+
+const root = path.join(__dirname, '..');
+const yamlPath = path.join(root, 'requirements', 'icon-strategy.yaml');
+const extensionDir = path.join(root, 'extension');
+const yamlText = fs.readFileSync(yamlPath, 'utf8');
+const tempDirs = [];
+
+afterAll(() => {
+    for (const dir of tempDirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * The policy icon-strategy.yaml is meant to encode, written out independently of the YAML.
+ *
+ * @param {string} tl - The T&L status.
+ * @param {string} dpa - The DPA status.
+ * @param {string} link - 'url_known' or 'url_unknown'.
+ * @returns {string} The overall status.
+ */
+function expectedStatus(tl, dpa, link) {
+    if (link === 'url_unknown') return 'unlisted';
+    if (tl === 'Rejected') return 'denied';
+    if (dpa === 'Denied') return 'staff_only';
+    if (['Approved', 'Not Required'].includes(tl) && ['Received', 'Not Required'].includes(dpa)) return 'approved';
+    return 'pending';
+}
+
+/**
+ * Writes a changed copy of icon-strategy.yaml to a temporary directory.
+ *
+ * @param {function(string): string} edit - Changes the YAML text.
+ * @returns {string} The path of the copy.
+ */
+function writeEditedYaml(edit) {
+    const edited = edit(yamlText);
+    expect(edited).not.toBe(yamlText);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'icon-strategy-'));
+    tempDirs.push(dir);
+    const file = path.join(dir, 'icon-strategy.yaml');
+    fs.writeFileSync(file, edited);
+    return file;
+}
+
+describe('icon-strategy.yaml', () => {
+    const rules = loadStatusRules(yamlPath, extensionDir);
+    const keys = Object.keys(rules.table);
+
+    test('covers all 50 combinations', () => {
+        expect(keys).toHaveLength(rules.tlStatuses.length * rules.dpaStatuses.length * rules.linkStates.length);
+        expect(keys).toHaveLength(50);
+    });
+
+    test.each(keys)('%s', key => {
+        const [tl, dpa, link] = key.split('|');
+        expect(rules.table[key]).toBe(expectedStatus(tl, dpa, link));
+
+        // A page only reaches the table through a matching row, so an unknown URL is a missing row
+        const siteInfo = link === 'url_known'
+            ? { current_tl_status: tl === '(blank)' ? '' : tl, current_dpa_status: dpa === '(blank)' ? '' : dpa }
+            : null;
+        if (link === 'url_known' || (tl === '(blank)' && dpa === '(blank)')) {
+            expect(determineOverallStatus(siteInfo)).toBe(expectedStatus(tl, dpa, link));
+        }
+    });
+
+    test('every status has an icon, and the neutral default has every size', () => {
+        for (const status of new Set(Object.values(rules.table))) {
+            expect(Object.keys(rules.icons[status])).toEqual(['48']);
+        }
+        expect(Object.keys(rules.icons.default).sort()).toEqual(['128', '16', '48']);
+    });
+
+    test('renders as a module exporting STATUS_RULES', () => {
+        expect(renderStatusRules(rules)).toContain(`export const STATUS_RULES = ${JSON.stringify(rules, null, 4)};`);
+    });
+});
+
+describe('loadStatusRules rejects', () => {
+    test('a combination no case covers', () => {
+        const file = writeEditedYaml(text => text.replace('        - ["Pending", "Denied", "url_known"]\n', ''));
+        expect(() => loadStatusRules(file, extensionDir)).toThrow('[Pending, Denied, url_known] is not covered by any case.');
+    });
+
+    test('a combination claimed by two cases', () => {
+        const file = writeEditedYaml(text => text.replace(
+            '        - ["Approved", "Requested", "url_known"]\n',
+            '        - ["Approved", "Requested", "url_known"]\n        - ["Approved", "Received", "url_known"]\n'
+        ));
+        expect(() => loadStatusRules(file, extensionDir)).toThrow('[Approved, Received, url_known] is claimed by both "approved" and "pending".');
+    });
+
+    test('an unknown status value', () => {
+        const file = writeEditedYaml(text => text.replace('["Approved", "Received", "url_known"]', '["Approved", "Recieved", "url_known"]'));
+        expect(() => loadStatusRules(file, extensionDir)).toThrow('approved: "Recieved" is not a known current_dpa_status value');
+    });
+
+    test('a missing icon', () => {
+        const file = writeEditedYaml(text => text.replace('images/icon-red-x.png', 'images/icon-missing.png'));
+        expect(() => loadStatusRules(file, extensionDir)).toThrow('denied: icon "images/icon-missing.png" does not exist');
+    });
+});
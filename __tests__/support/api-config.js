@@ -0,0 +1,20 @@
+// Stands in for extension/api-config.js, whose Supabase placeholders are only filled in by
+// build.mjs. Tests point the extension at a fake Supabase with `useFakeSupabase`.
+
+import { FAKE_ANON_KEY } from '../../fake-supabase.mjs';
+
+export { USER_AGENT } from '../../extension/api-config.js';
+
+export let API_HOST = 'http://127.0.0.1:54321';
+export let API_URL = `${API_HOST}/rest/v1/dpa_list`;
+export const API_KEY = FAKE_ANON_KEY;
+
+/**
+ * Points the Supabase data source and sign-in at a fake server.
+ *
+ * @param {string} origin - The origin from the fake server's `listen`.
+ */
+export function useFakeSupabase(origin) {
+    API_HOST = origin;
+    API_URL = `${origin}/rest/v1/dpa_list`;
+}
@@ -0,0 +1,18 @@
+const NodeEnvironment = require('jest-environment-node');
+
+// Jest 27's Node environment leaves out the web globals that Node 18+ has and the extension
+// uses (fetch, atob, ...), so they are passed through from Node here.
+const WEB_GLOBALS = ['fetch', 'Headers', 'Request', 'Response', 'FormData', 'Blob', 'atob', 'btoa', 'TextEncoder', 'TextDecoder', 'structuredClone'];
+
+class ExtensionEnvironment extends NodeEnvironment {
+    constructor(config, context) {
+        super(config, context);
+        for (const name of WEB_GLOBALS) {
+            if (this.global[name] === undefined && globalThis[name] !== undefined) {
+                this.global[name] = globalThis[name];
+            }
+        }
+    }
+}
+
+module.exports = ExtensionEnvironment;
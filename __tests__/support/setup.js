@@ -0,0 +1,107 @@
+// Runs before every test file: gives it a `chrome` from jest-chrome with working storage areas,
+// the MV3 APIs jest-chrome predates (action, scripting, storage.session, tabs.goBack), and a runtime id, so
+// `runInExtensionContext` treats the tests as running inside the extension.
+
+const { chrome } = require('jest-chrome');
+
+const EXTENSION_ID = 'sb29guardtestextensionid';
+
+/**
+ * Creates an in-memory storage area that behaves like `chrome.storage.local`: values are copied
+ * in and out, and every method returns a promise (or calls a callback, if one is given).
+ *
+ * @returns {object} The storage area.
+ */
+function createStorageArea() {
+    let items = {};
+    const copy = value => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    const respond = (result, callback) => {
+        if (callback) callback(result);
+        return Promise.resolve(result);
+    };
+
+    return {
+        get: jest.fn((keys, callback) => {
+            let result;
+            if (keys === null || keys === undefined) {
+                result = copy(items);
+            } else if (typeof keys === 'string' || Array.isArray(keys)) {
+                result = {};
+                for (const key of [].concat(keys)) {
+                    if (key in items) result[key] = copy(items[key]);
+                }
+            } else {
+                // An object of defaults
+                result = {};
+                for (const [key, fallback] of Object.entries(keys)) {
+                    result[key] = key in items ? copy(items[key]) : fallback;
+                }
+            }
+            return respond(result, callback);
+        }),
+        set: jest.fn((values, callback) => {
+            Object.assign(items, copy(values));
+            return respond(undefined, callback);
+        }),
+        remove: jest.fn((keys, callback) => {
+            for (const key of [].concat(keys)) delete items[key];
+            return respond(undefined, callback);
+        }),
+        clear: jest.fn(callback => {
+            items = {};
+            return respond(undefined, callback);
+        })
+    };
+}
+
+global.chrome = chrome;
+
+chrome.runtime.id = EXTENSION_ID;
+chrome.storage.local = createStorageArea();
+chrome.storage.sync = createStorageArea();
+chrome.storage.managed = createStorageArea();
+chrome.storage.session = createStorageArea();
+chrome.action = {
+    setIcon: jest.fn(() => Promise.resolve()),
+    setBadgeText: jest.fn(() => Promise.resolve()),
+    setBadgeBackgroundColor: jest.fn(() => Promise.resolve()),
+    setTitle: jest.fn(() => Promise.resolve())
+};
+chrome.scripting = {
+    executeScript: jest.fn(() => Promise.resolve([])),
+    registerContentScripts: jest.fn(() => Promise.resolve()),
+    unregisterContentScripts: jest.fn(() => Promise.resolve()),
+    getRegisteredContentScripts: jest.fn(() => Promise.resolve([]))
+};
+chrome.tabs.goBack = jest.fn();
+
+/**
+ * Restores the default behavior of the mocks the extension relies on, since a test may override them.
+ */
+function resetChromeMocks() {
+    chrome.runtime.getManifest.mockReturnValue({ name: 'SB29 Guard', version: '0.1.0' });
+    chrome.runtime.getURL.mockImplementation(file => `chrome-extension://${EXTENSION_ID}/${file}`);
+    chrome.identity.getRedirectURL.mockReturnValue(`https://${EXTENSION_ID}.chromiumapp.org/`);
+    chrome.permissions.contains.mockResolvedValue(false);
+    chrome.tabs.update.mockResolvedValue({});
+    chrome.tabs.create.mockResolvedValue({});
+    chrome.tabs.goBack.mockResolvedValue(undefined);
+    chrome.tabs.remove.mockResolvedValue(undefined);
+    chrome.alarms.create.mockResolvedValue(undefined);
+}
+resetChromeMocks();
+
+beforeEach(async () => {
+    await Promise.all(['local', 'sync', 'managed', 'session'].map(area => chrome.storage[area].clear()));
+    resetChromeMocks();
+
+    // The extension logs every step; keep the test output to the failures
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+});
@@ -0,0 +1,12 @@
+// Stands in for extension/status-rules.js, which build.mjs generates. The rules are loaded from
+// requirements/icon-strategy.yaml the same way the build does, so tests never need a build.
+
+import path from 'path';
+import { loadStatusRules } from '../../status-rules.mjs';
+
+const root = path.join(__dirname, '..', '..');
+
+export const STATUS_RULES = loadStatusRules(
+    path.join(root, 'requirements', 'icon-strategy.yaml'),
+    path.join(root, 'extension')
+);
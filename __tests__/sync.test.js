@@ -0,0 +1,220 @@
+import { createFakeSupabase } from '../fake-supabase.mjs';
+import { useFakeSupabase } from './support/api-config.js';
+import { fetchSupabaseRows, getLatestUpdatedAt, isTombstone, mergeDeltaRows } from '../extension/data-sources.js';
+import { getAndUpdateDpaList, resetDpaLookup } from '../extension/dpa-cache.js';
+import { buildSession } from '../extension/session.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('mergeDeltaRows', () => {
+    const cached = [
+        { id: 1, software_name: 'Kahoot!' },
+        { id: 2, software_name: 'Quizlet' },
+        { id: 3, software_name: 'Canva' }
+    ];
+
+    test('replaces changed rows, adds new ones and removes tombstones', () => {
+        const merged = mergeDeltaRows(cached, [
+            { id: 2, software_name: 'Quizlet Plus' },
+            { id: '3', deleted_at: '2025-09-01T00:00:00Z' },
+            { id: 4, software_name: 'Padlet' }
+        ]);
+        expect(merged).toEqual([
+            { id: 1, software_name: 'Kahoot!' },
+            { id: 2, software_name: 'Quizlet Plus' },
+            { id: 4, software_name: 'Padlet' }
+        ]);
+        expect(cached).toHaveLength(3);
+    });
+
+    test('absorbs rows sent again unchanged', () => {
+        expect(mergeDeltaRows(cached, [cached[0], cached[1]])).toEqual(cached);
+    });
+
+    test('a tombstone for a row that was never cached is a no-op', () => {
+        expect(mergeDeltaRows(cached, [{ id: 9, is_deleted: 'TRUE' }])).toEqual(cached);
+    });
+});
+
+describe('isTombstone', () => {
+    test.each([
+        [{ deleted_at: '2025-09-01T00:00:00Z' }, true],
+        [{ is_deleted: true }, true],
+        [{ is_deleted: ' True ' }, true],
+        [{ is_deleted: '1' }, true],
+        [{ is_deleted: 'false' }, false],
+        [{ deleted_at: null, is_deleted: '' }, false]
+    ])('%p -> %p', (row, expected) => {
+        expect(isTombstone(row)).toBe(expected);
+    });
+});
+
+describe('getLatestUpdatedAt', () => {
+    test('finds the newest timestamp, keeping the previous cursor when nothing is newer', () => {
+        const rows = [{ updated_at: '2025-09-02T00:00:00Z' }, { updated_at: '2025-09-03T00:00:00Z' }, {}];
+        expect(getLatestUpdatedAt(rows, '2025-09-01T00:00:00Z')).toBe('2025-09-03T00:00:00Z');
+        expect(getLatestUpdatedAt([], '2025-09-01T00:00:00Z')).toBe('2025-09-01T00:00:00Z');
+    });
+});
+
+describe('syncing with Supabase', () => {
+    let fake;
+
+    /**
+     * Ages the cache past the refresh period, so the next call syncs.
+     *
+     * @returns {Promise<void>}
+     */
+    async function expireCache() {
+        await chrome.storage.local.set({ lastFetch: Date.now() - 2 * HOUR });
+        resetDpaLookup();
+    }
+
+    /**
+     * The names in the cached list.
+     *
+     * @returns {Promise<string[]>} The names, sorted.
+     */
+    async function cachedNames() {
+        const { dpaList } = await chrome.storage.local.get('dpaList');
+        return dpaList.map(row => row.software_name).sort();
+    }
+
+    beforeEach(async () => {
+        fake = createFakeSupabase();
+        useFakeSupabase(await fake.listen());
+        resetDpaLookup();
+        await chrome.storage.sync.set({ dataSource: 'supabase', allowedDomains: [] });
+        await chrome.storage.local.set({ supabase_session: buildSession(fake.issueSession('teacher@example.org')) });
+
+        // The first sync is a full download
+        await getAndUpdateDpaList();
+        fake.state.requests.length = 0;
+    });
+
+    afterEach(async () => {
+        await fake.close();
+    });
+
+    test('an unchanged list costs only a 304', async () => {
+        const { syncState } = await chrome.storage.local.get('syncState');
+
+        const result = await fetchSupabaseRows({}, { ...syncState, cursor: null });
+        expect(result.status).toBe('not_modified');
+        expect(fake.state.requests).toEqual(['GET /rest/v1/dpa_list']);
+    });
+
+    test('a full sync that comes back 304 only renews the cache time', async () => {
+        // Without a recent full sync, the next refresh is a conditional full download
+        const { syncState } = await chrome.storage.local.get('syncState');
+        await chrome.storage.local.set({ syncState: { ...syncState, lastFullSync: Date.now() - 25 * HOUR } });
+        await expireCache();
+
+        const lookup = await getAndUpdateDpaList();
+        expect(fake.state.requests).toEqual(['GET /rest/v1/dpa_list']);
+        expect(lookup.dpaList).toHaveLength(6);
+        expect(Date.now() - lookup.lastFetch).toBeLessThan(HOUR);
+    });
+
+    test('later refreshes ask only for changes, including rows at the cursor time', async () => {
+        const { syncState } = await chrome.storage.local.get('syncState');
+        await expireCache();
+
+        await getAndUpdateDpaList();
+        expect(fake.state.requests).toEqual([
+            `GET /rest/v1/dpa_list?updated_at=gte.${encodeURIComponent(syncState.cursor)}&order=updated_at.asc`
+        ]);
+    });
+
+    test('a row written at the same time as the cursor is not missed, and re-sent rows are absorbed', async () => {
+        const { syncState } = await chrome.storage.local.get('syncState');
+        fake.state.rows.push({
+            id: 7, software_name: 'Padlet', resource_link: 'https://padlet.com', current_tl_status: 'Approved',
+            current_dpa_status: 'Received', updated_at: syncState.cursor
+        });
+        await expireCache();
+
+        const lookup = await getAndUpdateDpaList();
+        expect(lookup.dpaList).toHaveLength(7);
+        expect(await cachedNames()).toContain('Padlet');
+    });
+
+    test('changed rows are merged and deleted rows removed', async () => {
+        fake.upsertRows([{ id: 2, current_tl_status: 'Approved', current_dpa_status: 'Received' }, { software_name: 'Padlet', resource_link: 'https://padlet.com', current_tl_status: 'Pending', current_dpa_status: 'Requested' }]);
+        fake.deleteRow(3);
+        await expireCache();
+
+        const lookup = await getAndUpdateDpaList();
+        expect(await cachedNames()).toEqual(['Example Games', 'Google Classroom (iOS)', 'Kahoot!', 'Khan Academy (Math)', 'Padlet', 'Quizlet']);
+        expect(lookup.dpaList.find(row => row.id === 2).current_tl_status).toBe('Approved');
+        const { syncState } = await chrome.storage.local.get('syncState');
+        expect(syncState.cursor).toBe(fake.state.rows.find(row => row.id === 3).updated_at);
+    });
+
+    test('a delta whose only change fails validation is quarantined, and the cursor still moves on', async () => {
+        const before = (await chrome.storage.local.get('syncState')).syncState;
+        fake.state.rows.push({
+            id: 7, software_name: 'Bad Row', resource_link: 'https://bad.example.com', current_tl_status: 'Aprooved',
+            current_dpa_status: 'Received', updated_at: new Date(Date.now() + 1000).toISOString()
+        });
+        await chrome.storage.local.set({
+            dpaDiagnostics: { quarantined: [{ index: 0, row: { id: 9, software_name: 'Earlier Bad Row' }, reasons: ['Missing resource_link.'] }] }
+        });
+        await expireCache();
+
+        const lookup = await getAndUpdateDpaList();
+        expect(lookup.dpaList).toHaveLength(6);
+        expect(Date.now() - lookup.lastFetch).toBeLessThan(HOUR);
+        const { syncState, dpaDiagnostics, fetchHealth } = await chrome.storage.local.get(['syncState', 'dpaDiagnostics', 'fetchHealth']);
+        expect(syncState.cursor).not.toBe(before.cursor);
+        expect(dpaDiagnostics.quarantined.map(entry => entry.row.software_name)).toEqual(['Earlier Bad Row', 'Bad Row']);
+        expect(fetchHealth.consecutiveFailures).toBe(0);
+
+        // The next refresh doesn't ask for the bad row again
+        fake.state.requests.length = 0;
+        await expireCache();
+        await getAndUpdateDpaList();
+        expect(fake.state.requests).toEqual([
+            `GET /rest/v1/dpa_list?updated_at=gte.${encodeURIComponent(syncState.cursor)}&order=updated_at.asc`
+        ]);
+    });
+
+    test('a full download where no row passes keeps the cached list', async () => {
+        const { syncState } = await chrome.storage.local.get('syncState');
+        await chrome.storage.local.set({ syncState: { ...syncState, lastFullSync: Date.now() - 25 * HOUR } });
+        fake.state.rows = fake.state.rows.map(row => ({ ...row, current_tl_status: 'Maybe' }));
+        await expireCache();
+
+        const lookup = await getAndUpdateDpaList();
+        expect(lookup.dpaList).toHaveLength(6);
+        const { fetchHealth } = await chrome.storage.local.get('fetchHealth');
+        expect(fetchHealth.lastError.reason).toBe('invalid_data');
+    });
+
+    test('changes without an id fall back to a full download', async () => {
+        fake.state.rows.push({
+            software_name: 'No Id Tool', resource_link: 'https://noid.example.com', current_tl_status: 'Approved',
+            current_dpa_status: 'Received', updated_at: new Date(Date.now() + 1000).toISOString()
+        });
+        await expireCache();
+
+        await getAndUpdateDpaList();
+        expect(fake.state.requests).toEqual([
+            expect.stringMatching(/^GET \/rest\/v1\/dpa_list\?updated_at=gte\./),
+            'GET /rest/v1/dpa_list'
+        ]);
+        expect(await cachedNames()).toContain('No Id Tool');
+        expect(console.warn).toHaveBeenCalledWith('Changed rows are missing an id. Downloading the full DPA list instead.');
+    });
+
+    test('a full download still happens daily, to catch hard deletes', async () => {
+        const { syncState } = await chrome.storage.local.get('syncState');
+        await chrome.storage.local.set({ syncState: { ...syncState, lastFullSync: Date.now() - 25 * HOUR } });
+        fake.state.rows = fake.state.rows.filter(row => row.id !== 1);
+        await expireCache();
+
+        await getAndUpdateDpaList();
+        expect(fake.state.requests).toEqual(['GET /rest/v1/dpa_list']);
+        expect(await cachedNames()).not.toContain('Kahoot!');
+    });
+});
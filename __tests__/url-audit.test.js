@@ -0,0 +1,153 @@
+import {
+    MAX_AUDIT_URLS, auditUrls, buildAuditCsv, extractAuditUrls, summarizeAudit, toAuditUrl, unwrapRedirectUrl
+} from '../extension/url-audit.js';
+import { getDomainInfo } from '../extension/domain-info.js';
+import { buildDpaIndex, lookupSite } from '../extension/site-matching.js';
+import { determineOverallStatus } from '../extension/overall-status.js';
+
+const DPA_LIST = [
+    { software_name: 'Kahoot!', resource_link: 'https://kahoot.com', current_tl_status: 'Approved', current_dpa_status: 'Received' },
+    { software_name: 'Example Games', resource_link: 'https://games.example.com', current_tl_status: 'Rejected', current_dpa_status: '' },
+    { software_name: 'Google Classroom (iOS)', resource_link: 'https://apps.apple.com/us/app/google-classroom/id924620788', current_tl_status: 'Approved', current_dpa_status: 'Not Required' }
+];
+const DPA_INDEX = buildDpaIndex(DPA_LIST);
+
+// The same matching the service worker passes in
+const MATCHER = {
+    getDomainInfo: url => getDomainInfo(url, DPA_INDEX.apps),
+    findRow: domainInfo => lookupSite(DPA_LIST, DPA_INDEX, domainInfo),
+    getOverallStatus: determineOverallStatus
+};
+
+describe('unwrapRedirectUrl', () => {
+    test.each([
+        ['https://www.google.com/url?q=https://kahoot.com/join&sa=D&source=editors', 'https://kahoot.com/join'],
+        ['https://google.com/url?url=https%3A%2F%2Fquizlet.com%2F', 'https://quizlet.com/'],
+        ['https://www.google.com/url?sa=D', 'https://www.google.com/url?sa=D'],
+        ['https://notgoogle.com/url?q=https://kahoot.com', 'https://notgoogle.com/url?q=https://kahoot.com'],
+        ['https://www.google.com/search?q=https://kahoot.com', 'https://www.google.com/search?q=https://kahoot.com'],
+        ['not a url', 'not a url']
+    ])('%s -> %s', (url, expected) => {
+        expect(unwrapRedirectUrl(url)).toBe(expected);
+    });
+});
+
+describe('toAuditUrl', () => {
+    test.each([
+        ['https://kahoot.com/join', 'https://kahoot.com/join'],
+        ['HTTP://Kahoot.com', 'HTTP://Kahoot.com'],
+        ['kahoot.com', 'https://kahoot.com'],
+        ['create.kahoot.com/details/abc', 'https://create.kahoot.com/details/abc'],
+        ['(kahoot.com).', 'https://kahoot.com'],
+        ['<https://quizlet.com/>', 'https://quizlet.com/'],
+        ['teacher@masonohioschools.com', null],
+        ['mailto:teacher@masonohioschools.com', null],
+        ['ftp://files.example.com', null],
+        ['localhost', null],
+        ['3.14', null],
+        ['hello', null]
+    ])('%p -> %p', (token, expected) => {
+        expect(toAuditUrl(token)).toBe(expected);
+    });
+});
+
+describe('extractAuditUrls', () => {
+    test('finds links in pasted text, with the line they were on', () => {
+        const text = [
+            'Week 1: warm-up on kahoot.com, then https://games.example.com/play.',
+            'Questions? Email teacher@masonohioschools.com',
+            '',
+            'Slides: https://www.google.com/url?q=https://docs.google.com/presentation/d/1&sa=D'
+        ].join('\r\n');
+
+        expect(extractAuditUrls(text)).toEqual({
+            urls: [
+                { line: 1, url: 'https://kahoot.com' },
+                { line: 1, url: 'https://games.example.com/play' },
+                { line: 4, url: 'https://docs.google.com/presentation/d/1' }
+            ],
+            truncated: false
+        });
+    });
+
+    test('reads the links out of a CSV export', () => {
+        const csv = 'title,link\n"Unit 1 quiz","https://kahoot.com/join"\n\'Reading\',https://quizlet.com/123;\n';
+        expect(extractAuditUrls(csv).urls.map(entry => entry.url)).toEqual(['https://kahoot.com/join', 'https://quizlet.com/123']);
+    });
+
+    test('lists each link once, where it first appears', () => {
+        const text = 'https://kahoot.com/join\nkahoot.com\nhttps://kahoot.com/join\nhttps://www.google.com/url?q=https://kahoot.com/join';
+        expect(extractAuditUrls(text).urls).toEqual([
+            { line: 1, url: 'https://kahoot.com/join' },
+            { line: 2, url: 'https://kahoot.com' }
+        ]);
+    });
+
+    test(`stops after ${MAX_AUDIT_URLS} links`, () => {
+        const text = Array.from({ length: MAX_AUDIT_URLS + 5 }, (value, index) => `https://site${index}.example.com/`).join('\n');
+        const { urls, truncated } = extractAuditUrls(text);
+        expect(urls).toHaveLength(MAX_AUDIT_URLS);
+        expect(urls[MAX_AUDIT_URLS - 1].url).toBe(`https://site${MAX_AUDIT_URLS - 1}.example.com/`);
+        expect(truncated).toBe(true);
+    });
+
+    test('repeats of earlier links do not count toward the limit', () => {
+        const text = Array.from({ length: MAX_AUDIT_URLS }, (value, index) => `https://site${index}.example.com/`).join('\n') + '\nhttps://site0.example.com/';
+        expect(extractAuditUrls(text).truncated).toBe(false);
+    });
+
+    test.each([null, undefined, ''])('%p has no links', text => {
+        expect(extractAuditUrls(text)).toEqual({ urls: [], truncated: false });
+    });
+});
+
+describe('auditUrls', () => {
+    test('gives each link its status and the reason for it', () => {
+        const results = auditUrls([
+            { line: 1, url: 'https://kahoot.com/join' },
+            { line: 2, url: 'https://games.example.com/play' },
+            { line: 3, url: 'https://apps.apple.com/gb/app/google-classroom/id924620788' },
+            { line: 4, url: 'https://apps.apple.com/us/app/other/id1' },
+            { line: 5, url: 'https://apps.apple.com/us/charts/iphone' },
+            { line: 6, url: 'https://unknown-tool.example.net/' },
+            { line: 7, url: 'https://' }
+        ], MATCHER);
+
+        expect(results.map(({ line, overallStatus, row, reason }) => [line, overallStatus, row && row.software_name, reason])).toEqual([
+            [1, 'approved', 'Kahoot!', 'Matched the district list entry for https://kahoot.com.'],
+            [2, 'denied', 'Example Games', 'Matched the district list entry for https://games.example.com.'],
+            [3, 'approved', 'Google Classroom (iOS)', 'Matched Apple App Store app 924620788.'],
+            [4, 'unlisted', null, 'Apple App Store app 1 is not in the district list.'],
+            [5, 'unlisted', null, 'This Apple App Store page is not a specific app.'],
+            [6, 'unlisted', null, 'No district list entry covers unknown-tool.example.net.'],
+            [7, 'invalid', null, 'Not a valid web address.']
+        ]);
+    });
+
+    test('summarizeAudit counts the results by status', () => {
+        const results = auditUrls(extractAuditUrls('kahoot.com games.example.com kahoot.com/join nope.example.net').urls, MATCHER);
+        expect(summarizeAudit(results)).toEqual({ approved: 2, denied: 1, unlisted: 1 });
+    });
+});
+
+describe('buildAuditCsv', () => {
+    test('writes a header and one row per link, quoting fields that need it', () => {
+        const results = [
+            { line: 1, url: 'https://kahoot.com/join', overallStatus: 'approved', row: DPA_LIST[0], reason: 'Matched the district list entry for https://kahoot.com.' },
+            { line: 2, url: 'https://nope.example.net/?a=1,2', overallStatus: 'unlisted', row: null, reason: 'No entry for "nope", sorry.' },
+            { line: 3, url: 'https://games.example.com', overallStatus: 'denied', row: DPA_LIST[1], reason: 'Two\nlines' }
+        ];
+
+        expect(buildAuditCsv(results)).toBe([
+            'line,url,status,resource,tl_status,dpa_status,reason',
+            '1,https://kahoot.com/join,approved,Kahoot!,Approved,Received,Matched the district list entry for https://kahoot.com.',
+            '2,"https://nope.example.net/?a=1,2",unlisted,,,,"No entry for ""nope"", sorry."',
+            '3,https://games.example.com,denied,Example Games,Rejected,,"Two\nlines"',
+            ''
+        ].join('\n'));
+    });
+
+    test('an empty audit is just the header', () => {
+        expect(buildAuditCsv([])).toBe('line,url,status,resource,tl_status,dpa_status,reason\n');
+    });
+});
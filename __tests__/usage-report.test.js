@@ -0,0 +1,95 @@
+import {
+    MAX_EMAILED_SITES, buildReviewMailto, buildReviewRequest, buildUsageCsv, formatUsageDate, getUsageEntries
+} from '../extension/usage-report.js';
+
+const NOW = Date.UTC(2026, 9, 19);
+const DAY = 24 * 60 * 60 * 1000;
+
+const TALLY = {
+    'example.net': { status: 'unlisted', count: 3, firstSeen: NOW - 10 * DAY, lastSeen: NOW - DAY },
+    'quizlet.com': { status: 'pending', count: 1, firstSeen: NOW - 2 * DAY, lastSeen: NOW - 2 * DAY },
+    'Apple App Store: 924620788': { status: 'unlisted', count: 3, firstSeen: NOW - 3 * DAY, lastSeen: NOW }
+};
+
+/**
+ * Makes tally entries for a number of sites.
+ *
+ * @param {number} count - How many.
+ * @returns {object[]} The entries, as from `getUsageEntries`.
+ */
+function manySites(count) {
+    return Array.from({ length: count }, (value, index) =>
+        ({ site: `site${index}.example.com`, status: 'unlisted', count: 1, firstSeen: NOW, lastSeen: NOW }));
+}
+
+describe('getUsageEntries', () => {
+    test('lists the most visited sites first, then the most recently visited', () => {
+        expect(getUsageEntries(TALLY).map(entry => entry.site)).toEqual(['Apple App Store: 924620788', 'example.net', 'quizlet.com']);
+        expect(getUsageEntries(TALLY)[1]).toEqual({ site: 'example.net', ...TALLY['example.net'] });
+    });
+
+    test.each([undefined, null, {}])('%p has no entries', tally => {
+        expect(getUsageEntries(tally)).toEqual([]);
+    });
+});
+
+describe('formatUsageDate', () => {
+    test('formats the date in UTC', () => {
+        expect(formatUsageDate(NOW + 23 * 60 * 60 * 1000)).toBe('2026-10-19');
+    });
+});
+
+describe('buildUsageCsv', () => {
+    test('writes a header and one row per site', () => {
+        expect(buildUsageCsv(getUsageEntries(TALLY))).toBe([
+            'site,status,visits,first_seen,last_seen',
+            'Apple App Store: 924620788,unlisted,3,2026-10-16,2026-10-19',
+            'example.net,unlisted,3,2026-10-09,2026-10-18',
+            'quizlet.com,pending,1,2026-10-17,2026-10-17',
+            ''
+        ].join('\n'));
+    });
+});
+
+describe('buildReviewRequest', () => {
+    test('lists each site with its status, visits and last visit', () => {
+        const request = buildReviewRequest(getUsageEntries(TALLY), 'Mason City Schools');
+        expect(request.subject).toBe('Please review 3 tools for the Mason City Schools resource list');
+        expect(request.body).toBe([
+            'Hello,',
+            '',
+            'I use these tools that are not yet approved in the Mason City Schools resource list. Could they be reviewed?',
+            '',
+            '- Apple App Store: 924620788 (unlisted, 3 visits, last 2026-10-19)',
+            '- example.net (unlisted, 3 visits, last 2026-10-18)',
+            '- quizlet.com (pending, 1 visit, last 2026-10-17)',
+            '',
+            'Thank you!'
+        ].join('\n'));
+    });
+
+    test('a single site is one tool', () => {
+        expect(buildReviewRequest(manySites(1), 'Mason City Schools').subject).toBe('Please review 1 tool for the Mason City Schools resource list');
+    });
+
+    test(`lists all ${MAX_EMAILED_SITES} sites when there are no more`, () => {
+        const { body } = buildReviewRequest(manySites(MAX_EMAILED_SITES), 'Mason City Schools');
+        expect(body).toContain(`- site${MAX_EMAILED_SITES - 1}.example.com`);
+        expect(body).not.toContain('more (ask me for the full list)');
+    });
+
+    test(`lists only the first ${MAX_EMAILED_SITES} sites, and says how many more there are`, () => {
+        const { subject, body } = buildReviewRequest(manySites(MAX_EMAILED_SITES + 4), 'Mason City Schools');
+        expect(subject).toBe(`Please review ${MAX_EMAILED_SITES + 4} tools for the Mason City Schools resource list`);
+        expect(body).toContain(`- site${MAX_EMAILED_SITES - 1}.example.com`);
+        expect(body).not.toContain(`- site${MAX_EMAILED_SITES}.example.com`);
+        expect(body).toContain('- ...and 4 more (ask me for the full list)');
+    });
+});
+
+describe('buildReviewMailto', () => {
+    test('leaves the recipient to the teacher and encodes the subject and body', () => {
+        expect(buildReviewMailto({ subject: 'Review 2 tools', body: 'Hello,\n- a & b' }))
+            .toBe('mailto:?subject=Review%202%20tools&body=Hello%2C%0A-%20a%20%26%20b');
+    });
+});
@@ -0,0 +1,106 @@
+import {
+    MAX_USAGE_TALLY_ENTRIES, USAGE_TALLY_RETENTION_DAYS, addToUsageTally, getUsageTallyKey, pruneUsageTally, recordUsage
+} from '../extension/usage-tally.js';
+import { getDomainInfo } from '../extension/domain-info.js';
+
+const NOW = Date.UTC(2026, 9, 19);
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * The stored tally.
+ *
+ * @returns {Promise<Object<string, object>|undefined>} The `usageTally` in local storage.
+ */
+async function storedTally() {
+    return (await chrome.storage.local.get('usageTally')).usageTally;
+}
+
+describe('getUsageTallyKey', () => {
+    test.each([
+        ['https://www.unknown-tool.example.net/lesson/1?student=42', 'example.net'],
+        ['https://apps.apple.com/us/app/google-classroom/id924620788', 'Apple App Store: 924620788']
+    ])('%s -> %p', (url, expected) => {
+        expect(getUsageTallyKey(getDomainInfo(url))).toBe(expected);
+    });
+});
+
+describe('pruneUsageTally', () => {
+    test(`drops sites not visited in ${USAGE_TALLY_RETENTION_DAYS} days`, () => {
+        const tally = {
+            'old.example.com': { status: 'unlisted', count: 9, firstSeen: NOW - 200 * DAY, lastSeen: NOW - USAGE_TALLY_RETENTION_DAYS * DAY - 1 },
+            'edge.example.com': { status: 'unlisted', count: 1, firstSeen: NOW - 100 * DAY, lastSeen: NOW - USAGE_TALLY_RETENTION_DAYS * DAY },
+            'recent.example.com': { status: 'pending', count: 2, firstSeen: NOW - DAY, lastSeen: NOW }
+        };
+        expect(Object.keys(pruneUsageTally(tally, NOW))).toEqual(['recent.example.com', 'edge.example.com']);
+    });
+
+    test(`keeps the ${MAX_USAGE_TALLY_ENTRIES} most recently visited sites`, () => {
+        const tally = {};
+        for (let index = 0; index < MAX_USAGE_TALLY_ENTRIES + 3; index++) {
+            tally[`site${index}.example.com`] = { status: 'unlisted', count: 1, firstSeen: NOW - DAY, lastSeen: NOW - DAY + index };
+        }
+
+        const pruned = pruneUsageTally(tally, NOW);
+        expect(Object.keys(pruned)).toHaveLength(MAX_USAGE_TALLY_ENTRIES);
+        ['site0.example.com', 'site1.example.com', 'site2.example.com'].forEach(site => expect(pruned).not.toHaveProperty([site]));
+        expect(pruned).toHaveProperty([`site${MAX_USAGE_TALLY_ENTRIES + 2}.example.com`]);
+    });
+});
+
+describe('addToUsageTally', () => {
+    test('starts a new site at one visit', () => {
+        expect(addToUsageTally({}, 'example.net', 'unlisted', NOW)).toEqual({
+            'example.net': { status: 'unlisted', count: 1, firstSeen: NOW, lastSeen: NOW }
+        });
+    });
+
+    test('counts another visit, keeping the first visit and taking the latest status', () => {
+        const tally = { 'example.net': { status: 'unlisted', count: 3, firstSeen: NOW - 5 * DAY, lastSeen: NOW - DAY } };
+        const updated = addToUsageTally(tally, 'example.net', 'pending', NOW);
+        expect(updated['example.net']).toEqual({ status: 'pending', count: 4, firstSeen: NOW - 5 * DAY, lastSeen: NOW });
+        expect(tally['example.net'].count).toBe(3);
+    });
+
+    test('prunes the tally as it adds', () => {
+        const tally = { 'old.example.com': { status: 'unlisted', count: 1, firstSeen: 0, lastSeen: 0 } };
+        expect(Object.keys(addToUsageTally(tally, 'example.net', 'unlisted', NOW))).toEqual(['example.net']);
+    });
+});
+
+describe('recordUsage', () => {
+    const unknownTool = getDomainInfo('https://unknown-tool.example.net/');
+
+    beforeEach(() => {
+        jest.spyOn(Date, 'now').mockReturnValue(NOW);
+    });
+
+    test('tallies unlisted and pending sites', async () => {
+        await recordUsage(unknownTool, 'unlisted');
+        await recordUsage(getDomainInfo('https://quizlet.com/'), 'pending');
+        await recordUsage(unknownTool, 'unlisted');
+
+        expect(await storedTally()).toEqual({
+            'example.net': { status: 'unlisted', count: 2, firstSeen: NOW, lastSeen: NOW },
+            'quizlet.com': { status: 'pending', count: 1, firstSeen: NOW, lastSeen: NOW }
+        });
+    });
+
+    test('ignores sites that are already reviewed', async () => {
+        await recordUsage(getDomainInfo('https://kahoot.com/'), 'approved');
+        await recordUsage(getDomainInfo('https://games.example.com/'), 'denied');
+        expect(await storedTally()).toBeUndefined();
+    });
+
+    test('removes a site once it has been reviewed', async () => {
+        await recordUsage(unknownTool, 'pending');
+        await recordUsage(getDomainInfo('https://quizlet.com/'), 'unlisted');
+        await recordUsage(unknownTool, 'approved');
+
+        expect(Object.keys(await storedTally())).toEqual(['quizlet.com']);
+    });
+
+    test('visits in several tabs at once are all counted', async () => {
+        await Promise.all([recordUsage(unknownTool, 'unlisted'), recordUsage(unknownTool, 'unlisted'), recordUsage(unknownTool, 'unlisted')]);
+        expect((await storedTally())['example.net'].count).toBe(3);
+    });
+});
@@ -0,0 +1,5 @@
+// Jest runs the extension's ES modules (and the .mjs build scripts) as CommonJS. Chrome loads
+// the modules as they are, so this is only used by the tests.
+module.exports = {
+    plugins: ['@babel/plugin-transform-modules-commonjs']
+};
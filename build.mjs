@@ -1,10 +1,13 @@
 import fs from 'fs';
 import path from 'path';
+import { loadStatusRules, renderStatusRules } from './status-rules.mjs';
 
 // --- Configuration ---
 const configPath = './config.mjs';
 const sourceDir = 'extension'; // Assumes your source files are in /extension
 const buildDir = 'build';
+const iconStrategyPath = 'requirements/icon-strategy.yaml';
+const dataSources = ['supabase', 'sheet-csv', 'json'];
 
 // Helper function to read and parse a JSON file reliably
 function readJsonFile(filePath) {
@@ -24,18 +27,39 @@ async function build() {
         process.exit(1);
     }
     const config = await import(configPath);
-    const { OAUTH2_CLIENT_ID, API_KEY, API_URI, API_HOST } = config.default;
+    const { OAUTH2_CLIENT_ID = '', API_KEY = '', API_URI = '', API_HOST = '', DATA_SOURCE = 'supabase', DATA_SOURCE_URL = '', ALLOWED_DOMAINS = [] } = config.default;
 
-    if (!OAUTH2_CLIENT_ID || !API_KEY || !API_URI || !API_HOST) {
+    if (!dataSources.includes(DATA_SOURCE)) {
+        console.error(`🔴 Error: DATA_SOURCE must be one of ${dataSources.join(', ')} (got '${DATA_SOURCE}').`);
+        process.exit(1);
+    }
+    if (DATA_SOURCE === 'supabase' && (!OAUTH2_CLIENT_ID || !API_KEY || !API_URI || !API_HOST)) {
         console.error('🔴 Error: Required values (OAUTH2_CLIENT_ID, API_KEY, API_URI, API_HOST) are missing from config.mjs.');
         process.exit(1);
     }
+    if (DATA_SOURCE !== 'supabase' && !URL.canParse(DATA_SOURCE_URL)) {
+        console.error(`🔴 Error: DATA_SOURCE '${DATA_SOURCE}' needs a valid DATA_SOURCE_URL in config.mjs.`);
+        process.exit(1);
+    }
+
+    // The extension only needs permission to reach the host that serves its data
+    const dataHost = DATA_SOURCE === 'supabase' ? API_HOST : new URL(DATA_SOURCE_URL).origin;
 
-    // 2. Prepare build directory
+    // 2. Validate the icon strategy before touching the build directory
+    console.log('   - Validating icon-strategy.yaml...');
+    let statusRules;
+    try {
+        statusRules = loadStatusRules(iconStrategyPath, sourceDir);
+    } catch (error) {
+        console.error(`🔴 Error: ${error.message}`);
+        process.exit(1);
+    }
+
+    // 3. Prepare build directory
     if (fs.existsSync(buildDir)) fs.rmSync(buildDir, { recursive: true, force: true });
     fs.mkdirSync(buildDir, { recursive: true });
 
-    // 3. Process and create the final manifest.json
+    // 4. Process and create the final manifest.json
     console.log('   - Building manifest.json...');
     const manifestTemplatePath = path.join(sourceDir, 'manifest.template.json');
     if (!fs.existsSync(manifestTemplatePath)) {
@@ -50,12 +74,12 @@ async function build() {
     manifestContent = manifestContent.replace(/<% description %>/g, packageJson.description);
 
     // Replace secrets from config.js
-    manifestContent = manifestContent.replace(/__API_HOST_PLACEHOLDER__/g, `${API_HOST}/*`);
+    manifestContent = manifestContent.replace(/__API_HOST_PLACEHOLDER__/g, `${dataHost}/*`);
     manifestContent = manifestContent.replace(/__OAUTH2_CLIENT_ID_PLACEHOLDER__/g, OAUTH2_CLIENT_ID);
     
     fs.writeFileSync(path.join(buildDir, 'manifest.json'), manifestContent);
 
-    // 4. Copy all other files and replace placeholders where needed
+    // 5. Copy all other files and replace placeholders where needed
     console.log('   - Processing and copying source files...');
     const allFiles = fs.readdirSync(sourceDir, { withFileTypes: true });
 
@@ -72,17 +96,28 @@ async function build() {
             continue;
         }
         
-        if (file.name === 'background.js') {
+        if (file.name === 'api-config.js') {
             let content = fs.readFileSync(sourcePath, 'utf8');
             content = content.replace(/__API_KEY_PLACEHOLDER__/g, API_KEY);
             content = content.replace(/__API_URI_PLACEHOLDER__/g, API_URI);
             content = content.replace(/__API_HOST_PLACEHOLDER__/g, API_HOST);
             fs.writeFileSync(destPath, content);
+        } else if (file.name === 'settings.js') {
+            // Build-time defaults; administrators can override them on the options page
+            let content = fs.readFileSync(sourcePath, 'utf8');
+            content = content.replace(/__DATA_SOURCE_PLACEHOLDER__/g, DATA_SOURCE);
+            content = content.replace(/__DATA_SOURCE_URL_PLACEHOLDER__/g, DATA_SOURCE_URL);
+            content = content.replace(/__ALLOWED_DOMAINS_PLACEHOLDER__/g, [].concat(ALLOWED_DOMAINS).join(','));
+            fs.writeFileSync(destPath, content);
         } else {
             fs.copyFileSync(sourcePath, destPath);
         }
     }
 
+    // 6. Generate the status rules table evaluated by the background script
+    console.log('   - Generating status-rules.js...');
+    fs.writeFileSync(path.join(buildDir, 'status-rules.js'), renderStatusRules(statusRules));
+
     console.log(`✅ Build complete! Final extension is ready in the /${buildDir} directory.`);
 }
 
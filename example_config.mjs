@@ -1,8 +1,21 @@
 // This is an example configuration file.
 // To build the extension, create a 'config.mjs' file in the root of this project.
-// You will need to provide the OAuth2 Client ID from your Google Cloud project and your Supabase URL and public API (anon) key.
+// With the default Supabase data source, you will need to provide the OAuth2 Client ID from your Google Cloud project
+// and your Supabase URL and public API (anon) key. The 'sheet-csv' and 'json' data sources only need DATA_SOURCE_URL.
 
 export default {
+  // Where the DPA list comes from: 'supabase' (default), 'sheet-csv' or 'json'.
+  // See the "Data Sources" section of requirements/technical-plan.md for the expected columns.
+  DATA_SOURCE: "supabase",
+
+  // For 'sheet-csv': the "Publish to web" CSV link of your Google Sheet.
+  // For 'json': a URL that returns a JSON array of rows. Ignored for 'supabase'.
+  DATA_SOURCE_URL: "",
+
+  // The Google Workspace domains whose accounts may sign in, e.g. ["masonohioschools.com"].
+  // Other Google accounts are signed out. Leave empty to allow any account Supabase accepts.
+  ALLOWED_DOMAINS: [],
+
   // The Client ID for OAuth2, obtained from Google Cloud Console.
   OAUTH2_CLIENT_ID: "YOUR_GOOGLE_CLIENT_ID.apps.googleusercontent.com",
   
@@ -14,4 +27,9 @@ export default {
 
   // The hostname of your Supabase project, used for host permissions in the manifest.
   API_HOST: "https://<YOUR_PROJECT_ID>.supabase.co"
+
+  // To develop without a Supabase project, run `npm run fake-supabase` and use:
+  //   API_KEY: "fake-anon-key",
+  //   API_URI: "http://localhost:54321/rest/v1/dpa_list",
+  //   API_HOST: "http://localhost:54321"
 };
\ No newline at end of file
@@ -0,0 +1,15 @@
+// --- API Configuration ---
+//
+// Where the Supabase data source and sign-in live. The placeholders are replaced by build.mjs
+// from config.mjs; the other data sources don't use these.
+
+// User-Agent header for API requests.
+export const USER_AGENT = 'SB29-guard-chrome';
+
+/**
+ * Placeholders for the Supabase, replaced at build time.
+ * @type {string}
+ */
+export const API_URL = '__API_URI_PLACEHOLDER__';
+export const API_KEY = '__API_KEY_PLACEHOLDER__';
+export const API_HOST = '__API_HOST_PLACEHOLDER__';
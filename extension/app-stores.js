@@ -0,0 +1,193 @@
+// --- App Stores ---
+//
+// The app stores the extension recognizes, as a registry of store definitions. Each definition
+// says which URLs belong to the store, how to pull the app ID out of a store page, and how to
+// normalize that ID, so the same app links to the same ID whichever localized or legacy URL form
+// a page (or a DPA row's `resource_link`) uses. Rows for apps are matched by store name and app ID
+// (see site-matching.js), so stores that share an ID space, like the old and new Chrome Web Store,
+// share a name. A store whose app pages look like the rest of its site (Amazon) only counts for
+// apps the DPA list names.
+// Imported by domain-info.js.
+
+/**
+ * @typedef {object} AppStore
+ * @property {string} name - The display name, also used to match DPA rows to pages.
+ * @property {string[]} hosts - The hostnames the store is served from.
+ * @property {RegExp} [pathPattern] - If set, only paths matching it belong to the store (for hosts that also serve other pages).
+ * @property {function(URL): (string|null)} getAppId - Pulls the raw app ID from a store page URL.
+ * @property {function(string): (string|null)} normalizeId - Turns a raw app ID into its canonical form, or null if it isn't one.
+ * @property {boolean} [listedAppsOnly] - If set, a page only belongs to the store when its app has a row in the DPA list,
+ *           because the store's app pages can't be told apart from the host's other pages by URL.
+ */
+
+/**
+ * Finds the path segment that follows a given segment, e.g. the slug after 'addon'.
+ *
+ * @param {string[]} segments - The non-empty path segments.
+ * @param {string} name - The segment to look for.
+ * @returns {string|null} The following segment, or null if there is none.
+ */
+export function segmentAfter(segments, name) {
+    const index = segments.indexOf(name);
+    return index !== -1 && index + 1 < segments.length ? segments[index + 1] : null;
+}
+
+/**
+ * Splits a URL's path into its non-empty, decoded segments.
+ *
+ * @param {URL} url - The URL.
+ * @returns {string[]} The path segments.
+ */
+export function getPathSegments(url) {
+    return url.pathname.split('/').filter(Boolean).map(segment => {
+        try {
+            return decodeURIComponent(segment);
+        } catch (error) {
+            return segment;
+        }
+    });
+}
+
+/**
+ * Normalizes a Chrome or Edge extension ID: 32 letters from 'a' to 'p'.
+ *
+ * @param {string} id - The raw ID.
+ * @returns {string|null} The lowercase ID, or null if it isn't one.
+ */
+export function normalizeExtensionId(id) {
+    const lower = id.trim().toLowerCase();
+    return /^[a-p]{32}$/.test(lower) ? lower : null;
+}
+
+/**
+ * The recognized app stores.
+ * @type {AppStore[]}
+ */
+export const APP_STORES = [
+    {
+        // iPhone, iPad and Mac apps share one ID space, e.g. /us/app/name/id123456789?platform=ipad
+        name: 'Apple App Store',
+        hosts: ['apps.apple.com', 'itunes.apple.com'],
+        getAppId: url => {
+            const segments = getPathSegments(url);
+            return segments.includes('app') ? segments.find(segment => /^id\d+$/i.test(segment)) || null : null;
+        },
+        normalizeId: id => {
+            const digits = id.replace(/^id/i, '');
+            return /^\d+$/.test(digits) ? digits : null;
+        }
+    },
+    {
+        name: 'Chrome Web Store',
+        hosts: ['chromewebstore.google.com'],
+        getAppId: url => {
+            const segments = getPathSegments(url);
+            return segments[0] === 'detail' ? segments[segments.length - 1] : null;
+        },
+        normalizeId: normalizeExtensionId
+    },
+    {
+        // The old store, e.g. /webstore/detail/name/id, which still redirects to the new one
+        name: 'Chrome Web Store',
+        hosts: ['chrome.google.com'],
+        pathPattern: /^\/webstore(\/|$)/,
+        getAppId: url => {
+            const segments = getPathSegments(url);
+            return segments[1] === 'detail' ? segments[segments.length - 1] : null;
+        },
+        normalizeId: normalizeExtensionId
+    },
+    {
+        name: 'Google Play Store',
+        hosts: ['play.google.com'],
+        getAppId: url => url.pathname.startsWith('/store/apps/details') ? url.searchParams.get('id') : null,
+        normalizeId: id => /^[A-Za-z]\w*(\.[A-Za-z_]\w*)+$/.test(id.trim()) ? id.trim() : null
+    },
+    {
+        // e.g. /marketplace/app/name/123456789, optionally under /u/0/
+        name: 'Google Workspace Marketplace',
+        hosts: ['workspace.google.com'],
+        getAppId: url => {
+            const segments = getPathSegments(url);
+            return segmentAfter(segments, 'marketplace') === 'app' ? segments[segments.length - 1] : null;
+        },
+        normalizeId: id => /^\d+$/.test(id) ? id : null
+    },
+    {
+        // e.g. /detail/9WZDNCRFJ3TJ and the older /store/detail/name/9WZDNCRFJ3TJ
+        name: 'Microsoft Store',
+        hosts: ['apps.microsoft.com'],
+        getAppId: url => {
+            const segments = getPathSegments(url);
+            return segments.includes('detail') ? segments[segments.length - 1] : null;
+        },
+        normalizeId: id => /^[a-z0-9]{12}$/i.test(id) ? id.toUpperCase() : null
+    },
+    {
+        name: 'Microsoft Edge Add-ons',
+        hosts: ['microsoftedge.microsoft.com'],
+        getAppId: url => {
+            const segments = getPathSegments(url);
+            return segments[0] === 'addons' && segments[1] === 'detail' ? segments[segments.length - 1] : null;
+        },
+        normalizeId: normalizeExtensionId
+    },
+    {
+        // e.g. /en-US/firefox/addon/ublock-origin/; the slug is the add-on's stable public ID
+        name: 'Firefox Add-ons',
+        hosts: ['addons.mozilla.org'],
+        getAppId: url => segmentAfter(getPathSegments(url), 'addon'),
+        normalizeId: id => id.trim().toLowerCase() || null
+    },
+    {
+        // e.g. /dp/B00992CF6W, /name/dp/B00992CF6W or /gp/product/B00992CF6W. Every Amazon product
+        // uses these URLs, so only the apps the district has listed are treated as apps.
+        name: 'Amazon Appstore',
+        hosts: ['www.amazon.com', 'amazon.com'],
+        listedAppsOnly: true,
+        getAppId: url => {
+            const segments = getPathSegments(url);
+            return segmentAfter(segments, 'dp') || (segments[0] === 'gp' ? segmentAfter(segments, 'product') : null);
+        },
+        normalizeId: id => /^[a-z0-9]{10}$/i.test(id) ? id.toUpperCase() : null
+    }
+];
+
+/**
+ * Finds the app store a URL belongs to.
+ *
+ * @param {URL} url - The parsed URL.
+ * @returns {AppStore|null} The store definition, or null if the URL isn't an app store page.
+ */
+export function findAppStore(url) {
+    const hostname = url.hostname.toLowerCase();
+    return APP_STORES.find(store =>
+        store.hosts.includes(hostname) && (!store.pathPattern || store.pathPattern.test(url.pathname))
+    ) || null;
+}
+
+/**
+ * Identifies an app store page and its app.
+ *
+ * @param {URL} url - The parsed URL.
+ * @param {Object<string, Object<string, number>>} [listedApps] - The apps in the DPA list (the `apps` of the
+ *        DPA index), for stores with `listedAppsOnly`. Omit it when reading a DPA row's own link.
+ * @returns {{appStoreName: string, appID: string|null}|null} The store's name and the canonical app ID
+ *          (null for store pages that aren't about one app), or null if the URL isn't an app store page.
+ */
+export function getAppStoreInfo(url, listedApps) {
+    const store = findAppStore(url);
+    if (!store) return null;
+
+    const rawId = store.getAppId(url);
+    const appID = rawId ? store.normalizeId(rawId) : null;
+    if (store.listedAppsOnly) {
+        // Anything else on the host is an ordinary page
+        if (!appID) return null;
+        if (listedApps && !(listedApps[store.name] && appID in listedApps[store.name])) return null;
+    }
+    return {
+        appStoreName: store.name,
+        appID: appID
+    };
+}
@@ -0,0 +1,114 @@
+import { getSettings } from './settings.js';
+import { STATUS_RULES } from './status-rules.js';
+import { STATUS_EXPLANATIONS, STATUS_LABELS, describeDataHealth } from './display-helpers.js';
+import { MAX_AUDIT_URLS, buildAuditCsv, extractAuditUrls, summarizeAudit } from './url-audit.js';
+import { downloadCsv } from './csv-export.js';
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const title = document.getElementById('audit-title');
+    const input = document.getElementById('audit-input');
+    const checkButton = document.getElementById('check-button');
+    const fileButton = document.getElementById('file-button');
+    const fileInput = document.getElementById('file-input');
+    const summary = document.getElementById('summary');
+    const dataAge = document.getElementById('data-age');
+    const table = document.getElementById('results-table');
+    const tableBody = document.getElementById('results-body');
+    const exportActions = document.getElementById('export-actions');
+    const exportButton = document.getElementById('export-button');
+    const printButton = document.getElementById('print-button');
+
+    const settings = await getSettings();
+    title.textContent = `${settings.districtName} Link Audit`;
+    let results = [];
+
+    /**
+     * Fills the results table.
+     */
+    function renderResults() {
+        tableBody.replaceChildren();
+        for (const result of results) {
+            const row = tableBody.insertRow();
+            row.insertCell().textContent = result.line;
+            row.insertCell().textContent = result.url;
+
+            const statusCell = row.insertCell();
+            if (result.overallStatus === 'invalid') {
+                statusCell.textContent = 'Invalid link';
+            } else {
+                const icon = document.createElement('img');
+                const iconPaths = STATUS_RULES.icons[result.overallStatus] || STATUS_RULES.icons.default;
+                icon.src = Object.values(iconPaths).pop();
+                icon.alt = '';
+                icon.width = 16;
+                icon.height = 16;
+                statusCell.append(icon, STATUS_LABELS[result.overallStatus] || result.overallStatus);
+                statusCell.title = STATUS_EXPLANATIONS[result.overallStatus] || '';
+            }
+
+            row.insertCell().textContent = result.row ? result.row.software_name : '';
+            row.insertCell().textContent = result.row ? result.row.current_tl_status || 'N/A' : '';
+            row.insertCell().textContent = result.row ? result.row.current_dpa_status || 'N/A' : '';
+            row.insertCell().textContent = result.reason;
+        }
+        table.hidden = results.length === 0;
+        exportActions.hidden = results.length === 0;
+    }
+
+    /**
+     * Checks the links in the text box and shows the results.
+     */
+    function runAudit() {
+        const { urls, truncated } = extractAuditUrls(input.value);
+        if (urls.length === 0) {
+            results = [];
+            renderResults();
+            summary.textContent = 'No links found. Paste one link per line, or choose a file.';
+            return;
+        }
+
+        checkButton.disabled = true;
+        summary.textContent = `Checking ${urls.length} link(s)...`;
+        // The matching runs in the service worker, against the same cached list as the toolbar icon
+        chrome.runtime.sendMessage({ action: "auditUrls", urls: urls }, (response) => {
+            checkButton.disabled = false;
+            if (chrome.runtime.lastError || !response) {
+                summary.textContent = 'Error: Could not connect to the extension.';
+                return;
+            }
+
+            const freshness = describeDataHealth(response.dataHealth);
+            dataAge.textContent = freshness.text;
+            dataAge.classList.toggle('warning', freshness.isWarning);
+            if (response.error) {
+                summary.textContent = response.error;
+                return;
+            }
+
+            results = response.results;
+            renderResults();
+            const counts = summarizeAudit(results);
+            const parts = Object.entries(counts).map(([status, count]) =>
+                `${count} ${status === 'invalid' ? 'invalid' : (STATUS_LABELS[status] || status).toLowerCase()}`);
+            summary.textContent = `Checked ${results.length} link(s): ${parts.join(', ')}.` +
+                (truncated ? ` Only the first ${MAX_AUDIT_URLS} links were checked.` : '');
+        });
+    }
+
+    checkButton.addEventListener('click', runAudit);
+
+    fileButton.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        input.value = await file.text();
+        fileInput.value = '';
+        runAudit();
+    });
+
+    exportButton.addEventListener('click', () => {
+        downloadCsv(buildAuditCsv(results), `link-audit-${new Date().toISOString().slice(0, 10)}.csv`);
+    });
+
+    printButton.addEventListener('click', () => window.print());
+});
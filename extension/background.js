@@ -1,404 +1,312 @@
-// --- Constants and Configuration ---
+// --- Service Worker ---
+//
+// The extension's entry point: keeps the toolbar icon in step with the current tab and wires the
+// Chrome events and extension-page messages to the modules below. Loaded as an ES module
+// (`"type": "module"` in the manifest), so Chrome loads the imported modules along with it.
+// 'status-rules.js' is generated by build.mjs.
+
+import { runInExtensionContext } from './extension-context.js';
+import { getSettings } from './settings.js';
+import { STATUS_RULES } from './status-rules.js';
+import { determineOverallStatus } from './overall-status.js';
+import { getDomainInfo } from './domain-info.js';
+import { lookupSite } from './site-matching.js';
+import { authenticate, getSession, rejectDisallowedSession, signOut } from './session.js';
+import { getAndUpdateDpaList, getDataHealth, loadDpaLookup, resetDpaLookup } from './dpa-cache.js';
+import { clearEnforcementBypasses, enforceTab, getEnforcementLevel, recordEnforcementBypass } from './enforcement.js';
+import { getInstalledExtensionReport, handleExtensionInstalled, handleInstallNotificationClick } from './installed-extensions.js';
+import { getOmniboxSuggestions, handleOmniboxInput } from './omnibox.js';
+import { createLinkCheckMenus, handleLinkCheckMenuClick } from './link-check.js';
+import { getLinkStatuses, syncLinkAnnotator } from './link-annotations.js';
+import { recordUsage } from './usage-tally.js';
+import { MAX_AUDIT_URLS, auditUrls } from './url-audit.js';
 
-// User-Agent header for API requests.
-const USER_AGENT = 'SB29-guard-chrome';
+// --- Extension Logic ---
 
 /**
- * Placeholders for the Supabase, replaced at build time.
- * @type {string}
+ * Badges that warn about the data itself, keyed by the `state` from `getDataHealth`.
+ * They take priority over the installed-app badge, since they affect whether the icon can be trusted.
+ * @type {Object<string, {text: string, color: string, title: string}>}
  */
-const API_URL = '__API_URI_PLACEHOLDER__';
-const API_KEY = '__API_KEY_PLACEHOLDER__';
-const API_HOST = '__API_HOST_PLACEHOLDER__';
-
-// Cache duration for the DPA list in minutes. (Set to 24 hours).
-const CACHE_DURATION_MINUTES = 60 * 24;
+export const DATA_HEALTH_BADGES = {
+    not_signed_in: { text: '?', color: '#d93025', title: 'Not signed in. The district list cannot be updated.' },
+    no_data: { text: '?', color: '#d93025', title: 'The district list has not been downloaded yet.' },
+    stale: { text: '!', color: '#f29900', title: 'The district list is out of date. Statuses may have changed.' }
+};
 
 /**
- * A utility function to ensure that Chrome extension APIs are only called when running as an extension.
- * This prevents errors during testing or in other non-extension environments.
- *
- * @param {Function} callback - The function to execute if in an extension context.
- * @param {*} [fallback=undefined] - The value to return if not in an extension context.
- * @returns {*} The result of the callback or the fallback value.
+ * Badges for the page check of an unlisted site, keyed by the `pageCheck` from page-signals.js.
+ * @type {Object<string, {text: string, color: string, title: string}>}
  */
-function runInExtensionContext(callback, fallback) {
-    if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.id) {
-        return callback();
-    }
-    return fallback;
-}
+export const PAGE_CHECK_BADGES = {
+    data_collection_likely: { text: 'ID', color: '#6a1b9a', title: 'This unlisted page appears to use accounts or collect data.' },
+    informational: { text: '', color: '#6a1b9a', title: 'This unlisted page looks informational.' }
+};
 
 /**
- * Initiates Google OAuth flow to authenticate the user with Supabase.
- * It retrieves an access token and stores it in local storage.
+ * Updates the browser action icon, badge and tooltip for a given tab based on the site's status.
  *
- * @param {boolean} [interactive=false] - If true, the auth prompt will be shown to the user. If false, it will fail silently if the user is not signed in.
- * @returns {Promise<string|null>} A promise that resolves with the Supabase access token (JWT) on success, or null on failure.
+ * @param {string} status - The simplified status key from `determineOverallStatus`, or 'neutral'.
+ * @param {number} tabId - The ID of the tab to update.
+ * @param {boolean} isInstalled - If true, a badge is added to indicate an installed app (e.g., from a web store).
+ * @param {string} [dataState='ok'] - The `state` from `getDataHealth`; anything but 'ok' shows a warning badge.
+ * @param {string|null} [pageCheck=null] - The `pageCheck` from page-signals.js, for unlisted sites that were checked.
  */
-async function authenticate(interactive = false) {
-    return runInExtensionContext(async () => {
-        try {
-            const redirectUrl = chrome.identity.getRedirectURL();
-            
-            // Construct the Supabase OAuth URL using the injected API_HOST
-            const authUrl = new URL(`${API_HOST}/auth/v1/authorize`);
-            authUrl.searchParams.set('provider', 'google');
-            authUrl.searchParams.set('redirect_to', redirectUrl);
-
-            // Launch the web authentication flow
-            const responseUrl = await chrome.identity.launchWebAuthFlow({
-                url: authUrl.toString(),
-                interactive: interactive
-            });
-
-            if (!responseUrl) {
-                console.warn('Authentication flow was cancelled or failed.');
-                return null;
-            }
-
-            // Extract the access token from the URL fragment
-            const url = new URL(responseUrl);
-            const params = new URLSearchParams(url.hash.substring(1)); // Remove the leading '#'
-            const accessToken = params.get('access_token');
-
-            if (accessToken) {
-                await chrome.storage.local.set({ 'supabase_token': accessToken });
-                console.log('Successfully authenticated and stored token.');
-                return accessToken;
-            }
-            
-            console.warn('Authentication succeeded, but no access token was found in the response.');
-            return null;
+export function updateIcon(status, tabId, isInstalled, dataState = 'ok', pageCheck = null) {
+    runInExtensionContext(() => {
+        // Unknown statuses (including 'neutral') fall back to the default icon from the rules table
+        const iconPaths = STATUS_RULES.icons[status] || STATUS_RULES.icons.default;
+        chrome.action.setIcon({ path: iconPaths, tabId: tabId });
+
+        const healthBadge = DATA_HEALTH_BADGES[dataState];
+        const name = chrome.runtime.getManifest().name;
+        if (healthBadge) {
+            // Warn that the data behind the icon can't be trusted
+            chrome.action.setBadgeText({ text: healthBadge.text, tabId: tabId });
+            chrome.action.setBadgeBackgroundColor({ color: healthBadge.color, tabId: tabId });
+            chrome.action.setTitle({ title: `${name}\n${healthBadge.title}`, tabId: tabId });
+            return;
+        }
+        const pageCheckBadge = PAGE_CHECK_BADGES[pageCheck];
+        if (pageCheckBadge) {
+            // Say whether the unlisted page seems to collect data, from the on-demand page check
+            chrome.action.setBadgeText({ text: pageCheckBadge.text, tabId: tabId });
+            chrome.action.setBadgeBackgroundColor({ color: pageCheckBadge.color, tabId: tabId });
+            chrome.action.setTitle({ title: `${name}\n${pageCheckBadge.title}`, tabId: tabId });
+            return;
+        }
+        chrome.action.setTitle({ title: name, tabId: tabId });
 
-        } catch (error) {
-            // This can happen if the user closes the auth window
-            console.warn('Authentication failed:', error);
-            return null;
+        // Set a visual indicator for installed apps from app stores
+        if (isInstalled){
+            chrome.action.setBadgeText({ text: '⇲', tabId: tabId });
+            chrome.action.setBadgeBackgroundColor({ color: '#ebebeb', tabId: tabId });
+        } else {
+            chrome.action.setBadgeText({ text: '', tabId: tabId }); // Clear badge otherwise
         }
-    }, Promise.resolve(null)); // Fallback for test environments
+    }, null);
 }
 
 /**
- * Parses a URL string to extract detailed domain and app store information.
- * It identifies the primary domain, and for app store URLs, it extracts the application ID.
- *
- * @param {string | null | undefined} urlString - The URL to parse.
- * @returns {{fullHostname: string, hostname: string, isInstalled: boolean, appID: string|null, isAppStore: boolean, appStoreName: string|null}|null} 
- *          An object with parsed URL details, or null if the URL is invalid.
+ * Navigations already checked for enforcement when they started, as the URL keyed by tab ID,
+ * so the check isn't repeated when the page finishes loading.
+ * @type {Map<number, string>}
  */
-function getDomainInfo(urlString) {
-    if (!urlString || typeof urlString !== 'string') {
-        return null;
-    }
-    try {
-        const url = new URL(urlString);
-        const hostnameParts = url.hostname.split('.');
-
-        let appID = null;
-        let isAppStore = false;
-        let appStoreName = null;
-        
-        try {
-            switch (url.hostname) {
-                case 'apps.apple.com':
-                    isAppStore = true;
-                    appStoreName = 'Apple App Store';
-                    if (url.pathname.includes('/app/')) {
-                        const applePathParts = url.pathname.split("/");
-                        appID = applePathParts[applePathParts.length - 1];
-                    }
-                    break;
-                case 'chromewebstore.google.com':
-                    isAppStore = true;
-                    appStoreName = 'Chrome Web Store';
-                    const chromePathParts = url.pathname.split("/");
-                    if (chromePathParts.length > 1 && chromePathParts[1] === 'detail') {
-                        appID = chromePathParts[chromePathParts.length - 1];
-                    }
-                    break;
-                case 'play.google.com':
-                    isAppStore = true;
-                    appStoreName = 'Google Play Store';
-                    if (url.pathname.startsWith('/store/apps/details')) {
-                        appID = url.searchParams.get("id");
-                    }
-                    break;
-                case 'workspace.google.com':
-                    isAppStore = true;
-                    appStoreName = 'Google Workspace Marketplace';
-                    const workspacePathParts = url.pathname.split("/");
-                    if (workspacePathParts.length > 2 && workspacePathParts[1] === 'marketplace' && workspacePathParts[2] === 'app') {
-                        const potentialAppID = workspacePathParts[workspacePathParts.length - 1];
-                        // Ensure the extracted ID is a number, as workspace apps use numeric IDs
-                        if (/^\d+$/.test(potentialAppID)) {
-                            appID = potentialAppID;
-                        }
-                    }
-                    break;
-            }
-        } catch (error) {
-            console.warn(`Could not parse app store path for app-id: ${urlString}`, error);
-            // Continue as the base domain info is still useful
-        }
+const navigationChecks = new Map();
 
-        let hostnameForMatching;
-        if (isAppStore) {
-            // For app stores, the full hostname is more specific for matching
-            hostnameForMatching = url.hostname; 
-        } else {
-            // For regular websites, use the primary domain (e.g., 'google.com' from 'sub.google.com')
-            if (hostnameParts.length > 1) {
-                hostnameForMatching = hostnameParts.slice(-2).join('.');
-            } else {
-                // Handle top-level domains or localhost
-                hostnameForMatching = url.hostname;
-            }
-        }
-
-        return {
-            fullHostname: url.hostname,
-            hostname: hostnameForMatching,
-            isInstalled: appID !== null,
-            appID: appID,
-            isAppStore: isAppStore,
-            appStoreName: appStoreName
-        };
-    } catch (error) {
-        console.warn(`Could not parse invalid URL: ${urlString}`, error);
-        return null;
-    }
-}
+/**
+ * Tabs whose interstitial page's "Go back" was just clicked, with the blocked URL, so the
+ * service worker can tell whether going back landed on the blocked page itself.
+ * @type {Map<number, string>}
+ */
+const leavingTabs = new Map();
 
 /**
- * Fetches the complete DPA (Data Processing Agreement) list from the Supabase API.
- * It handles authentication by retrieving a stored token or initiating a new auth flow.
- * It also includes logic to refresh an expired token.
+ * Applies enforcement as soon as a tab starts navigating, so a denied page is replaced before it
+ * loads. Uses only the cached list: nothing is fetched and no visit is tallied first.
  *
- * @returns {Promise<object[]|null>} A promise that resolves to an array of DPA data objects, or null on failure.
+ * @param {number} tabId - The ID of the navigating tab.
+ * @param {string} url - The URL the tab is navigating to.
+ * @returns {Promise<boolean>} True if the tab was sent to the interstitial page.
  */
-async function fetchDpaData() {
-    // 1. Try to get existing token from storage
-    let { supabase_token } = await runInExtensionContext(
-        () => chrome.storage.local.get('supabase_token'), 
-        { supabase_token: null }
+export async function enforceNavigation(tabId, url) {
+    const lookup = await loadDpaLookup();
+    // Without a cached list, the check waits until the page has loaded and the list is fetched
+    const domainInfo = lookup ? getDomainInfo(url, lookup.dpaIndex.apps) : null;
+    if (!domainInfo) return false;
+
+    navigationChecks.set(tabId, url);
+    const siteInfo = lookupSite(lookup.dpaList, lookup.dpaIndex, domainInfo);
+    return runInExtensionContext(
+        () => enforceTab(tabId, url, domainInfo, determineOverallStatus(siteInfo), siteInfo),
+        Promise.resolve(false)
     );
+}
 
-    // 2. If no token, attempt a silent (non-interactive) authentication
-    if (!supabase_token) {
-        console.log('No token found, attempting silent authentication...');
-        supabase_token = await authenticate(false);
+/**
+ * The main handler for browser tab updates. It's triggered when a tab's URL changes or it finishes loading.
+ * A URL change is checked for enforcement straight away; once the page has loaded, it gets the
+ * domain info, checks it against the DPA list, and updates the icon accordingly.
+ *
+ * @param {number} tabId - The ID of the updated tab.
+ * @param {object} changeInfo - An object containing details about the change (e.g., status).
+ * @param {object} tab - The full Tab object.
+ */
+export async function handleTabUpdate(tabId, changeInfo, tab) {
+    if (changeInfo.url && leavingTabs.has(tabId)) {
+        const blockedUrl = leavingTabs.get(tabId);
+        leavingTabs.delete(tabId);
+        // The blocked page made it into the history, so step back past it too, or close a tab that has nothing before it
+        if (changeInfo.url === blockedUrl) {
+            await runInExtensionContext(
+                () => chrome.tabs.goBack(tabId).catch(() => chrome.tabs.remove(tabId)),
+                Promise.resolve()
+            );
+            return;
+        }
     }
 
-    // If still no token, we cannot proceed
-    if (!supabase_token) {
-        console.error('User is not authenticated. Cannot fetch DPA list.');
-        return null;
+    // If the administrator enabled enforcement for this status, show the interstitial page before the page loads
+    if (changeInfo.url && changeInfo.url.startsWith('http') && await enforceNavigation(tabId, changeInfo.url)) {
+        return;
     }
 
-    const headers = new Headers({ 
-        'apikey': API_KEY, 
-        'User-Agent': USER_AGENT,
-        'Authorization': `Bearer ${supabase_token}`
-    });
+    // Only run when the tab is fully loaded and has a valid web URL
+    if (changeInfo.status !== 'complete' || !tab.url || !tab.url.startsWith('http')) {
+        return;
+    }
+    const checkedAtNavigation = navigationChecks.get(tabId) === tab.url;
+    navigationChecks.delete(tabId);
 
-    try {
-        let response = await fetch(API_URL, { method: 'GET', headers: headers });
-        
-        // 3. If the token is expired (401), attempt an interactive authentication to refresh it
-        if (response.status === 401) {
-            console.log('Token expired or invalid. Forcing interactive authentication...');
-            supabase_token = await authenticate(true); 
-            
-            if (supabase_token) {
-                // Retry the fetch with the new token
-                headers.set('Authorization', `Bearer ${supabase_token}`);
-                response = await fetch(API_URL, { method: 'GET', headers: headers });
-            }
-        }
+    // Until there is a list, no Amazon product counts as an app
+    let tabDomainInfo = getDomainInfo(tab.url, {});
+    if (!tabDomainInfo) {
+        updateIcon('neutral', tabId, false);
+        return;
+    }
 
-        if (!response.ok) {
-            console.error(`API Error: ${response.status} ${response.statusText}`);
-            return null;
-        }
-        return await response.json();
-    } catch (error) {
-        console.error('Network or fetch error while getting DPA list:', error);
-        return null;
+    const lookup = await getAndUpdateDpaList();
+    const { state: dataState } = await getDataHealth();
+    if (!lookup) {
+        console.log('No DPA list available to check against. Setting icon to neutral.');
+        updateIcon('neutral', tabId, tabDomainInfo.isInstalled, dataState);
+        return;
     }
-}
+    tabDomainInfo = getDomainInfo(tab.url, lookup.dpaIndex.apps);
 
-/**
- * Retrieves the DPA list, using a cached version if available and not stale.
- * If the cache is missing or expired, it fetches a fresh list from the API and updates the cache.
- *
- * @returns {Promise<object[]|null>} A promise that resolves to the DPA list from cache or API, or null if unavailable.
- */
-async function getAndUpdateDpaList() {
-    const now = new Date().getTime();
-    const result = await runInExtensionContext(
-        () => chrome.storage.local.get(['dpaList', 'lastFetch']),
-        { dpaList: null, lastFetch: null }
-    );
+    const siteInfo = lookupSite(lookup.dpaList, lookup.dpaIndex, tabDomainInfo);
+    const overallStatus = determineOverallStatus(siteInfo);
 
-    // Check if a valid, non-stale cache exists
-    if (result.dpaList && result.lastFetch && (now - result.lastFetch < CACHE_DURATION_MINUTES * 60 * 1000)) {
-        console.log('Using cached DPA list.');
-        return result.dpaList;
+    if (siteInfo) {
+        console.log(`Site found: ${tabDomainInfo.hostname}, Status: ${overallStatus}`);
+    } else {
+        console.log(`Site not found in DPA list: ${tabDomainInfo.hostname}`);
     }
+    updateIcon(overallStatus, tabId, tabDomainInfo.isInstalled, dataState);
 
-    console.log('Cache is stale or missing. Fetching new DPA list from API.');
-    const dpaList = await fetchDpaData();
-    
-    if (dpaList) {
-        // If fetch is successful, update cache
-        await runInExtensionContext(
-            () => chrome.storage.local.set({ dpaList: dpaList, lastFetch: now }),
-            Promise.resolve()
+    // A navigation that started before any list was cached is checked now instead
+    if (!checkedAtNavigation) {
+        const redirected = await runInExtensionContext(
+            () => enforceTab(tabId, tab.url, tabDomainInfo, overallStatus, siteInfo),
+            Promise.resolve(false)
         );
-        console.log('Successfully fetched and cached new DPA list.');
-        return dpaList;
+        if (redirected) return;
     }
 
-    // If fetch fails, return the old (stale) list if it exists, otherwise null
-    console.warn('Failed to fetch new DPA list. Will use stale data if available.');
-    return result.dpaList || null;
+    // Count visits to sites that still need review, on this device only
+    await runInExtensionContext(() => recordUsage(tabDomainInfo, overallStatus), Promise.resolve());
 }
 
-
-// --- Extension Logic ---
-
 /**
- * Analyzes the status of a site from the DPA list and returns a single, simplified status string.
- * The order of precedence is: Denied > Staff Only > Approved > Pending.
+ * Checks an unlisted page for signs that it uses accounts or collects data, by injecting
+ * page-signals.js into the tab. Only runs while the popup's `activeTab` grant covers the tab,
+ * and the page's content never leaves the browser.
  *
- * @param {object|null} siteInfo - The site data object from the DPA list.
- * @returns {string} A simplified status: 'denied', 'staff_only', 'approved', 'pending', or 'unlisted'.
+ * @param {number} tabId - The ID of the tab to check.
+ * @returns {Promise<{pageCheck: string, reasons: string[]}|{error: string}>} The page check, or an error if the page can't be checked.
  */
-function determineOverallStatus(siteInfo) {
-    if (!siteInfo) return 'unlisted';
-
-    const { current_tl_status, current_dpa_status } = siteInfo;
-
-    // 'Rejected' status for the tech lead is a hard 'denied'
-    if (current_tl_status === 'Rejected') {
-        return 'denied';
+export async function checkTabPageSignals(tabId) {
+    const tab = await chrome.tabs.get(tabId);
+    const lookup = await loadDpaLookup();
+    const domainInfo = lookup ? getDomainInfo(tab.url, lookup.dpaIndex.apps) : null;
+    if (!domainInfo || domainInfo.isAppStore || !lookup || !tab.url.startsWith('http')) {
+        return { error: 'This page cannot be checked.' };
     }
-    // 'Denied' for DPA status means it's restricted to staff only
-    if (current_dpa_status === 'Denied') {
-        return 'staff_only';
+    // Listed sites already have a district status, so only unlisted ones are checked
+    const siteInfo = lookupSite(lookup.dpaList, lookup.dpaIndex, domainInfo);
+    if (determineOverallStatus(siteInfo) !== 'unlisted') {
+        return { error: 'Only unlisted sites are checked.' };
     }
 
-    // Check for approved conditions
-    const isApproved = (current_tl_status === 'Approved' || current_tl_status === 'Not Required');
-    const isReceived = (current_dpa_status === 'Received' || current_dpa_status === 'Not Required');
-
-    if (isApproved && isReceived) {
-        return 'approved';
+    let result;
+    try {
+        // The script may already be in the page from an earlier check
+        const [probe] = await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            func: () => typeof checkPageSignals === 'function'
+        });
+        if (!probe.result) {
+            await chrome.scripting.executeScript({ target: { tabId: tabId }, files: ['page-signals.js'] });
+        }
+        const [injection] = await chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            func: () => checkPageSignals()
+        });
+        result = injection.result;
+    } catch (error) {
+        console.warn(`Could not check page signals for ${domainInfo.hostname}:`, error);
+        return { error: 'This page cannot be checked.' };
     }
-    
-    // Any other combination is considered 'pending'
-    return 'pending';
+
+    console.log(`Page check for ${domainInfo.hostname}: ${result.pageCheck}`);
+    const { state: dataState } = await getDataHealth();
+    updateIcon('unlisted', tabId, domainInfo.isInstalled, dataState, result.pageCheck);
+    return { pageCheck: result.pageCheck, reasons: result.reasons };
 }
 
 /**
- * Updates the browser action icon and badge for a given tab based on the site's status.
+ * Creates (or re-creates) the recurring alarm that refreshes the DPA list, using the configured period.
+ * Creating an alarm with an existing name replaces it.
  *
- * @param {string} status - The simplified status key from `determineOverallStatus`.
- * @param {number} tabId - The ID of the tab to update.
- * @param {boolean} isInstalled - If true, a badge is added to indicate an installed app (e.g., from a web store).
+ * @returns {Promise<void>}
  */
-function updateIcon(status, tabId, isInstalled) {
-    runInExtensionContext(() => {
-        let iconPath = '';
-        switch (status) {
-            case 'approved':   iconPath = "images/icon-green-circle.png"; break;
-            case 'denied':     iconPath = "images/icon-red-x.png"; break;
-            case 'staff_only': iconPath = "images/icon-yellow-triangle.png"; break;
-            case 'pending':    iconPath = "images/icon-orange-square.png"; break;
-            case 'unlisted':   iconPath = "images/icon-purple-diamond.png"; break;
-            default:           iconPath = "images/icon-neutral48.png"; break;
-        }
-        chrome.action.setIcon({ path: { "48": iconPath }, tabId: tabId });
-
-        // Set a visual indicator for installed apps from app stores
-        if (isInstalled){
-            chrome.action.setBadgeText({ text: '⇲', tabId: tabId });
-            chrome.action.setBadgeBackgroundColor({ color: '#ebebeb', tabId: tabId });
-        } else {
-            chrome.action.setBadgeText({ text: '', tabId: tabId }); // Clear badge otherwise
-        }
-    }, null);
+export async function scheduleRefreshAlarm() {
+    const { refreshMinutes } = await getSettings();
+    await runInExtensionContext(() => chrome.alarms.create('refreshDpaList', {
+        delayInMinutes: 1, // Wait 1 minute before the first run
+        periodInMinutes: refreshMinutes
+    }), Promise.resolve());
 }
 
 /**
- * The main handler for browser tab updates. It's triggered when a tab's URL changes or it finishes loading.
- * It gets the domain info, checks it against the DPA list, and updates the icon accordingly.
+ * Reacts to settings saved on the options page or pushed by enterprise policy: reschedules the
+ * refresh alarm when the period changes, turns link annotations on or off, and drops the cached
+ * list when the data source changes so the next check refetches it.
  *
- * @param {number} tabId - The ID of the updated tab.
- * @param {object} changeInfo - An object containing details about the change (e.g., status).
- * @param {object} tab - The full Tab object.
+ * @param {Object<string, chrome.storage.StorageChange>} changes - The changed keys.
+ * @param {string} areaName - The storage area that changed.
  */
-async function handleTabUpdate(tabId, changeInfo, tab) {
-    // Only run when the tab is fully loaded and has a valid web URL
-    if (changeInfo.status !== 'complete' || !tab.url || !tab.url.startsWith('http')) {
-        return;
-    }
-
-    const tabDomainInfo = getDomainInfo(tab.url);
-    if (!tabDomainInfo) {
-        updateIcon('neutral', tabId, false);
-        return;
-    }
+export async function handleSettingsChange(changes, areaName) {
+    if (areaName !== 'sync' && areaName !== 'managed') return;
 
-    const dpaList = await getAndUpdateDpaList();
-    if (!dpaList) {
-        console.log('No DPA list available to check against. Setting icon to neutral.');
-        updateIcon('neutral', tabId, tabDomainInfo.isInstalled);
-        return;
+    if (changes.refreshMinutes) {
+        console.log('Refresh period changed. Rescheduling the refresh alarm.');
+        await scheduleRefreshAlarm();
     }
-    
-    let siteInfo = null;
-    // Match based on App ID if it's an installed app from a store
-    if (tabDomainInfo.isInstalled){
-        siteInfo = dpaList.find(site => {
-            const siteDomainInfo = getDomainInfo(site.resource_link);
-            return siteDomainInfo && siteDomainInfo.isInstalled && siteDomainInfo.appID === tabDomainInfo.appID;
-        });
-    } 
-    // Otherwise, match by hostname, but only if it's not a generic app store page
-    else if (!tabDomainInfo.isAppStore) { 
-        siteInfo = dpaList.find(site => {
-            const siteDomainInfo = getDomainInfo(site.resource_link);
-            return siteDomainInfo && !siteDomainInfo.isInstalled && siteDomainInfo.hostname === tabDomainInfo.hostname;
-        });
+    if (changes.annotateLinks) {
+        await syncLinkAnnotator();
     }
-
-    if (siteInfo) {
-        const overallStatus = determineOverallStatus(siteInfo);
-        console.log(`Site found: ${tabDomainInfo.hostname}, Status: ${overallStatus}`);
-        updateIcon(overallStatus, tabId, tabDomainInfo.isInstalled);
-    } else {
-        console.log(`Site not found in DPA list: ${tabDomainInfo.hostname}`);
-        updateIcon('unlisted', tabId, tabDomainInfo.isInstalled);
+    if (changes.dataSource || changes.dataSourceUrl) {
+        console.log('Data source changed. Fetching a new DPA list.');
+        resetDpaLookup();
+        await chrome.storage.local.remove(['dpaList', 'dpaIndex', 'lastFetch', 'syncState']);
+        await getAndUpdateDpaList();
     }
 }
 
 
 // --- Event Listeners ---
 runInExtensionContext(() => {
+    // Warm the in-memory lookup as soon as the service worker wakes
+    loadDpaLookup();
+
     // Main listener for changes in any tab
     chrome.tabs.onUpdated.addListener(handleTabUpdate);
 
     // Fetch the list on browser startup and extension installation
-    chrome.runtime.onStartup.addListener(getAndUpdateDpaList);
-    chrome.runtime.onInstalled.addListener(getAndUpdateDpaList);
+    chrome.runtime.onStartup.addListener(() => getAndUpdateDpaList());
+    chrome.runtime.onInstalled.addListener(async () => {
+        // Tokens from older versions had no refresh token, so they can't be renewed. The lookup
+        // index depends on how this version parses URLs (e.g., app IDs), so it is rebuilt too;
+        // a cache from an older format version is migrated when it is next loaded.
+        resetDpaLookup();
+        await chrome.storage.local.remove(['supabase_token', 'dpaIndex']);
+        createLinkCheckMenus();
+        getAndUpdateDpaList();
+    });
 
     // Set up a recurring alarm to refresh the DPA list periodically
-    chrome.alarms.create('refreshDpaList', { 
-        delayInMinutes: 1, // Wait 1 minute after startup before first run
-        periodInMinutes: CACHE_DURATION_MINUTES 
-    });
+    scheduleRefreshAlarm();
 
     /**
      * Handles the recurring alarm to refresh the DPA list.
@@ -412,45 +320,181 @@ runInExtensionContext(() => {
     }
     chrome.alarms.onAlarm.addListener(handleAlarm);
 
+    // Re-apply settings saved on the options page or pushed by policy
+    chrome.storage.onChanged.addListener(handleSettingsChange);
+
+    // Forget "continue anyway" choices and navigation checks when their tab closes
+    chrome.tabs.onRemoved.addListener(clearEnforcementBypasses);
+    chrome.tabs.onRemoved.addListener(tabId => {
+        navigationChecks.delete(tabId);
+        leavingTabs.delete(tabId);
+    });
+
+    // The 'sb29' address bar keyword
+    chrome.omnibox.setDefaultSuggestion({ description: 'Search the district list for <match>%s</match>' });
+    chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+        getOmniboxSuggestions(text).then(suggest);
+    });
+    chrome.omnibox.onInputEntered.addListener(handleOmniboxInput);
+
+    // Right-click "Check DPA status" on links and selected text
+    chrome.contextMenus.onClicked.addListener(handleLinkCheckMenuClick);
+
+    // Link annotations in Classroom and Docs follow the setting and the teacher's grant of access
+    syncLinkAnnotator();
+    chrome.permissions.onAdded.addListener(syncLinkAnnotator);
+    chrome.permissions.onRemoved.addListener(syncLinkAnnotator);
+
+    // Warn about newly installed extensions that are unlisted or denied
+    chrome.management.onInstalled.addListener(handleExtensionInstalled);
+    chrome.notifications.onClicked.addListener(handleInstallNotificationClick);
+
     // Listener for messages from the popup UI
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         // This handles requests from the popup to get info for the currently viewed page
         if (request.action === "getSiteInfoForUrl") {
             (async () => {
-                const domainInfo = getDomainInfo(request.url);
-                if (!domainInfo) {
+                if (!getDomainInfo(request.url)) {
                     sendResponse({ error: 'Invalid URL provided.' });
                     return;
                 }
 
-                // Retrieve the list from storage, but don't trigger a fetch
-                const { dpaList } = await chrome.storage.local.get('dpaList');
-                if (!dpaList) {
-                    sendResponse({ error: 'DPA data is not yet available.' });
+                // Retrieve the list from the cache, but don't trigger a fetch
+                const lookup = await loadDpaLookup();
+                const dataHealth = await getDataHealth();
+                if (!lookup) {
+                    sendResponse({ error: 'DPA data is not yet available.', dataHealth });
                     return;
                 }
+                const domainInfo = getDomainInfo(request.url, lookup.dpaIndex.apps);
 
-                let siteInfo = null;
-                // Find matching site info using the same logic as handleTabUpdate
-                if (domainInfo.isInstalled){
-                    siteInfo = dpaList.find(site => {
-                        const siteDomainInfo = getDomainInfo(site.resource_link);
-                        return siteDomainInfo && siteDomainInfo.isInstalled && siteDomainInfo.appID === domainInfo.appID;
-                    });
-                } else if (!domainInfo.isAppStore) {
-                    siteInfo = dpaList.find(site => {
-                        const siteDomainInfo = getDomainInfo(site.resource_link);
-                        return siteDomainInfo && !siteDomainInfo.isInstalled && siteDomainInfo.hostname === domainInfo.hostname;
-                    });
-                }
+                const siteInfo = lookupSite(lookup.dpaList, lookup.dpaIndex, domainInfo);
 
                 const overallStatus = determineOverallStatus(siteInfo);
 
-                sendResponse({ siteInfo, domainInfo, overallStatus });
+                sendResponse({ siteInfo, domainInfo, overallStatus, dataHealth });
             })();
             
             // Return true to indicate that the response will be sent asynchronously
             return true; 
         }
+
+        // This handles the audit page, which checks a whole list of links at once
+        if (request.action === "auditUrls") {
+            (async () => {
+                const lookup = await loadDpaLookup();
+                const dataHealth = await getDataHealth();
+                if (!lookup) {
+                    sendResponse({ error: 'DPA data is not yet available.', dataHealth });
+                    return;
+                }
+
+                const results = auditUrls(request.urls.slice(0, MAX_AUDIT_URLS), {
+                    getDomainInfo: url => getDomainInfo(url, lookup.dpaIndex.apps),
+                    findRow: domainInfo => lookupSite(lookup.dpaList, lookup.dpaIndex, domainInfo),
+                    getOverallStatus: determineOverallStatus
+                });
+                sendResponse({ results, dataHealth });
+            })();
+            return true;
+        }
+
+        // This handles the installed extensions page
+        if (request.action === "getInstalledExtensions") {
+            getInstalledExtensionReport().then(sendResponse);
+            return true;
+        }
+
+        // This handles the popup asking to check an unlisted page for accounts or data collection
+        if (request.action === "checkPageSignals") {
+            checkTabPageSignals(request.tabId).then(sendResponse);
+            return true;
+        }
+
+        // This handles the link annotator in Classroom and Docs. Only content scripts send it.
+        if (request.action === "getLinkStatuses") {
+            if (!sender.tab || !Array.isArray(request.urls)) {
+                sendResponse({ error: 'Invalid request.' });
+                return;
+            }
+            getLinkStatuses(request.urls).then(sendResponse);
+            return true;
+        }
+
+        // This handles requests for how fresh the cached list is
+        if (request.action === "getDataHealth") {
+            getDataHealth().then(sendResponse);
+            return true;
+        }
+
+        // This handles the popup asking who is signed in
+        if (request.action === "getSession") {
+            (async () => {
+                const session = await getSession();
+                // A session from a domain that is no longer allowed is signed out here
+                const error = session ? await rejectDisallowedSession(session) : null;
+                sendResponse({
+                    signedIn: Boolean(session) && !error,
+                    email: session && !error ? session.email : null,
+                    error: error
+                });
+            })();
+            return true;
+        }
+
+        // This handles the popup's "Sign in" button. The sign-in window is only ever opened from
+        // this user gesture, never from a background refresh.
+        if (request.action === "signIn") {
+            (async () => {
+                const { session, error } = await authenticate(true);
+                if (!session) {
+                    sendResponse({ error: error });
+                    return;
+                }
+                await getAndUpdateDpaList(true);
+                sendResponse({ signedIn: true, email: session.email });
+            })();
+            return true;
+        }
+
+        // This handles the popup's "Sign out" button
+        if (request.action === "signOut") {
+            signOut().then(() => sendResponse({ signedIn: false, email: null }));
+            return true;
+        }
+
+        // This handles "continue anyway" from the interstitial page. The level is checked again
+        // here, so a blocked site can't be opened by messaging the worker directly.
+        // The interstitial page's "Go back" is about to leave the blocked page
+        if (request.action === "leaveBlockedPage") {
+            if (sender.tab) leavingTabs.set(sender.tab.id, request.url);
+            sendResponse({ ok: true });
+            return;
+        }
+
+        if (request.action === "continueToSite") {
+            (async () => {
+                const lookup = await loadDpaLookup();
+                const domainInfo = lookup ? getDomainInfo(request.url, lookup.dpaIndex.apps) : null;
+                if (!domainInfo || !sender.tab) {
+                    sendResponse({ error: 'This site cannot be opened from here.' });
+                    return;
+                }
+
+                const siteInfo = lookupSite(lookup.dpaList, lookup.dpaIndex, domainInfo);
+                const overallStatus = determineOverallStatus(siteInfo);
+                const level = getEnforcementLevel(await getSettings(), overallStatus, siteInfo);
+                if (level === 'block') {
+                    sendResponse({ error: 'Your district has blocked this site.' });
+                    return;
+                }
+
+                await recordEnforcementBypass(sender.tab.id, domainInfo.fullHostname, overallStatus);
+                await chrome.tabs.update(sender.tab.id, { url: request.url });
+                sendResponse({ ok: true });
+            })();
+
+            return true;
+        }
     });
 }, null);
\ No newline at end of file
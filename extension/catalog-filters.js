@@ -0,0 +1,104 @@
+// --- Catalog Filters ---
+//
+// Search, filtering, sorting and grouping for the catalog page (catalog.html). catalog.js turns the
+// cached list into entries once with `buildCatalogEntries`, then re-runs `filterCatalog`,
+// `sortCatalog` and `groupCatalog` whenever a search box or filter changes.
+// Imported by catalog.js.
+
+/**
+ * The order statuses are listed in when sorting by status: usable resources first.
+ * @type {string[]}
+ */
+export const CATALOG_STATUS_ORDER = ['approved', 'staff_only', 'pending', 'denied', 'unlisted'];
+
+// The group for rows without a `category`.
+export const UNCATEGORIZED = 'Uncategorized';
+
+/**
+ * Turns DPA rows into catalog entries with the fields the catalog searches, filters and sorts on.
+ *
+ * @param {object[]} dpaList - The cached DPA list.
+ * @param {function(object): string} getOverallStatus - Maps a row to its overall status (e.g., `determineOverallStatus`).
+ * @returns {{row: object, name: string, link: string, category: string, overallStatus: string, tlStatus: string, dpaStatus: string, searchText: string}[]} The entries.
+ */
+export function buildCatalogEntries(dpaList, getOverallStatus) {
+    return dpaList.map(row => {
+        const name = String(row.software_name || '').trim();
+        const link = String(row.resource_link || '').trim();
+        const category = String(row.category || '').trim() || UNCATEGORIZED;
+        return {
+            row: row,
+            name: name,
+            link: link,
+            category: category,
+            overallStatus: getOverallStatus(row),
+            tlStatus: String(row.current_tl_status || '').trim(),
+            dpaStatus: String(row.current_dpa_status || '').trim(),
+            searchText: [name, link, category].join(' ').toLowerCase()
+        };
+    });
+}
+
+/**
+ * Filters catalog entries. Every word of the query must appear in the name, link or category,
+ * and each set status filter must match exactly. Empty filters match everything.
+ *
+ * @param {object[]} entries - Entries from `buildCatalogEntries`.
+ * @param {{query?: string, overallStatus?: string, tlStatus?: string, dpaStatus?: string}} filters - The filters.
+ * @returns {object[]} The matching entries, in their original order.
+ */
+export function filterCatalog(entries, filters) {
+    const words = String(filters.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    return entries.filter(entry =>
+        words.every(word => entry.searchText.includes(word)) &&
+        ['overallStatus', 'tlStatus', 'dpaStatus'].every(key => !filters[key] || entry[key] === filters[key])
+    );
+}
+
+/**
+ * Sorts catalog entries by name, or by status and then name. Does not change the input array.
+ *
+ * @param {object[]} entries - Entries from `buildCatalogEntries`.
+ * @param {string} sortKey - 'name' or 'status'.
+ * @returns {object[]} The sorted entries.
+ */
+export function sortCatalog(entries, sortKey) {
+    const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+    const statusRank = entry => {
+        const rank = CATALOG_STATUS_ORDER.indexOf(entry.overallStatus);
+        return rank === -1 ? CATALOG_STATUS_ORDER.length : rank;
+    };
+    return [...entries].sort(sortKey === 'status'
+        ? (a, b) => statusRank(a) - statusRank(b) || byName(a, b)
+        : byName);
+}
+
+/**
+ * Groups catalog entries by category, keeping their order within each group.
+ * Groups are sorted by name, with uncategorized entries last.
+ *
+ * @param {object[]} entries - Entries from `buildCatalogEntries`.
+ * @returns {{category: string, entries: object[]}[]} The groups.
+ */
+export function groupCatalog(entries) {
+    const groups = new Map();
+    for (const entry of entries) {
+        if (!groups.has(entry.category)) groups.set(entry.category, []);
+        groups.get(entry.category).push(entry);
+    }
+    return [...groups.entries()]
+        .map(([category, groupEntries]) => ({ category, entries: groupEntries }))
+        .sort((a, b) => (a.category === UNCATEGORIZED) - (b.category === UNCATEGORIZED) ||
+            a.category.localeCompare(b.category));
+}
+
+/**
+ * Lists the distinct non-empty values of a field, for the filter dropdowns.
+ *
+ * @param {object[]} entries - Entries from `buildCatalogEntries`.
+ * @param {string} key - The entry field, e.g. 'tlStatus'.
+ * @returns {string[]} The sorted values.
+ */
+export function getCatalogFacetValues(entries, key) {
+    return [...new Set(entries.map(entry => entry[key]).filter(Boolean))].sort();
+}
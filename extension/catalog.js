@@ -0,0 +1,138 @@
+import { getSettings } from './settings.js';
+import { STATUS_RULES } from './status-rules.js';
+import { determineOverallStatus } from './overall-status.js';
+import { STATUS_EXPLANATIONS, STATUS_LABELS, buildDetailsUrl } from './display-helpers.js';
+import { CATALOG_STATUS_ORDER, buildCatalogEntries, filterCatalog, getCatalogFacetValues, groupCatalog, sortCatalog } from './catalog-filters.js';
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const title = document.getElementById('catalog-title');
+    const searchInput = document.getElementById('search');
+    const statusFilter = document.getElementById('status-filter');
+    const tlFilter = document.getElementById('tl-filter');
+    const dpaFilter = document.getElementById('dpa-filter');
+    const sortSelect = document.getElementById('sort');
+    const groupCheckbox = document.getElementById('group-by-category');
+    const resultCount = document.getElementById('result-count');
+    const results = document.getElementById('results');
+    const dataAge = document.getElementById('data-age');
+
+    const settings = await getSettings();
+    title.textContent = `${settings.districtName} Resource List`;
+
+    // Read the cached list straight from storage, so the catalog works offline
+    const { dpaList, lastFetch } = await chrome.storage.local.get(['dpaList', 'lastFetch']);
+    if (!dpaList) {
+        resultCount.textContent = 'The district list has not been downloaded yet.';
+        return;
+    }
+    dataAge.textContent = `List as of ${new Date(lastFetch).toLocaleString()}.`;
+
+    const entries = buildCatalogEntries(dpaList, determineOverallStatus);
+
+    /**
+     * Adds an option per value to a filter dropdown.
+     * @param {HTMLSelectElement} select - The dropdown.
+     * @param {string[]} values - The option values.
+     * @param {function(string): string} [labelFor] - Maps a value to its label.
+     */
+    function addOptions(select, values, labelFor = value => value) {
+        for (const value of values) {
+            select.append(new Option(labelFor(value), value));
+        }
+    }
+    addOptions(statusFilter, CATALOG_STATUS_ORDER.filter(status => entries.some(entry => entry.overallStatus === status)),
+        status => STATUS_LABELS[status] || status);
+    addOptions(tlFilter, getCatalogFacetValues(entries, 'tlStatus'));
+    addOptions(dpaFilter, getCatalogFacetValues(entries, 'dpaStatus'));
+
+    /**
+     * Builds the table of entries for one group (or for the whole list).
+     * @param {object[]} groupEntries - Entries from `buildCatalogEntries`.
+     * @returns {HTMLTableElement} The table.
+     */
+    function renderTable(groupEntries) {
+        const table = document.createElement('table');
+        const header = table.createTHead().insertRow();
+        for (const heading of ['Resource', 'Status', 'T&L', 'DPA', '']) {
+            const cell = document.createElement('th');
+            cell.textContent = heading;
+            header.append(cell);
+        }
+
+        const body = table.createTBody();
+        for (const entry of groupEntries) {
+            const row = body.insertRow();
+
+            // Only web links are clickable; anything else is shown as text
+            const nameCell = row.insertCell();
+            if (/^https?:\/\//i.test(entry.link)) {
+                const link = document.createElement('a');
+                link.href = entry.link;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                link.textContent = entry.name || entry.link;
+                nameCell.append(link);
+            } else {
+                nameCell.textContent = entry.name || entry.link;
+            }
+
+            const statusCell = row.insertCell();
+            const icon = document.createElement('img');
+            const iconPaths = STATUS_RULES.icons[entry.overallStatus] || STATUS_RULES.icons.default;
+            icon.src = Object.values(iconPaths).pop();
+            icon.alt = '';
+            icon.width = 16;
+            icon.height = 16;
+            statusCell.append(icon, STATUS_LABELS[entry.overallStatus] || entry.overallStatus);
+            statusCell.title = STATUS_EXPLANATIONS[entry.overallStatus] || '';
+
+            row.insertCell().textContent = entry.tlStatus || 'N/A';
+            row.insertCell().textContent = entry.dpaStatus || 'N/A';
+
+            const detailsCell = row.insertCell();
+            const detailsLink = document.createElement('a');
+            detailsLink.href = buildDetailsUrl(settings.detailsUrlTemplate, entry.row);
+            detailsLink.target = '_blank';
+            detailsLink.rel = 'noopener noreferrer';
+            detailsLink.textContent = 'Details';
+            detailsCell.append(detailsLink);
+        }
+        return table;
+    }
+
+    /**
+     * Re-renders the results from the current search, filters, sort and grouping.
+     */
+    function render() {
+        const matches = sortCatalog(filterCatalog(entries, {
+            query: searchInput.value,
+            overallStatus: statusFilter.value,
+            tlStatus: tlFilter.value,
+            dpaStatus: dpaFilter.value
+        }), sortSelect.value);
+
+        resultCount.textContent = `Showing ${matches.length} of ${entries.length} resources.`;
+        results.replaceChildren();
+        if (matches.length === 0) return;
+
+        if (groupCheckbox.checked) {
+            for (const group of groupCatalog(matches)) {
+                const heading = document.createElement('h2');
+                heading.textContent = `${group.category} (${group.entries.length})`;
+                results.append(heading, renderTable(group.entries));
+            }
+        } else {
+            results.append(renderTable(matches));
+        }
+    }
+
+    searchInput.addEventListener('input', render);
+    for (const control of [statusFilter, tlFilter, dpaFilter, sortSelect, groupCheckbox]) {
+        control.addEventListener('change', render);
+    }
+
+    // The popup can open the catalog with a search already filled in
+    searchInput.value = new URLSearchParams(window.location.search).get('q') || '';
+    render();
+    searchInput.focus();
+});
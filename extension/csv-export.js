@@ -0,0 +1,46 @@
+// --- CSV Export ---
+//
+// The "Download CSV" behind the insights and audit pages: `buildCsv` writes the text (used by
+// usage-report.js and url-audit.js, so it is also loaded in the service worker) and `downloadCsv`
+// saves it from an extension page.
+// Imported by usage-report.js, url-audit.js, insights.js and audit.js.
+
+/**
+ * Formats one CSV field, quoting it if it holds a comma, a quote or a line break.
+ *
+ * @param {*} value - The field's value.
+ * @returns {string} The field as it appears in the CSV.
+ */
+export function toCsvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds CSV text from a header row and data rows.
+ *
+ * @param {string[]} header - The column names.
+ * @param {Array<Array<*>>} rows - The data rows, one value per column.
+ * @returns {string} The CSV text, ending with a line break.
+ */
+export function buildCsv(header, rows) {
+    return [header, ...rows]
+        .map(row => row.map(toCsvField).join(','))
+        .join('\n') + '\n';
+}
+
+/**
+ * Saves CSV text as a file in the browser's downloads. Only works from an extension page.
+ *
+ * @param {string} csv - The CSV text.
+ * @param {string} filename - The file name, e.g. 'link-audit-2026-10-19.csv'.
+ */
+export function downloadCsv(csv, filename) {
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    // Give the download a moment to start before the blob URL goes away
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
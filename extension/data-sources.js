@@ -0,0 +1,390 @@
+// --- Data Sources ---
+//
+// Adapters that fetch the DPA list from wherever a district keeps it. Every adapter has the same
+// interface: `fetchRows(settings, syncState)` resolves to a sync result (see `SyncResult` below),
+// or rejects with a `DataSourceError` saying why it failed. The adapter is picked by the `dataSource`
+// setting, which defaults to `DATA_SOURCE` in config.mjs and can be changed on the options page.
+//
+// To keep refreshes cheap, adapters send conditional requests (If-None-Match / If-Modified-Since)
+// using the validators from the previous sync, and Supabase asks only for rows changed since the
+// last `updated_at` cursor. Changed rows are merged into the cached list by their `id`, and rows
+// marked deleted (tombstones) are removed. The cursor is inclusive (`gte`): rows that share the
+// cursor's timestamp but were written after the last sync would otherwise be missed, and the rows
+// sent again are simply merged over themselves.
+// Imported by dpa-cache.js.
+
+import { API_KEY, API_URL, USER_AGENT } from './api-config.js';
+import { getAccessToken } from './session.js';
+import { normalizeColumnName } from './dpa-schema.js';
+
+/**
+ * @typedef {object} SyncState
+ * @property {string|null} [etag] - The ETag of the last full response.
+ * @property {string|null} [lastModified] - The Last-Modified of the last full response.
+ * @property {string|null} [cursor] - The highest `updated_at` seen, for delta requests.
+ * @property {number|null} [lastFullSync] - When the whole list was last downloaded.
+ */
+
+/**
+ * @typedef {object} SyncResult
+ * @property {'full'|'delta'|'not_modified'} status - Whether `rows` is the whole list, only the changes, or nothing changed.
+ * @property {object[]} rows - The rows (empty for 'not_modified').
+ * @property {SyncState} syncState - The state to pass to the next fetch.
+ */
+
+// Delta syncs can't see rows that were hard-deleted, so the whole list is re-downloaded at least this often.
+export const FULL_SYNC_INTERVAL_MINUTES = 60 * 24;
+
+/**
+ * Columns every row must provide. Published sheets must use these exact header names
+ * (case and surrounding whitespace are ignored); any extra columns are passed through unchanged.
+ * @type {string[]}
+ */
+export const REQUIRED_COLUMNS = ['software_name', 'resource_link', 'current_tl_status', 'current_dpa_status'];
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, doubled quotes, and line breaks inside quotes).
+ *
+ * @param {string} text - The raw CSV text.
+ * @returns {string[][]} The records, each an array of field strings. Blank lines are skipped.
+ */
+export function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark, which Sheets exports can include
+    const input = text.charCodeAt(0) === 0xFEFF ? text.substring(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+    return records.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Converts parsed CSV records into row objects keyed by the header row, validating the headers.
+ *
+ * @param {string[][]} records - The output of `parseCsv`, header row first.
+ * @returns {object[]} The rows.
+ * @throws {Error} If the header row is missing or lacks a required column.
+ */
+export function csvRecordsToRows(records) {
+    if (!records.length) {
+        throw new Error('The sheet is empty; expected a header row.');
+    }
+    // Headers are matched like `validateDpaRow` does, so a renamed column like 'T&L Status' still counts
+    const headers = records[0].map(header => header.trim() ? normalizeColumnName(header) : '');
+    const missing = REQUIRED_COLUMNS.filter(column => !headers.includes(column));
+    if (missing.length) {
+        throw new Error(`The sheet is missing required column(s): ${missing.join(', ')}.`);
+    }
+
+    return records.slice(1).map(record => {
+        const row = {};
+        headers.forEach((header, i) => {
+            if (header) row[header] = (record[i] || '').trim();
+        });
+        return row;
+    });
+}
+
+/**
+ * Raised by an adapter when the DPA list can't be loaded. `reason` lets the worker tell the
+ * teacher what is wrong (e.g., signed out vs. offline) without parsing messages.
+ */
+export class DataSourceError extends Error {
+    /**
+     * @param {string} message - A description for the console.
+     * @param {'not_signed_in'|'http'|'network'|'invalid_data'} reason - The kind of failure.
+     * @param {number|null} [httpStatus=null] - The HTTP status, for 'http' failures.
+     */
+    constructor(message, reason, httpStatus = null) {
+        super(message);
+        this.name = 'DataSourceError';
+        this.reason = reason;
+        this.httpStatus = httpStatus;
+    }
+}
+
+/**
+ * Fetches a URL, turning network failures and non-OK responses into a `DataSourceError`.
+ * A 304 Not Modified is returned as-is, since it answers a conditional request.
+ *
+ * @param {string} url - The URL to fetch.
+ * @param {RequestInit} options - Options passed to `fetch`.
+ * @param {string} sourceName - The adapter name, used in error messages.
+ * @returns {Promise<Response>} The OK or 304 response.
+ * @throws {DataSourceError}
+ */
+export async function fetchOrThrow(url, options, sourceName) {
+    let response;
+    try {
+        response = await fetch(url, options);
+    } catch (error) {
+        throw new DataSourceError(`Network error while reaching ${sourceName}: ${error.message}`, 'network');
+    }
+    if (!response.ok && response.status !== 304) {
+        throw new DataSourceError(`${sourceName} Error: ${response.status} ${response.statusText}`, 'http', response.status);
+    }
+    return response;
+}
+
+/**
+ * Builds request headers, adding the conditional-request validators from the previous sync.
+ *
+ * @param {SyncState} syncState - The state from the previous sync.
+ * @param {Object<string, string>} [extraHeaders={}] - Any other headers to send.
+ * @returns {Headers} The headers.
+ */
+export function buildConditionalHeaders(syncState, extraHeaders = {}) {
+    const headers = new Headers({ 'User-Agent': USER_AGENT, ...extraHeaders });
+    if (syncState.etag) headers.set('If-None-Match', syncState.etag);
+    if (syncState.lastModified) headers.set('If-Modified-Since', syncState.lastModified);
+    return headers;
+}
+
+/**
+ * Reads the validators from a full response, for the next conditional request.
+ *
+ * @param {Response} response - The full response.
+ * @returns {SyncState} The new sync state.
+ */
+export function syncStateFromResponse(response) {
+    return {
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified'),
+        cursor: null,
+        lastFullSync: new Date().getTime()
+    };
+}
+
+/**
+ * Checks whether a row marks a deletion, via a `deleted_at` timestamp or an `is_deleted` flag.
+ *
+ * @param {object} row - A row from the data source.
+ * @returns {boolean} True if the row is a tombstone.
+ */
+export function isTombstone(row) {
+    const flag = String(row.is_deleted === undefined ? '' : row.is_deleted).trim().toLowerCase();
+    return Boolean(row.deleted_at) || flag === 'true' || flag === '1';
+}
+
+/**
+ * Finds the highest `updated_at` among rows, to use as the next delta cursor.
+ *
+ * @param {object[]} rows - The rows.
+ * @param {string|null} previousCursor - The cursor to keep if no row is newer.
+ * @returns {string|null} The new cursor.
+ */
+export function getLatestUpdatedAt(rows, previousCursor) {
+    return rows.reduce((latest, row) => {
+        if (!row.updated_at) return latest;
+        return !latest || Date.parse(row.updated_at) > Date.parse(latest) ? row.updated_at : latest;
+    }, previousCursor);
+}
+
+/**
+ * Merges changed rows into the cached list by primary key (`id`).
+ * Tombstones remove their row; other rows replace the cached row with the same id or are added.
+ *
+ * @param {object[]} dpaList - The cached list.
+ * @param {object[]} changes - The changed rows from a delta sync.
+ * @returns {object[]} The merged list. The cached list is not modified.
+ */
+export function mergeDeltaRows(dpaList, changes) {
+    const byId = new Map(dpaList.map(row => [String(row.id), row]));
+    for (const row of changes) {
+        const id = String(row.id);
+        if (isTombstone(row)) {
+            byId.delete(id);
+        } else {
+            byId.set(id, row);
+        }
+    }
+    return [...byId.values()];
+}
+
+/**
+ * Supabase: calls the REST endpoint with the anon key and the signed-in user's access token.
+ * The session is renewed with its refresh token when needed; this never opens a sign-in window.
+ * With a cursor from a previous sync, it only asks for rows where `updated_at` is at or after it.
+ *
+ * @param {object} settings - The effective settings.
+ * @param {SyncState} syncState - The state from the previous sync.
+ * @returns {Promise<SyncResult>} The sync result.
+ * @throws {DataSourceError} If the user is not signed in or the request fails.
+ */
+export async function fetchSupabaseRows(settings, syncState) {
+    // Get a current access token, renewing the session if it is about to expire
+    let accessToken = await getAccessToken();
+
+    // If there is no session, we cannot proceed until the user signs in from the popup
+    if (!accessToken) {
+        throw new DataSourceError('User is not authenticated. Cannot fetch DPA list.', 'not_signed_in');
+    }
+
+    // Ask only for changed rows, unless a periodic full sync is due
+    const now = new Date().getTime();
+    const isDelta = Boolean(syncState.cursor && syncState.lastFullSync &&
+        now - syncState.lastFullSync < FULL_SYNC_INTERVAL_MINUTES * 60 * 1000);
+    const requestUrl = new URL(API_URL);
+    if (isDelta) {
+        requestUrl.searchParams.set('updated_at', `gte.${syncState.cursor}`);
+        requestUrl.searchParams.set('order', 'updated_at.asc');
+    }
+
+    const headers = buildConditionalHeaders(isDelta ? {} : syncState, {
+        'apikey': API_KEY,
+        'Authorization': `Bearer ${accessToken}`
+    });
+    const requestOptions = { method: 'GET', headers: headers, cache: 'no-store' };
+
+    let response;
+    try {
+        response = await fetch(requestUrl, requestOptions);
+
+        // If the token was rejected anyway (401), renew the session once and retry
+        if (response.status === 401) {
+            console.log('Token expired or invalid. Refreshing the session...');
+            accessToken = await getAccessToken({ forceRefresh: true });
+
+            if (!accessToken) {
+                throw new DataSourceError('Sign-in expired and could not be renewed.', 'not_signed_in', 401);
+            }
+            // Retry the fetch with the new token
+            headers.set('Authorization', `Bearer ${accessToken}`);
+            response = await fetch(requestUrl, requestOptions);
+        }
+    } catch (error) {
+        if (error instanceof DataSourceError) throw error;
+        throw new DataSourceError(`Network or fetch error while getting DPA list: ${error.message}`, 'network');
+    }
+
+    if (response.status === 304) {
+        return { status: 'not_modified', rows: [], syncState: syncState };
+    }
+    if (!response.ok) {
+        throw new DataSourceError(`API Error: ${response.status} ${response.statusText}`, 'http', response.status);
+    }
+
+    const rows = await response.json();
+    if (!Array.isArray(rows)) {
+        throw new DataSourceError('The Supabase endpoint must return an array of rows.', 'invalid_data');
+    }
+    if (isDelta) {
+        return {
+            status: 'delta',
+            rows: rows,
+            syncState: { ...syncState, cursor: getLatestUpdatedAt(rows, syncState.cursor) }
+        };
+    }
+    const newState = syncStateFromResponse(response);
+    newState.cursor = getLatestUpdatedAt(rows, null);
+    return { status: 'full', rows: rows.filter(row => !isTombstone(row)), syncState: newState };
+}
+
+/**
+ * Published Google Sheet: downloads the sheet as CSV ("File > Share > Publish to web", CSV format)
+ * and maps each row by its header. No sign-in is needed because published sheets are public and read-only.
+ *
+ * @param {{dataSourceUrl: string}} settings - The effective settings; `dataSourceUrl` is the CSV link.
+ * @param {SyncState} syncState - The state from the previous sync.
+ * @returns {Promise<SyncResult>} The sync result.
+ * @throws {DataSourceError} If the request fails or the sheet lacks a required column.
+ */
+export async function fetchSheetCsvRows(settings, syncState) {
+    const response = await fetchOrThrow(settings.dataSourceUrl,
+        { method: 'GET', headers: buildConditionalHeaders(syncState), cache: 'no-store' }, 'Sheet');
+    if (response.status === 304) {
+        return { status: 'not_modified', rows: [], syncState: syncState };
+    }
+    try {
+        const rows = csvRecordsToRows(parseCsv(await response.text()));
+        return { status: 'full', rows: rows.filter(row => !isTombstone(row)), syncState: syncStateFromResponse(response) };
+    } catch (error) {
+        throw new DataSourceError(error.message, 'invalid_data');
+    }
+}
+
+/**
+ * Static JSON: downloads a JSON array of rows from a plain URL (e.g., a file on GitHub Pages).
+ *
+ * @param {{dataSourceUrl: string}} settings - The effective settings; `dataSourceUrl` is the JSON link.
+ * @param {SyncState} syncState - The state from the previous sync.
+ * @returns {Promise<SyncResult>} The sync result.
+ * @throws {DataSourceError} If the request fails or the file is not a JSON array.
+ */
+export async function fetchJsonRows(settings, syncState) {
+    const response = await fetchOrThrow(settings.dataSourceUrl,
+        { method: 'GET', headers: buildConditionalHeaders(syncState), cache: 'no-store' }, 'JSON Source');
+    if (response.status === 304) {
+        return { status: 'not_modified', rows: [], syncState: syncState };
+    }
+    let rows;
+    try {
+        rows = await response.json();
+    } catch (error) {
+        throw new DataSourceError(`The JSON data source is not valid JSON: ${error.message}`, 'invalid_data');
+    }
+    if (!Array.isArray(rows)) {
+        throw new DataSourceError('The JSON data source must contain an array of rows.', 'invalid_data');
+    }
+    return { status: 'full', rows: rows.filter(row => !isTombstone(row)), syncState: syncStateFromResponse(response) };
+}
+
+/**
+ * The available adapters, keyed by the `dataSource` setting.
+ * @type {Object<string, {name: string, fetchRows: function(object, SyncState): Promise<SyncResult>}>}
+ */
+export const DATA_SOURCES = {
+    'supabase': { name: 'Supabase', fetchRows: fetchSupabaseRows },
+    'sheet-csv': { name: 'Published Google Sheet (CSV)', fetchRows: fetchSheetCsvRows },
+    'json': { name: 'JSON file', fetchRows: fetchJsonRows }
+};
+
+/**
+ * Returns the adapter for a data source type, falling back to Supabase for unknown values.
+ *
+ * @param {string} type - A key of `DATA_SOURCES`.
+ * @returns {{name: string, fetchRows: function(object, SyncState): Promise<SyncResult>}} The adapter.
+ */
+export function getDataSource(type) {
+    if (!DATA_SOURCES[type]) {
+        console.warn(`Unknown data source "${type}". Falling back to Supabase.`);
+        return DATA_SOURCES.supabase;
+    }
+    return DATA_SOURCES[type];
+}
@@ -0,0 +1,69 @@
+import { getSettings } from './settings.js';
+import { normalizeColumnName } from './dpa-schema.js';
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const summary = document.getElementById('summary');
+    const rowHeading = document.getElementById('row-heading');
+    const quarantineHeading = document.getElementById('quarantine-heading');
+    const quarantineTable = document.getElementById('quarantine-table');
+    const quarantineBody = document.getElementById('quarantine-body');
+    const correctionsHeading = document.getElementById('corrections-heading');
+    const correctionsTable = document.getElementById('corrections-table');
+    const correctionsBody = document.getElementById('corrections-body');
+
+    const settings = await getSettings();
+    const { dpaDiagnostics } = await chrome.storage.local.get('dpaDiagnostics');
+    if (!dpaDiagnostics) {
+        summary.textContent = 'The district list has not been checked yet.';
+        return;
+    }
+
+    const { quarantined, corrections, correctionCount } = dpaDiagnostics;
+    summary.textContent = `Checked ${new Date(dpaDiagnostics.checkedAt).toLocaleString()}: ` +
+        `${dpaDiagnostics.totalRows} row(s) in use, ${quarantined.length} set aside, ${correctionCount} value(s) corrected.`;
+
+    /**
+     * Reads a column from a row as it came from the source, whatever the column was called.
+     * @param {object} row - The row as fetched.
+     * @param {string} column - The standard column name.
+     * @returns {string} The value, or ''.
+     */
+    function readColumn(row, column) {
+        const key = Object.keys(row).find(candidate => normalizeColumnName(candidate) === column);
+        return key === undefined || row[key] === null ? '' : String(row[key]);
+    }
+
+    // A published sheet's first row is the header, so data starts on sheet row 2
+    const isSheet = settings.dataSource === 'sheet-csv';
+    rowHeading.textContent = isSheet ? 'Sheet row' : 'Row';
+
+    for (const entry of quarantined) {
+        const row = quarantineBody.insertRow();
+        row.insertCell().textContent = entry.index + (isSheet ? 2 : 1);
+        row.insertCell().textContent = readColumn(entry.row, 'software_name') || '(no name)';
+        row.insertCell().textContent = readColumn(entry.row, 'resource_link');
+
+        const list = document.createElement('ul');
+        for (const reason of entry.reasons) {
+            const item = document.createElement('li');
+            item.textContent = reason;
+            list.append(item);
+        }
+        row.insertCell().append(list);
+    }
+    quarantineHeading.hidden = quarantined.length === 0;
+    quarantineTable.hidden = quarantined.length === 0;
+
+    for (const correction of corrections) {
+        const row = correctionsBody.insertRow();
+        row.insertCell().textContent = correction.name;
+        row.insertCell().textContent = correction.field;
+        row.insertCell().textContent = correction.from;
+        row.insertCell().textContent = correction.to;
+    }
+    if (correctionCount > corrections.length) {
+        correctionsHeading.textContent = `Corrected automatically (first ${corrections.length} of ${correctionCount})`;
+    }
+    correctionsHeading.hidden = corrections.length === 0;
+    correctionsTable.hidden = corrections.length === 0;
+});
@@ -0,0 +1,132 @@
+// --- Display Helpers ---
+//
+// Teacher-facing wording and link building shared by the extension pages (popup, interstitial, reports)
+// and the service worker's omnibox suggestions.
+// Imported by the page scripts and by the service worker's modules.
+
+/**
+ * A short, human-readable name for each overall status.
+ * @type {Object<string, string>}
+ */
+export const STATUS_LABELS = {
+    approved: 'Approved',
+    staff_only: 'Staff Only',
+    pending: 'Pending',
+    denied: 'Denied',
+    unlisted: 'Unlisted'
+};
+
+/**
+ * A short, teacher-facing explanation for each overall status.
+ * @type {Object<string, string>}
+ */
+export const STATUS_EXPLANATIONS = {
+    approved: 'Approved for classroom use, including student accounts.',
+    staff_only: 'OK for teacher use; do not create student accounts.',
+    pending: 'Still under district review. Wait before using it with students.',
+    denied: 'Not approved. Do not use it for district work.',
+    unlisted: 'Not reviewed by the district yet. Submit it for review before using it with students.'
+};
+
+/**
+ * Teacher-facing wording for the page check of an unlisted site (see page-signals.js).
+ * @type {Object<string, string>}
+ */
+export const PAGE_CHECK_LABELS = {
+    data_collection_likely: 'This page appears to use accounts or collect data',
+    informational: 'This page looks informational: no sign-in, upload or ad trackers found.'
+};
+
+/**
+ * Turns a resource name into a URL slug, e.g. 'Kahoot! Kids' becomes 'kahoot-kids'.
+ *
+ * @param {string} name - The resource name.
+ * @returns {string} The slug.
+ */
+export function slugify(name) {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Fills '{placeholder}' tokens in a URL template, URL-encoding each value.
+ *
+ * @param {string} template - The URL template.
+ * @param {Object<string, string>} values - Values keyed by placeholder name.
+ * @returns {string} The filled-in URL.
+ */
+export function fillUrlTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (token, name) =>
+        name in values ? encodeURIComponent(values[name]) : token);
+}
+
+/**
+ * Builds the details page link for a resource from the configured template.
+ * '{id}' is replaced with the row's id and '{slug}' with its `slug` column (or a slug of its name).
+ * Without a matched row, or if the row lacks the id the template needs, the template's site root is used instead.
+ *
+ * @param {string} template - The `detailsUrlTemplate` setting.
+ * @param {object|null} siteInfo - The matched DPA row, if any.
+ * @returns {string} The details page URL.
+ */
+export function buildDetailsUrl(template, siteInfo) {
+    if (!/\{(id|slug)\}/.test(template)) return template;
+
+    const values = {};
+    if (siteInfo && siteInfo.id !== undefined && siteInfo.id !== null && siteInfo.id !== '') {
+        values.id = String(siteInfo.id);
+    }
+    const slug = siteInfo && (siteInfo.slug || slugify(siteInfo.software_name));
+    if (slug) values.slug = slug;
+
+    const url = fillUrlTemplate(template, values);
+    if (/\{(id|slug)\}/.test(url)) {
+        return new URL(template.replace(/\{\w+\}/g, '')).origin;
+    }
+    return url;
+}
+
+/**
+ * Builds a one-line, teacher-friendly summary of a resource's status for sharing with colleagues,
+ * e.g. "Kahoot — T&L Approved, DPA Received (Approved)".
+ *
+ * @param {object|null} siteInfo - The matched DPA row, if any.
+ * @param {{hostname: string}|null} domainInfo - The parsed URL from the worker's `getDomainInfo`.
+ * @param {string} overallStatus - The overall status.
+ * @returns {string} The summary.
+ */
+export function buildStatusSummary(siteInfo, domainInfo, overallStatus) {
+    if (!siteInfo) {
+        return `${domainInfo ? domainInfo.hostname : 'This site'} — not in the district list (${STATUS_LABELS.unlisted})`;
+    }
+    const tl = siteInfo.current_tl_status || 'N/A';
+    const dpa = siteInfo.current_dpa_status || 'N/A';
+    return `${siteInfo.software_name} — T&L ${tl}, DPA ${dpa} (${STATUS_LABELS[overallStatus] || overallStatus})`;
+}
+
+/**
+ * Describes how fresh the district list is, for the line under the status.
+ *
+ * @param {{state: string, lastFetch: number|null}} dataHealth - The result of the worker's `getDataHealth`.
+ * @returns {{text: string, isWarning: boolean}} The text to show, and whether it is a warning.
+ */
+export function describeDataHealth(dataHealth) {
+    if (!dataHealth) return { text: '', isWarning: false };
+
+    const asOf = dataHealth.lastFetch
+        ? `Data as of ${new Date(dataHealth.lastFetch).toLocaleDateString(undefined, { dateStyle: 'medium' })}.`
+        : '';
+    switch (dataHealth.state) {
+        case 'not_signed_in':
+            return { text: `Not signed in, so the district list can't be updated. ${asOf}`.trim(), isWarning: true };
+        case 'no_data':
+            return { text: 'The district list has not been downloaded yet.', isWarning: true };
+        case 'stale':
+            return { text: `${asOf} This may be out of date; statuses may have changed.`, isWarning: true };
+        default:
+            return { text: asOf, isWarning: false };
+    }
+}
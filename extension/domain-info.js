@@ -0,0 +1,61 @@
+// --- Domain Info ---
+//
+// Parses a URL into what the rest of the extension matches on: the site's registrable domain
+// (see public-suffix-list.js) and, for app store pages, the store and app ID (see app-stores.js).
+
+import { getRegistrableDomain } from './public-suffix-list.js';
+import { getAppStoreInfo } from './app-stores.js';
+
+/**
+ * Parses a URL string to extract detailed domain and app store information.
+ * It identifies the primary domain, and for app store URLs, it extracts the normalized application ID.
+ *
+ * @param {string | null | undefined} urlString - The URL to parse.
+ * @param {Object<string, Object<string, number>>} [listedApps] - The `apps` of the DPA index. Pass it for pages,
+ *        so an Amazon product only counts as an app when the DPA list names it; omit it for a DPA row's own link.
+ * @returns {{fullHostname: string, hostname: string, pathname: string, isInstalled: boolean, appID: string|null, isAppStore: boolean, appStoreName: string|null}|null} 
+ *          An object with parsed URL details, or null if the URL is invalid.
+ */
+export function getDomainInfo(urlString, listedApps) {
+    if (!urlString || typeof urlString !== 'string') {
+        return null;
+    }
+    try {
+        const url = new URL(urlString);
+
+        // App store pages are identified by the registry in app-stores.js
+        let appStore = null;
+        try {
+            appStore = getAppStoreInfo(url, listedApps);
+        } catch (error) {
+            console.warn(`Could not parse app store path for app-id: ${urlString}`, error);
+            // Continue as the base domain info is still useful
+        }
+        const isAppStore = appStore !== null;
+        const appID = isAppStore ? appStore.appID : null;
+        const appStoreName = isAppStore ? appStore.appStoreName : null;
+
+        let hostnameForMatching;
+        if (isAppStore) {
+            // For app stores, the full hostname is more specific for matching
+            hostnameForMatching = url.hostname; 
+        } else {
+            // For regular websites, use the registrable domain (e.g., 'google.com' from 'sub.google.com',
+            // but 'myschool.github.io' rather than 'github.io'). Localhost and IPs are returned as-is.
+            hostnameForMatching = getRegistrableDomain(url.hostname);
+        }
+
+        return {
+            fullHostname: url.hostname,
+            hostname: hostnameForMatching,
+            pathname: url.pathname,
+            isInstalled: appID !== null,
+            appID: appID,
+            isAppStore: isAppStore,
+            appStoreName: appStoreName
+        };
+    } catch (error) {
+        console.warn(`Could not parse invalid URL: ${urlString}`, error);
+        return null;
+    }
+}
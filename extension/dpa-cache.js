@@ -0,0 +1,267 @@
+// --- DPA Cache ---
+//
+// The cached DPA list and its lookup index: loading it (migrating an older cache format),
+// syncing it with the configured data source, and tracking how fresh and healthy it is.
+
+import { runInExtensionContext } from './extension-context.js';
+import { getSettings } from './settings.js';
+import { buildDpaIndex } from './site-matching.js';
+import { DataSourceError, getDataSource, mergeDeltaRows } from './data-sources.js';
+import { DPA_CACHE_VERSION, buildDpaDiagnostics, validateDpaList } from './dpa-schema.js';
+
+/**
+ * In-memory copy of the cached DPA list and its lookup index, so tab updates don't have to
+ * read and rebuild them from storage each time. It is lost whenever the service worker sleeps.
+ * @type {{dpaList: object[], dpaIndex: object, lastFetch: number}|null}
+ */
+let dpaLookup = null;
+
+/**
+ * Drops the in-memory copy, so the next lookup reads storage again (e.g., after the cache is
+ * cleared or the extension is updated).
+ */
+export function resetDpaLookup() {
+    dpaLookup = null;
+}
+
+/**
+ * Brings a cached list written by an older version up to `DPA_CACHE_VERSION`: its rows are
+ * re-validated (rows that no longer pass are quarantined) and the lookup index is rebuilt.
+ * The fetch time is kept, so this doesn't trigger a download.
+ *
+ * @param {{dpaList: object[], lastFetch: number, dpaCacheVersion?: number}} cache - The cache as read from storage.
+ * @returns {Promise<{dpaList: object[], dpaIndex: object, lastFetch: number}>} The migrated lookup.
+ */
+export async function migrateDpaCache(cache) {
+    console.log(`Migrating cached DPA list from version ${cache.dpaCacheVersion || 1} to ${DPA_CACHE_VERSION}.`);
+    const validation = validateDpaList(cache.dpaList);
+    const dpaIndex = buildDpaIndex(validation.rows);
+    await runInExtensionContext(
+        () => chrome.storage.local.set({
+            dpaList: validation.rows,
+            dpaIndex: dpaIndex,
+            dpaCacheVersion: DPA_CACHE_VERSION,
+            dpaDiagnostics: buildDpaDiagnostics(validation, validation.rows.length)
+        }),
+        Promise.resolve()
+    );
+    return { dpaList: validation.rows, dpaIndex: dpaIndex, lastFetch: cache.lastFetch };
+}
+
+/**
+ * Loads the cached DPA list and its lookup index, without triggering a fetch.
+ * Uses the in-memory copy if the service worker is still awake; otherwise reads storage,
+ * migrating a cache written by an older version and rebuilding the index if it is missing.
+ *
+ * @returns {Promise<{dpaList: object[], dpaIndex: object, lastFetch: number}|null>} The cached lookup, or null if there is no list yet.
+ */
+export async function loadDpaLookup() {
+    if (dpaLookup) return dpaLookup;
+
+    const result = await runInExtensionContext(
+        () => chrome.storage.local.get(['dpaList', 'dpaIndex', 'lastFetch', 'dpaCacheVersion']),
+        { dpaList: null, dpaIndex: null, lastFetch: null, dpaCacheVersion: null }
+    );
+    if (!result.dpaList) return null;
+
+    if (result.dpaCacheVersion !== DPA_CACHE_VERSION) {
+        dpaLookup = await migrateDpaCache(result);
+        return dpaLookup;
+    }
+
+    let dpaIndex = result.dpaIndex;
+    if (!dpaIndex) {
+        console.log('Lookup index missing from cache. Rebuilding it.');
+        dpaIndex = buildDpaIndex(result.dpaList);
+        await runInExtensionContext(
+            () => chrome.storage.local.set({ dpaIndex: dpaIndex }),
+            Promise.resolve()
+        );
+    }
+    dpaLookup = { dpaList: result.dpaList, dpaIndex: dpaIndex, lastFetch: result.lastFetch };
+    return dpaLookup;
+}
+
+/**
+ * Identifies the configured data source, so sync state from one source is never reused for another.
+ *
+ * @param {object} settings - The effective settings.
+ * @returns {string} A key for the data source.
+ */
+export function getSourceKey(settings) {
+    return `${settings.dataSource}|${settings.dataSourceUrl}`;
+}
+
+/**
+ * Retrieves the DPA list and its lookup index, using a cached version if available and not stale.
+ * If the cache is missing or expired, it syncs with the configured data source: unchanged data
+ * (304) only renews the cache time, changed rows are merged in, and a full download replaces it.
+ *
+ * @param {boolean} [force=false] - If true, syncs even when the cache is still fresh (e.g., right after signing in).
+ * @returns {Promise<{dpaList: object[], dpaIndex: object, lastFetch: number}|null>} A promise that resolves to the lookup from cache or the data source, or null if unavailable.
+ */
+export async function getAndUpdateDpaList(force = false) {
+    const now = new Date().getTime();
+    const settings = await getSettings();
+    const cached = await loadDpaLookup();
+
+    // Check if a valid, non-stale cache exists
+    if (!force && cached && cached.lastFetch && (now - cached.lastFetch < settings.refreshMinutes * 60 * 1000)) {
+        console.log('Using cached DPA list.');
+        return cached;
+    }
+
+    // Conditional and delta requests only make sense against a cached list from the same source
+    const { syncState: storedSyncState, dpaDiagnostics } = await runInExtensionContext(
+        () => chrome.storage.local.get(['syncState', 'dpaDiagnostics']),
+        { syncState: null, dpaDiagnostics: null }
+    );
+    const syncState = (cached && storedSyncState && storedSyncState.sourceKey === getSourceKey(settings))
+        ? storedSyncState
+        : {};
+
+    const dataSource = getDataSource(settings.dataSource);
+    console.log(`Cache is stale or missing. Syncing DPA list from ${dataSource.name}.`);
+    let result = null;
+    let validation = null;
+    try {
+        result = await dataSource.fetchRows(settings, syncState);
+        // Changes can only be merged by id; without one, fall back to a full download
+        if (result.status === 'delta' && result.rows.some(row => row.id === undefined || row.id === null)) {
+            console.warn('Changed rows are missing an id. Downloading the full DPA list instead.');
+            result = await dataSource.fetchRows(settings, {});
+        }
+        if (result.status !== 'not_modified') {
+            validation = validateDpaList(result.rows);
+            if (validation.quarantined.length) {
+                console.warn(`Quarantined ${validation.quarantined.length} DPA row(s) that failed validation. See the diagnostics page.`);
+            }
+            // If nothing in a full download passes (e.g., a renamed column), keep the cached list rather
+            // than blank every icon. A delta whose changes all fail is still saved below, so the
+            // quarantine is recorded and the cursor moves on instead of refetching the same rows.
+            if (result.status === 'full' && result.rows.length > 0 && validation.rows.length === 0) {
+                await runInExtensionContext(
+                    () => chrome.storage.local.set({ dpaDiagnostics: buildDpaDiagnostics(validation, cached ? cached.dpaList.length : 0) }),
+                    Promise.resolve()
+                );
+                throw new DataSourceError('None of the fetched DPA rows passed validation.', 'invalid_data');
+            }
+        }
+        await recordFetchHealth(null);
+    } catch (error) {
+        console.error(error.message);
+        await recordFetchHealth(error);
+        result = null;
+    }
+
+    if (result && result.status === 'not_modified') {
+        // Nothing changed, so the cached list and index are still current
+        await runInExtensionContext(
+            () => chrome.storage.local.set({ lastFetch: now, syncState: { ...result.syncState, sourceKey: getSourceKey(settings) } }),
+            Promise.resolve()
+        );
+        dpaLookup = { ...cached, lastFetch: now };
+        console.log('DPA list is unchanged.');
+        return dpaLookup;
+    }
+
+    if (result) {
+        // Index the new or merged list and update cache. Quarantined changes leave the cached row as it was.
+        const isDelta = result.status === 'delta';
+        const dpaList = isDelta ? mergeDeltaRows(cached.dpaList, validation.rows) : validation.rows;
+        const dpaIndex = (isDelta && validation.rows.length === 0) ? cached.dpaIndex : buildDpaIndex(dpaList);
+        await runInExtensionContext(
+            () => chrome.storage.local.set({
+                dpaList: dpaList,
+                dpaIndex: dpaIndex,
+                dpaCacheVersion: DPA_CACHE_VERSION,
+                dpaDiagnostics: buildDpaDiagnostics(validation, dpaList.length, isDelta ? dpaDiagnostics : null),
+                lastFetch: now,
+                syncState: { ...result.syncState, sourceKey: getSourceKey(settings) }
+            }),
+            Promise.resolve()
+        );
+        dpaLookup = { dpaList: dpaList, dpaIndex: dpaIndex, lastFetch: now };
+        console.log(isDelta
+            ? `Merged ${result.rows.length} changed row(s) into the cached DPA list.`
+            : 'Successfully fetched and cached new DPA list.');
+        return dpaLookup;
+    }
+
+    // If fetch fails, return the old (stale) list if it exists, otherwise null
+    console.warn('Failed to fetch new DPA list. Will use stale data if available.');
+    return cached;
+}
+
+/**
+ * Records the outcome of a fetch attempt, so the icon and popup can tell teachers when the
+ * data they are looking at may be out of date.
+ *
+ * @param {Error|null} error - The error from the data source, or null on success.
+ * @returns {Promise<void>}
+ */
+export async function recordFetchHealth(error) {
+    const now = new Date().getTime();
+    const { fetchHealth = {} } = await runInExtensionContext(
+        () => chrome.storage.local.get('fetchHealth'),
+        { fetchHealth: {} }
+    );
+
+    const health = error
+        ? {
+            ...fetchHealth,
+            lastAttempt: now,
+            lastError: { reason: error.reason || 'network', message: error.message, time: now },
+            consecutiveFailures: (fetchHealth.consecutiveFailures || 0) + 1,
+            httpStatus: error.httpStatus || null
+        }
+        : {
+            ...fetchHealth,
+            lastAttempt: now,
+            lastSuccess: now,
+            consecutiveFailures: 0,
+            httpStatus: null
+        };
+
+    await runInExtensionContext(
+        () => chrome.storage.local.set({ fetchHealth: health }),
+        Promise.resolve()
+    );
+}
+
+/**
+ * Summarizes how fresh and healthy the cached DPA list is.
+ * `state` is the single condition to surface: 'not_signed_in' if the last fetch failed for lack of
+ * a sign-in, 'no_data' if nothing has ever been fetched, 'stale' if the list is older than the
+ * `staleAfterDays` setting, otherwise 'ok'.
+ *
+ * @returns {Promise<{state: string, lastFetch: number|null, lastAttempt: number|null, lastError: object|null, consecutiveFailures: number, httpStatus: number|null, staleAfterDays: number}>}
+ */
+export async function getDataHealth() {
+    const now = new Date().getTime();
+    const { staleAfterDays } = await getSettings();
+    const { fetchHealth = {}, lastFetch = null } = await runInExtensionContext(
+        () => chrome.storage.local.get(['fetchHealth', 'lastFetch']),
+        { fetchHealth: {}, lastFetch: null }
+    );
+    const failing = (fetchHealth.consecutiveFailures || 0) > 0;
+
+    let state = 'ok';
+    if (failing && fetchHealth.lastError && fetchHealth.lastError.reason === 'not_signed_in') {
+        state = 'not_signed_in';
+    } else if (!lastFetch) {
+        state = 'no_data';
+    } else if (now - lastFetch > staleAfterDays * 24 * 60 * 60 * 1000) {
+        state = 'stale';
+    }
+
+    return {
+        state,
+        lastFetch,
+        lastAttempt: fetchHealth.lastAttempt || null,
+        lastError: failing ? fetchHealth.lastError : null,
+        consecutiveFailures: fetchHealth.consecutiveFailures || 0,
+        httpStatus: fetchHealth.httpStatus || null,
+        staleAfterDays
+    };
+}
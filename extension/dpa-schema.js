@@ -0,0 +1,246 @@
+// --- DPA Schema ---
+//
+// Validates and normalizes every row of the DPA list as it is fetched, so a typo in the sheet
+// doesn't silently turn resources purple. Column names and status values are matched ignoring
+// case and whitespace, known aliases and misspellings (e.g. "Recieved") are corrected, and links
+// without a scheme get https://. Rows that still can't be used are quarantined with the reasons,
+// and listed on the diagnostics page (diagnostics.html) so the data owner can fix them.
+// The cached list carries `DPA_CACHE_VERSION`; a cache written by an older version is re-validated
+// and re-indexed when it is loaded.
+// Imported by dpa-cache.js, and by diagnostics.js for the column names.
+
+import { STATUS_RULES } from './status-rules.js';
+import { getDomainInfo } from './domain-info.js';
+import { isPublicSuffix } from './public-suffix-list.js';
+import { getMatchRule, normalizeHost } from './site-matching.js';
+import { isTombstone } from './data-sources.js';
+
+/**
+ * The version of the cached list's format. Bump it whenever validation or indexing changes in a
+ * way that makes an existing cache wrong.
+ * @type {number}
+ */
+export const DPA_CACHE_VERSION = 4;
+
+// The most corrections kept for the diagnostics page.
+export const MAX_RECORDED_CORRECTIONS = 200;
+
+/**
+ * Other names seen for the standard columns, after lowercasing and turning spaces into '_'.
+ * @type {Object<string, string>}
+ */
+export const COLUMN_ALIASES = {
+    name: 'software_name',
+    software: 'software_name',
+    resource_name: 'software_name',
+    link: 'resource_link',
+    url: 'resource_link',
+    resource_url: 'resource_link',
+    tl_status: 'current_tl_status',
+    't&l_status': 'current_tl_status',
+    current_t_l_status: 'current_tl_status',
+    dpa_status: 'current_dpa_status'
+};
+
+/**
+ * Known misspellings and variants of status values, by column, lowercase. Only spellings of the
+ * same word belong here: a value from the other column's vocabulary (e.g. "Denied" as a T&L
+ * status) changes what the row means for policy, so it is quarantined for the data owner instead.
+ * @type {Object<string, Object<string, string>>}
+ */
+export const STATUS_ALIASES = {
+    current_tl_status: {
+        aproved: 'Approved',
+        approve: 'Approved',
+        reject: 'Rejected',
+        'not-required': 'Not Required',
+        notrequired: 'Not Required',
+        'not needed': 'Not Required',
+        pending: 'Pending',
+        'in review': 'Pending'
+    },
+    current_dpa_status: {
+        recieved: 'Received',
+        recieve: 'Received',
+        receive: 'Received',
+        signed: 'Received',
+        requsted: 'Requested',
+        request: 'Requested',
+        deny: 'Denied',
+        'not-required': 'Not Required',
+        notrequired: 'Not Required',
+        'not needed': 'Not Required'
+    }
+};
+
+/**
+ * Normalizes a column name: lowercase, trimmed, spaces as '_', with known aliases resolved.
+ *
+ * @param {string} name - The raw column name.
+ * @returns {string} The standard column name, or the normalized name for unknown columns.
+ */
+export function normalizeColumnName(name) {
+    const normalized = String(name).trim().toLowerCase().replace(/\s+/g, '_');
+    return COLUMN_ALIASES[normalized] || normalized;
+}
+
+/**
+ * Normalizes a status value to one the rules table knows, ignoring case and extra whitespace
+ * and correcting known misspellings. Blank stays blank.
+ *
+ * @param {string} column - 'current_tl_status' or 'current_dpa_status'.
+ * @param {*} value - The raw value.
+ * @param {string[]} knownValues - The values listed in the rules table for this column.
+ * @returns {string|null} The known value ('' for blank), or null if it can't be recognized.
+ */
+export function normalizeStatusValue(column, value, knownValues) {
+    const collapsed = String(value === null || value === undefined ? '' : value).trim().replace(/\s+/g, ' ');
+    if (!collapsed) return '';
+
+    const lower = collapsed.toLowerCase();
+    const known = knownValues.find(candidate => candidate !== '(blank)' && candidate.toLowerCase() === lower);
+    return known || STATUS_ALIASES[column][lower] || null;
+}
+
+/**
+ * Normalizes a resource link: trimmed, with 'https://' added to a bare hostname like 'kahoot.com/x'.
+ *
+ * @param {*} value - The raw link.
+ * @returns {string} The link.
+ */
+export function normalizeResourceLink(value) {
+    const link = String(value === null || value === undefined ? '' : value).trim();
+    if (link && !/^[a-z][a-z0-9+.-]*:/i.test(link) && /^[^\s/]+\.[a-z]{2,}(\/|$)/i.test(link)) {
+        return `https://${link}`;
+    }
+    return link;
+}
+
+/**
+ * Checks whether a link parses as a URL, without the error `getDomainInfo` logs for each bad one.
+ *
+ * @param {string} link - The normalized link.
+ * @returns {boolean} True if `new URL` accepts it.
+ */
+export function isParsableLink(link) {
+    try {
+        new URL(link);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Validates and normalizes one row.
+ *
+ * @param {object} rawRow - The row as fetched.
+ * @returns {{row: object, reasons: string[], corrections: {field: string, from: string, to: string}[]}} The normalized row, why it can't be used (empty if it can), and what was corrected.
+ */
+export function validateDpaRow(rawRow) {
+    const row = {};
+    for (const [key, value] of Object.entries(rawRow)) {
+        const column = normalizeColumnName(key);
+        // A standard column under its own name wins over an alias of it
+        if (!(column in row) || key === column) row[column] = value;
+    }
+
+    const reasons = [];
+    const corrections = [];
+    const correct = (field, to) => {
+        const from = row[field] === null || row[field] === undefined ? '' : String(row[field]);
+        // Trimmed whitespace isn't worth reporting
+        if (from !== to && from.trim() !== to) corrections.push({ field, from, to });
+        row[field] = to;
+    };
+
+    const name = String(row.software_name || '').trim();
+    if (name) {
+        correct('software_name', name);
+    } else {
+        reasons.push('Missing software_name.');
+    }
+
+    // A blank link is allowed (the rules table treats it as unlisted); a link that can't be matched is not
+    const link = normalizeResourceLink(row.resource_link);
+    if (link && isParsableLink(link) && isPublicSuffix(normalizeHost(new URL(link).hostname))) {
+        reasons.push(`resource_link "${link}" is a shared domain (a public suffix) that would cover every site below it.`);
+    } else if (link && (!isParsableLink(link) || !getDomainInfo(link) || !getMatchRule({ ...row, resource_link: link }))) {
+        reasons.push(`resource_link "${link}" is not a usable web address or app store page.`);
+    } else {
+        correct('resource_link', link);
+    }
+
+    const statusColumns = {
+        current_tl_status: STATUS_RULES.tlStatuses,
+        current_dpa_status: STATUS_RULES.dpaStatuses
+    };
+    for (const [column, knownValues] of Object.entries(statusColumns)) {
+        const status = normalizeStatusValue(column, row[column], knownValues);
+        if (status === null) {
+            const allowed = knownValues.filter(value => value !== '(blank)').join(', ');
+            reasons.push(`${column} "${row[column]}" is not one of: ${allowed}, or blank.`);
+        } else {
+            correct(column, status);
+        }
+    }
+
+    return { row, reasons, corrections };
+}
+
+/**
+ * Validates a fetched list. Tombstones (deleted rows) are passed through for the delta merge.
+ *
+ * @param {object[]} rows - The rows as fetched.
+ * @returns {{rows: object[], quarantined: {index: number, row: object, reasons: string[]}[], corrections: {index: number, name: string, field: string, from: string, to: string}[]}}
+ *          The usable rows, the quarantined rows (with their position in the fetched list), and the corrections made.
+ */
+export function validateDpaList(rows) {
+    const valid = [];
+    const quarantined = [];
+    const corrections = [];
+
+    rows.forEach((rawRow, index) => {
+        if (isTombstone(rawRow)) {
+            valid.push(rawRow);
+            return;
+        }
+        const result = validateDpaRow(rawRow);
+        if (result.reasons.length) {
+            quarantined.push({ index, row: rawRow, reasons: result.reasons });
+            return;
+        }
+        valid.push(result.row);
+        for (const correction of result.corrections) {
+            corrections.push({ index, name: result.row.software_name, ...correction });
+        }
+    });
+
+    return { rows: valid, quarantined, corrections };
+}
+
+/**
+ * Summarizes a validation for the diagnostics page. For a delta sync, quarantined rows from the
+ * previous check stay listed unless the delta brought a new version of them.
+ *
+ * @param {{rows: object[], quarantined: object[], corrections: object[]}} validation - The result of `validateDpaList`.
+ * @param {number} totalRows - The number of rows in the cached list after the sync.
+ * @param {object|null} [previous=null] - The previous diagnostics, for a delta sync.
+ * @returns {object} The diagnostics to store.
+ */
+export function buildDpaDiagnostics(validation, totalRows, previous = null) {
+    const deltaIds = new Set(validation.rows.concat(validation.quarantined.map(entry => entry.row))
+        .map(row => row.id).filter(id => id !== undefined && id !== null));
+    const carried = previous
+        ? previous.quarantined.filter(entry => entry.row.id === undefined || !deltaIds.has(entry.row.id))
+        : [];
+
+    return {
+        checkedAt: new Date().getTime(),
+        cacheVersion: DPA_CACHE_VERSION,
+        totalRows: totalRows,
+        quarantined: carried.concat(validation.quarantined),
+        corrections: validation.corrections.slice(0, MAX_RECORDED_CORRECTIONS),
+        correctionCount: validation.corrections.length
+    };
+}
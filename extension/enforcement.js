@@ -0,0 +1,134 @@
+// --- Enforcement ---
+//
+// Optional blocking, governed by whoever controls the configuration (options page or policy).
+// Each status has a level: 'off' does nothing, 'warn' shows the interstitial page with a
+// "continue anyway" choice, and 'block' shows it with "go back" only. A DPA row can opt out with
+// its `enforcement_exempt` column. Continuing past a warning is remembered for that tab and site
+// until the tab closes, and is logged on this device only (site and time, never the full URL).
+// Imported by background.js.
+
+import { getSettings } from './settings.js';
+
+/**
+ * The enforcement levels, from least to most strict.
+ * @type {string[]}
+ */
+export const ENFORCEMENT_LEVELS = ['off', 'warn', 'block'];
+
+/**
+ * The settings key holding the enforcement level for each status that can be enforced.
+ * @type {Object<string, string>}
+ */
+export const ENFORCEMENT_SETTING_KEYS = {
+    denied: 'enforceDenied',
+    staff_only: 'enforceStaffOnly'
+};
+
+// The most "continue anyway" entries kept in the local log.
+export const MAX_ENFORCEMENT_LOG_ENTRIES = 200;
+
+/**
+ * Checks whether a DPA row has opted out of enforcement.
+ *
+ * @param {object|null} siteInfo - The matched DPA row.
+ * @returns {boolean} True if the row's `enforcement_exempt` column is set.
+ */
+export function isEnforcementExempt(siteInfo) {
+    if (!siteInfo) return false;
+    const value = siteInfo.enforcement_exempt;
+    return value === true || ['true', 'yes', '1', 'y'].includes(String(value || '').trim().toLowerCase());
+}
+
+/**
+ * Finds the enforcement level that applies to a page.
+ *
+ * @param {object} settings - The effective settings from `getSettings`.
+ * @param {string} overallStatus - The status from `determineOverallStatus`.
+ * @param {object|null} siteInfo - The matched DPA row.
+ * @returns {string} One of `ENFORCEMENT_LEVELS`.
+ */
+export function getEnforcementLevel(settings, overallStatus, siteInfo) {
+    const key = ENFORCEMENT_SETTING_KEYS[overallStatus];
+    if (!key || isEnforcementExempt(siteInfo)) return 'off';
+    return ENFORCEMENT_LEVELS.includes(settings[key]) ? settings[key] : 'off';
+}
+
+/**
+ * Reads the sites the user chose to continue to, per tab, from session storage.
+ *
+ * @returns {Promise<Object<string, string[]>>} Hostnames keyed by tab ID.
+ */
+export async function getEnforcementBypasses() {
+    const { enforcementBypass } = await chrome.storage.session.get('enforcementBypass');
+    return enforcementBypass || {};
+}
+
+/**
+ * Checks whether the user already chose to continue to this site in this tab.
+ *
+ * @param {number} tabId - The tab ID.
+ * @param {string} hostname - The page's full hostname.
+ * @returns {Promise<boolean>} True if the warning was already dismissed.
+ */
+export async function isEnforcementBypassed(tabId, hostname) {
+    const bypasses = await getEnforcementBypasses();
+    return (bypasses[tabId] || []).includes(hostname);
+}
+
+/**
+ * Remembers a "continue anyway" choice for the tab and records it in the local log.
+ *
+ * @param {number} tabId - The tab ID.
+ * @param {string} hostname - The page's full hostname.
+ * @param {string} overallStatus - The status that was warned about.
+ * @returns {Promise<void>}
+ */
+export async function recordEnforcementBypass(tabId, hostname, overallStatus) {
+    const bypasses = await getEnforcementBypasses();
+    bypasses[tabId] = [...new Set([...(bypasses[tabId] || []), hostname])];
+    await chrome.storage.session.set({ enforcementBypass: bypasses });
+
+    const { enforcementLog = [] } = await chrome.storage.local.get('enforcementLog');
+    enforcementLog.push({ hostname, status: overallStatus, time: Date.now() });
+    await chrome.storage.local.set({ enforcementLog: enforcementLog.slice(-MAX_ENFORCEMENT_LOG_ENTRIES) });
+}
+
+/**
+ * Forgets the "continue anyway" choices for a closed tab.
+ *
+ * @param {number} tabId - The tab ID.
+ * @returns {Promise<void>}
+ */
+export async function clearEnforcementBypasses(tabId) {
+    const bypasses = await getEnforcementBypasses();
+    if (!(tabId in bypasses)) return;
+    delete bypasses[tabId];
+    await chrome.storage.session.set({ enforcementBypass: bypasses });
+}
+
+/**
+ * Sends the tab to the interstitial page if the page's status is enforced and not already bypassed.
+ *
+ * @param {number} tabId - The tab ID.
+ * @param {string} url - The page URL.
+ * @param {object} domainInfo - The parsed page URL from `getDomainInfo`.
+ * @param {string} overallStatus - The status from `determineOverallStatus`.
+ * @param {object|null} siteInfo - The matched DPA row.
+ * @returns {Promise<boolean>} True if the tab was redirected.
+ */
+export async function enforceTab(tabId, url, domainInfo, overallStatus, siteInfo) {
+    const settings = await getSettings();
+    const level = getEnforcementLevel(settings, overallStatus, siteInfo);
+    if (level === 'off') return false;
+
+    if (level === 'warn' && await isEnforcementBypassed(tabId, domainInfo.fullHostname)) {
+        return false;
+    }
+
+    const interstitialUrl = new URL(chrome.runtime.getURL('interstitial.html'));
+    interstitialUrl.searchParams.set('url', url);
+    interstitialUrl.searchParams.set('level', level);
+    console.log(`Enforcement (${level}) for ${domainInfo.hostname}, Status: ${overallStatus}`);
+    await chrome.tabs.update(tabId, { url: interstitialUrl.toString() });
+    return true;
+}
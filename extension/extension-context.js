@@ -0,0 +1,18 @@
+// --- Extension Context ---
+//
+// Lets modules call Chrome extension APIs while still loading outside the extension (e.g., in tests).
+
+/**
+ * A utility function to ensure that Chrome extension APIs are only called when running as an extension.
+ * This prevents errors during testing or in other non-extension environments.
+ *
+ * @param {Function} callback - The function to execute if in an extension context.
+ * @param {*} [fallback=undefined] - The value to return if not in an extension context.
+ * @returns {*} The result of the callback or the fallback value.
+ */
+export function runInExtensionContext(callback, fallback) {
+    if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.id) {
+        return callback();
+    }
+    return fallback;
+}
@@ -0,0 +1,77 @@
+import { getSettings } from './settings.js';
+import { STATUS_RULES } from './status-rules.js';
+import { STATUS_EXPLANATIONS, STATUS_LABELS, buildDetailsUrl } from './display-helpers.js';
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const summary = document.getElementById('summary');
+    const table = document.getElementById('extensions-table');
+    const tableBody = document.getElementById('extensions-body');
+
+    // The statuses teachers should act on come first
+    const statusOrder = ['denied', 'unlisted', 'staff_only', 'pending', 'approved'];
+
+    const settings = await getSettings();
+
+    chrome.runtime.sendMessage({ action: "getInstalledExtensions" }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+            summary.textContent = 'Error: Could not connect to the extension.';
+            return;
+        }
+        if (response.error) {
+            summary.textContent = response.error;
+            return;
+        }
+
+        const extensions = response.extensions.sort((a, b) =>
+            statusOrder.indexOf(a.overallStatus) - statusOrder.indexOf(b.overallStatus) ||
+            a.name.localeCompare(b.name));
+        if (extensions.length === 0) {
+            summary.textContent = 'No other extensions are installed.';
+            return;
+        }
+
+        const needsAttention = extensions.filter(extension => ['denied', 'unlisted'].includes(extension.overallStatus)).length;
+        summary.textContent = needsAttention
+            ? `${extensions.length} extension(s) installed. ${needsAttention} are denied or not yet reviewed.`
+            : `${extensions.length} extension(s) installed, all reviewed by ${settings.districtName}.`;
+
+        for (const extension of extensions) {
+            const row = document.createElement('tr');
+            row.classList.toggle('disabled', !extension.enabled);
+
+            const nameCell = document.createElement('td');
+            nameCell.textContent = extension.enabled ? extension.name : `${extension.name} (turned off)`;
+            if (extension.installType === 'admin') {
+                nameCell.textContent += ' (installed by your district)';
+            }
+
+            const statusCell = document.createElement('td');
+            const icon = document.createElement('img');
+            const iconPaths = STATUS_RULES.icons[extension.overallStatus] || STATUS_RULES.icons.default;
+            icon.src = Object.values(iconPaths).pop();
+            icon.alt = '';
+            icon.width = 20;
+            icon.height = 20;
+            statusCell.append(icon, STATUS_LABELS[extension.overallStatus] || extension.overallStatus);
+            statusCell.title = STATUS_EXPLANATIONS[extension.overallStatus] || '';
+
+            // Listed extensions link to the district's details page, others to their store page
+            const linkCell = document.createElement('td');
+            const link = document.createElement('a');
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            if (extension.siteInfo) {
+                link.href = buildDetailsUrl(settings.detailsUrlTemplate, extension.siteInfo);
+                link.textContent = 'Details';
+            } else {
+                link.href = `https://chromewebstore.google.com/detail/${extension.id}`;
+                link.textContent = 'Store page';
+            }
+            linkCell.append(link);
+
+            row.append(nameCell, statusCell, linkCell);
+            tableBody.append(row);
+        }
+        table.hidden = false;
+    });
+});
@@ -0,0 +1,97 @@
+import { getSettings } from './settings.js';
+import { STATUS_LABELS } from './display-helpers.js';
+import { buildReviewMailto, buildReviewRequest, buildUsageCsv, formatUsageDate, getUsageEntries } from './usage-report.js';
+import { downloadCsv } from './csv-export.js';
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const summary = document.getElementById('summary');
+    const table = document.getElementById('usage-table');
+    const tableBody = document.getElementById('usage-body');
+    const selectAll = document.getElementById('select-all');
+    const emailButton = document.getElementById('email-button');
+    const exportButton = document.getElementById('export-button');
+    const clearButton = document.getElementById('clear-button');
+    const actionStatus = document.getElementById('action-status');
+
+    const settings = await getSettings();
+    const { usageTally } = await chrome.storage.local.get('usageTally');
+    const entries = getUsageEntries(usageTally);
+    const checkboxes = [];
+
+    /**
+     * Returns the entries the teacher has ticked.
+     * @returns {object[]} The chosen entries.
+     */
+    function getChosenEntries() {
+        return entries.filter((entry, index) => checkboxes[index].checked);
+    }
+
+    /**
+     * Updates the email link and buttons for the current selection.
+     */
+    function updateActions() {
+        const chosen = getChosenEntries();
+        emailButton.href = chosen.length ? buildReviewMailto(buildReviewRequest(chosen, settings.districtName)) : '#';
+        emailButton.setAttribute('aria-disabled', String(chosen.length === 0));
+        exportButton.disabled = chosen.length === 0;
+        selectAll.checked = chosen.length === entries.length;
+    }
+
+    /**
+     * Shows that there is nothing to review.
+     */
+    function showEmpty() {
+        summary.textContent = 'No unlisted or pending sites have been visited yet.';
+        table.hidden = true;
+        emailButton.hidden = true;
+        exportButton.hidden = true;
+        clearButton.hidden = true;
+    }
+
+    if (entries.length === 0) {
+        showEmpty();
+        return;
+    }
+
+    summary.textContent = `${entries.length} site(s) need review. Untick any you don't want to include.`;
+    for (const entry of entries) {
+        const row = tableBody.insertRow();
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = true;
+        checkbox.setAttribute('aria-label', `Include ${entry.site}`);
+        checkbox.addEventListener('change', updateActions);
+        checkboxes.push(checkbox);
+        row.insertCell().append(checkbox);
+
+        row.insertCell().textContent = entry.site;
+        row.insertCell().textContent = STATUS_LABELS[entry.status] || entry.status;
+        row.insertCell().textContent = entry.count;
+        row.insertCell().textContent = formatUsageDate(entry.firstSeen);
+        row.insertCell().textContent = formatUsageDate(entry.lastSeen);
+    }
+    table.hidden = false;
+    updateActions();
+
+    selectAll.addEventListener('change', () => {
+        for (const checkbox of checkboxes) checkbox.checked = selectAll.checked;
+        updateActions();
+    });
+
+    emailButton.addEventListener('click', (event) => {
+        if (getChosenEntries().length === 0) event.preventDefault();
+    });
+
+    exportButton.addEventListener('click', () => {
+        downloadCsv(buildUsageCsv(getChosenEntries()), `sites-to-review-${formatUsageDate(Date.now())}.csv`);
+        actionStatus.textContent = 'Downloaded.';
+    });
+
+    clearButton.addEventListener('click', async () => {
+        await chrome.storage.local.remove('usageTally');
+        tableBody.replaceChildren();
+        showEmpty();
+        actionStatus.textContent = 'Cleared.';
+    });
+});
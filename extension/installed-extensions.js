@@ -0,0 +1,100 @@
+// --- Installed Extensions ---
+//
+// Checks the teacher's installed Chrome extensions against the DPA list. Each extension ID is
+// looked up exactly as if the teacher were on its Chrome Web Store page, so rows that link to
+// the store match the installed extension too. The report is shown on extensions.html, and a
+// local notification is raised when a newly installed extension is unlisted or denied. Nothing
+// about installed extensions leaves the device.
+// Imported by background.js.
+
+import { STATUS_RULES } from './status-rules.js';
+import { determineOverallStatus } from './overall-status.js';
+import { getDomainInfo } from './domain-info.js';
+import { lookupSite } from './site-matching.js';
+import { loadDpaLookup } from './dpa-cache.js';
+
+/**
+ * The statuses that raise a notification when an extension with that status is installed.
+ * @type {string[]}
+ */
+export const NOTIFY_INSTALL_STATUSES = ['unlisted', 'denied'];
+
+// Prefix for notification IDs, so clicks on them can be told apart from other notifications.
+export const INSTALL_NOTIFICATION_PREFIX = 'installed-extension:';
+
+/**
+ * Looks up an installed extension in the DPA list through its Chrome Web Store page.
+ *
+ * @param {{dpaList: object[], dpaIndex: object}} lookup - The cached lookup from `loadDpaLookup`.
+ * @param {chrome.management.ExtensionInfo} extension - The installed extension.
+ * @returns {{id: string, name: string, enabled: boolean, installType: string, siteInfo: object|null, overallStatus: string}} The extension and its status.
+ */
+export function checkInstalledExtension(lookup, extension) {
+    const domainInfo = getDomainInfo(`https://chromewebstore.google.com/detail/${extension.id}`);
+    const siteInfo = lookupSite(lookup.dpaList, lookup.dpaIndex, domainInfo);
+    return {
+        id: extension.id,
+        name: extension.name,
+        enabled: extension.enabled,
+        installType: extension.installType,
+        siteInfo: siteInfo,
+        overallStatus: determineOverallStatus(siteInfo)
+    };
+}
+
+/**
+ * Checks every installed extension (not apps or themes, and not this extension) against the DPA list.
+ *
+ * @returns {Promise<{extensions: object[]}|{error: string}>} The checked extensions, or an error if there is no list yet.
+ */
+export async function getInstalledExtensionReport() {
+    const lookup = await loadDpaLookup();
+    if (!lookup) {
+        return { error: 'DPA data is not yet available.' };
+    }
+
+    const installed = await chrome.management.getAll();
+    const extensions = installed
+        .filter(extension => extension.type === 'extension' && extension.id !== chrome.runtime.id)
+        .map(extension => checkInstalledExtension(lookup, extension));
+    return { extensions };
+}
+
+/**
+ * Raises a local notification if a newly installed extension is unlisted or denied.
+ *
+ * @param {chrome.management.ExtensionInfo} extension - The extension that was just installed.
+ * @returns {Promise<void>}
+ */
+export async function handleExtensionInstalled(extension) {
+    if (extension.type !== 'extension' || extension.id === chrome.runtime.id) return;
+
+    const lookup = await loadDpaLookup();
+    if (!lookup) return;
+
+    const { name, overallStatus } = checkInstalledExtension(lookup, extension);
+    if (!NOTIFY_INSTALL_STATUSES.includes(overallStatus)) return;
+
+    const iconPaths = STATUS_RULES.icons[overallStatus] || STATUS_RULES.icons.default;
+    const message = overallStatus === 'denied'
+        ? 'This extension is not approved by your district. Consider removing it.'
+        : 'This extension has not been reviewed by your district yet.';
+    console.log(`Installed extension ${name} is ${overallStatus}. Notifying.`);
+    chrome.notifications.create(`${INSTALL_NOTIFICATION_PREFIX}${extension.id}`, {
+        type: 'basic',
+        iconUrl: Object.values(iconPaths).pop(),
+        title: `${name} is ${overallStatus === 'denied' ? 'denied' : 'unlisted'}`,
+        message: message
+    });
+}
+
+/**
+ * Opens the installed extensions report when one of our notifications is clicked.
+ *
+ * @param {string} notificationId - The ID of the clicked notification.
+ */
+export function handleInstallNotificationClick(notificationId) {
+    if (!notificationId.startsWith(INSTALL_NOTIFICATION_PREFIX)) return;
+    chrome.tabs.create({ url: chrome.runtime.getURL('extensions.html') });
+    chrome.notifications.clear(notificationId);
+}
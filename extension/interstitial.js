@@ -0,0 +1,67 @@
+import { getSettings } from './settings.js';
+import { STATUS_EXPLANATIONS, STATUS_LABELS, buildDetailsUrl } from './display-helpers.js';
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const params = new URLSearchParams(window.location.search);
+    const blockedUrl = params.get('url') || '';
+    const level = params.get('level') === 'warn' ? 'warn' : 'block';
+
+    const statusIcon = document.getElementById('status-icon');
+    const statusText = document.getElementById('status-text');
+    const siteName = document.getElementById('site-name');
+    const explanationText = document.getElementById('explanation');
+    const siteUrl = document.getElementById('site-url');
+    const backButton = document.getElementById('back-button');
+    const detailsLink = document.getElementById('details-link');
+    const continueButton = document.getElementById('continue-button');
+    const continueNote = document.getElementById('continue-note');
+
+    const settings = await getSettings();
+    siteUrl.textContent = blockedUrl;
+    detailsLink.href = buildDetailsUrl(settings.detailsUrlTemplate, null);
+
+    // Leave the blocked page behind. Whether it made it into the history depends on when it was
+    // blocked, so go back one page and let the service worker step back again if that lands on it.
+    // If there is nothing to go back to, this page stays put and the tab is closed instead.
+    backButton.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ action: "leaveBlockedPage", url: blockedUrl }, () => {
+            const closeTimer = setTimeout(async () => {
+                const tab = await chrome.tabs.getCurrent();
+                chrome.tabs.remove(tab.id);
+            }, 500);
+            // Don't close the tab if this page comes back later from the back/forward cache
+            window.addEventListener('pagehide', () => clearTimeout(closeTimer), { once: true });
+            window.history.back();
+        });
+    });
+
+    if (level === 'warn') {
+        continueButton.hidden = false;
+        continueNote.hidden = false;
+        continueButton.addEventListener('click', () => {
+            chrome.runtime.sendMessage({ action: "continueToSite", url: blockedUrl }, (response) => {
+                if (chrome.runtime.lastError || !response || response.error) {
+                    explanationText.textContent = (response && response.error) || 'Error: Could not connect to the extension.';
+                    continueButton.hidden = true;
+                }
+            });
+        });
+    }
+
+    chrome.runtime.sendMessage({ action: "getSiteInfoForUrl", url: blockedUrl }, (response) => {
+        if (chrome.runtime.lastError || !response || response.error) {
+            statusText.textContent = level === 'warn' ? 'Check before you continue' : 'This site is blocked';
+            return;
+        }
+
+        const { siteInfo, overallStatus } = response;
+        const label = STATUS_LABELS[overallStatus] || 'Not approved';
+        statusText.textContent = level === 'warn'
+            ? `${label}: check before you continue`
+            : `${label}: blocked by ${settings.districtName}`;
+        statusIcon.src = `images/${overallStatus === 'denied' ? 'icon-red-x' : 'icon-yellow-triangle'}.png`;
+        siteName.textContent = siteInfo ? siteInfo.software_name : '';
+        explanationText.textContent = STATUS_EXPLANATIONS[overallStatus] || '';
+        detailsLink.href = buildDetailsUrl(settings.detailsUrlTemplate, siteInfo);
+    });
+});
@@ -0,0 +1,84 @@
+// --- Link Annotations ---
+//
+// The opt-in inline markers for links in Google Classroom and Google Docs. When the
+// `annotateLinks` setting is on and the teacher has granted access to those sites, the worker
+// registers link-annotator.js as a content script there. The content script sends the links it
+// finds back here, and each one is checked with the same matching as a tab, so a denied tool
+// stands out before students see the post. Only the link URLs are looked at, and they stay local.
+// Imported by background.js.
+
+import { getSettings } from './settings.js';
+import { STATUS_RULES } from './status-rules.js';
+import { determineOverallStatus } from './overall-status.js';
+import { STATUS_EXPLANATIONS, STATUS_LABELS } from './display-helpers.js';
+import { getDomainInfo } from './domain-info.js';
+import { lookupSite } from './site-matching.js';
+import { loadDpaLookup } from './dpa-cache.js';
+
+// The ID of the dynamically registered content script.
+export const LINK_ANNOTATOR_SCRIPT_ID = 'link-annotator';
+
+/**
+ * The sites the annotator runs on. The teacher grants access to these when turning it on.
+ * @type {string[]}
+ */
+export const LINK_ANNOTATOR_ORIGINS = ['https://classroom.google.com/*', 'https://docs.google.com/*'];
+
+// The most links checked per message, so a huge page can't stall the worker.
+export const MAX_ANNOTATED_LINKS = 200;
+
+/**
+ * Registers or unregisters the annotator content script to match the setting and permissions.
+ *
+ * @returns {Promise<void>}
+ */
+export async function syncLinkAnnotator() {
+    const { annotateLinks } = await getSettings();
+    const hasAccess = await chrome.permissions.contains({ origins: LINK_ANNOTATOR_ORIGINS });
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [LINK_ANNOTATOR_SCRIPT_ID] });
+
+    if (annotateLinks && hasAccess && registered.length === 0) {
+        console.log('Turning on link annotations for Classroom and Docs.');
+        await chrome.scripting.registerContentScripts([{
+            id: LINK_ANNOTATOR_SCRIPT_ID,
+            matches: LINK_ANNOTATOR_ORIGINS,
+            js: ['link-annotator.js'],
+            runAt: 'document_idle'
+        }]);
+    } else if (!(annotateLinks && hasAccess) && registered.length > 0) {
+        console.log('Turning off link annotations.');
+        await chrome.scripting.unregisterContentScripts({ ids: [LINK_ANNOTATOR_SCRIPT_ID] });
+    }
+}
+
+/**
+ * Checks a batch of links from the annotator.
+ *
+ * @param {string[]} urls - The link URLs found on the page.
+ * @returns {Promise<{statuses: {url: string, overallStatus: string, label: string, explanation: string, softwareName: string|null, iconPath: string}[]}|{error: string}>} The status of each link.
+ */
+export async function getLinkStatuses(urls) {
+    const lookup = await loadDpaLookup();
+    if (!lookup) {
+        return { error: 'DPA data is not yet available.' };
+    }
+
+    const statuses = [];
+    for (const url of urls.slice(0, MAX_ANNOTATED_LINKS)) {
+        const domainInfo = getDomainInfo(url, lookup.dpaIndex.apps);
+        if (!domainInfo) continue;
+
+        const siteInfo = lookupSite(lookup.dpaList, lookup.dpaIndex, domainInfo);
+        const overallStatus = determineOverallStatus(siteInfo);
+        const iconPaths = STATUS_RULES.icons[overallStatus] || STATUS_RULES.icons.default;
+        statuses.push({
+            url: url,
+            overallStatus: overallStatus,
+            label: STATUS_LABELS[overallStatus] || overallStatus,
+            explanation: STATUS_EXPLANATIONS[overallStatus] || '',
+            softwareName: siteInfo ? siteInfo.software_name : null,
+            iconPath: Object.values(iconPaths).pop()
+        });
+    }
+    return { statuses };
+}
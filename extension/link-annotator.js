@@ -0,0 +1,95 @@
+// --- Link Annotator ---
+//
+// Content script for Google Classroom and Google Docs (only registered when the teacher turns
+// on link annotations). Finds links to other sites, asks the extension for their DPA status,
+// and adds the matching status icon after each one. Classroom and Docs redraw their pages
+// constantly, so new links are picked up as they appear.
+
+(() => {
+    // Marks links that were already checked, so they aren't annotated twice
+    const CHECKED_ATTRIBUTE = 'data-sb29-checked';
+    const MARKER_CLASS = 'sb29-status-marker';
+
+    // The worker checks at most this many links per message (MAX_ANNOTATED_LINKS in link-annotations.js)
+    const LINKS_PER_MESSAGE = 200;
+
+    // Google's own pages aren't resources, so their links are skipped
+    const SKIPPED_HOSTS = /(^|\.)(google\.com|googleusercontent\.com|gstatic\.com)$/;
+
+    /**
+     * Finds where a link really goes, unwrapping Google's redirect links (google.com/url?q=...).
+     *
+     * @param {HTMLAnchorElement} anchor - The link.
+     * @returns {string|null} The destination URL, or null if it isn't an outgoing web link.
+     */
+    function getOutgoingUrl(anchor) {
+        let url;
+        try {
+            url = new URL(anchor.href);
+            if (/(^|\.)google\.com$/.test(url.hostname) && url.pathname === '/url') {
+                url = new URL(url.searchParams.get('q') || url.searchParams.get('url'));
+            }
+        } catch (error) {
+            return null;
+        }
+        if (!/^https?:$/.test(url.protocol) || SKIPPED_HOSTS.test(url.hostname)) return null;
+        return url.href;
+    }
+
+    /**
+     * Adds a status icon after a link. The icon has the same shape and colour as the toolbar icon,
+     * and its alt text names the status for screen readers.
+     *
+     * @param {HTMLAnchorElement} anchor - The link.
+     * @param {{overallStatus: string, label: string, explanation: string, softwareName: string|null, iconPath: string}} status - The link's status.
+     */
+    function addMarker(anchor, status) {
+        const marker = document.createElement('img');
+        marker.className = MARKER_CLASS;
+        marker.src = chrome.runtime.getURL(status.iconPath);
+        marker.alt = `DPA status: ${status.label}`;
+        marker.title = status.softwareName
+            ? `${status.softwareName}: ${status.label}. ${status.explanation}`
+            : `${status.label}. ${status.explanation}`;
+        marker.width = 14;
+        marker.height = 14;
+        marker.style.cssText = 'width:14px;height:14px;margin:0 0 0 4px;vertical-align:middle;display:inline-block;';
+        anchor.insertAdjacentElement('afterend', marker);
+    }
+
+    /**
+     * Checks any links that haven't been checked yet.
+     */
+    function annotateLinks() {
+        const pending = new Map();
+        for (const anchor of document.querySelectorAll(`a[href]:not([${CHECKED_ATTRIBUTE}])`)) {
+            anchor.setAttribute(CHECKED_ATTRIBUTE, '');
+            const url = getOutgoingUrl(anchor);
+            if (!url) continue;
+            if (!pending.has(url)) pending.set(url, []);
+            pending.get(url).push(anchor);
+        }
+        // Every link is marked as checked already, so send them all, a batch at a time
+        const urls = [...pending.keys()];
+        for (let start = 0; start < urls.length; start += LINKS_PER_MESSAGE) {
+            const batch = urls.slice(start, start + LINKS_PER_MESSAGE);
+            chrome.runtime.sendMessage({ action: "getLinkStatuses", urls: batch }, (response) => {
+                if (chrome.runtime.lastError || !response || response.error) return;
+                for (const status of response.statuses) {
+                    for (const anchor of pending.get(status.url) || []) {
+                        if (anchor.isConnected) addMarker(anchor, status);
+                    }
+                }
+            });
+        }
+    }
+
+    // Re-check shortly after the page changes, batching bursts of changes together
+    let timer = null;
+    const observer = new MutationObserver(() => {
+        clearTimeout(timer);
+        timer = setTimeout(annotateLinks, 500);
+    });
+    observer.observe(document.body, { childList: true, subtree: true });
+    annotateLinks();
+})();
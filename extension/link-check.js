@@ -0,0 +1,54 @@
+// --- Link Check ---
+//
+// The right-click "Check DPA status" menu, so teachers can vet a link (e.g., one about to be
+// posted in Google Classroom) before following it. The link, or selected text that looks like a
+// URL, goes through the same matching as a tab, and the result opens in a small status page.
+// Selected text that isn't a URL is searched for in the catalog instead.
+// Imported by background.js; URLs are recognized the same way as in omnibox.js.
+
+import { looksLikeUrl, toOmniboxUrl } from './omnibox.js';
+
+/**
+ * Creates the context menu entries. Menus persist across restarts, so this only runs on install and update.
+ */
+export function createLinkCheckMenus() {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({
+            id: 'checkLinkStatus',
+            title: 'Check DPA status of this link',
+            contexts: ['link']
+        });
+        chrome.contextMenus.create({
+            id: 'checkSelectionStatus',
+            title: 'Check DPA status of "%s"',
+            contexts: ['selection']
+        });
+    });
+}
+
+/**
+ * Opens the status page (or the catalog, for plain text) for a context menu click.
+ *
+ * @param {chrome.contextMenus.OnClickData} info - What was clicked.
+ * @returns {Promise<void>}
+ */
+export async function handleLinkCheckMenuClick(info) {
+    let pageUrl;
+    if (info.menuItemId === 'checkLinkStatus' && info.linkUrl) {
+        pageUrl = `link-status.html?url=${encodeURIComponent(info.linkUrl)}`;
+    } else if (info.menuItemId === 'checkSelectionStatus' && info.selectionText) {
+        const text = info.selectionText.trim();
+        pageUrl = looksLikeUrl(text)
+            ? `link-status.html?url=${encodeURIComponent(toOmniboxUrl(text))}`
+            : `catalog.html?q=${encodeURIComponent(text)}`;
+    } else {
+        return;
+    }
+
+    // A small window keeps the teacher's place in Classroom; the catalog opens as a normal tab
+    if (pageUrl.startsWith('link-status.html')) {
+        await chrome.windows.create({ url: chrome.runtime.getURL(pageUrl), type: 'popup', width: 420, height: 360 });
+    } else {
+        await chrome.tabs.create({ url: chrome.runtime.getURL(pageUrl) });
+    }
+}
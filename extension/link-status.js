@@ -0,0 +1,65 @@
+import { getSettings } from './settings.js';
+import { STATUS_RULES } from './status-rules.js';
+import { STATUS_EXPLANATIONS, buildDetailsUrl, buildStatusSummary, describeDataHealth } from './display-helpers.js';
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const linkUrl = new URLSearchParams(window.location.search).get('url') || '';
+
+    const statusIcon = document.getElementById('status-icon');
+    const statusText = document.getElementById('status-text');
+    const tlStatus = document.getElementById('tl-status');
+    const dpaStatus = document.getElementById('dpa-status');
+    const explanationText = document.getElementById('explanation');
+    const linkText = document.getElementById('link-url');
+    const dataAge = document.getElementById('data-age');
+    const copyButton = document.getElementById('copy-button');
+    const copyStatus = document.getElementById('copy-status');
+    const detailsLink = document.getElementById('details-link');
+
+    const settings = await getSettings();
+    linkText.textContent = linkUrl;
+    detailsLink.href = buildDetailsUrl(settings.detailsUrlTemplate, null);
+    detailsLink.textContent = `View Details from ${settings.districtName}`;
+
+    // The link goes through the same lookup as the page in the popup
+    chrome.runtime.sendMessage({ action: "getSiteInfoForUrl", url: linkUrl }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+            statusText.textContent = 'Error: Could not connect to the extension.';
+            return;
+        }
+
+        const freshness = describeDataHealth(response.dataHealth);
+        dataAge.textContent = freshness.text;
+        dataAge.classList.toggle('warning', freshness.isWarning);
+
+        if (response.error) {
+            statusText.textContent = response.error;
+            return;
+        }
+
+        const { siteInfo, domainInfo, overallStatus } = response;
+        const iconPaths = STATUS_RULES.icons[overallStatus] || STATUS_RULES.icons.default;
+        statusIcon.src = Object.values(iconPaths).pop();
+        if (siteInfo) {
+            statusText.textContent = siteInfo.software_name;
+            tlStatus.textContent = `T&L: ${siteInfo.current_tl_status || 'N/A'}`;
+            dpaStatus.textContent = `DPA: ${siteInfo.current_dpa_status || 'N/A'}`;
+        } else {
+            statusText.textContent = `${domainInfo.hostname} is not in the district list.`;
+        }
+        explanationText.textContent = STATUS_EXPLANATIONS[overallStatus] || '';
+        detailsLink.href = buildDetailsUrl(settings.detailsUrlTemplate, siteInfo);
+
+        // Copy a one-line summary teachers can paste to colleagues
+        const summary = buildStatusSummary(siteInfo, domainInfo, overallStatus);
+        copyButton.disabled = false;
+        copyButton.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(summary);
+                copyStatus.textContent = `Copied: ${summary}`;
+            } catch (error) {
+                copyStatus.textContent = 'Could not copy to the clipboard.';
+            }
+        });
+    });
+});
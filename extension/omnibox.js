@@ -0,0 +1,183 @@
+// --- Omnibox ---
+//
+// The `sb29` address bar keyword. Typing `sb29 kahoot` suggests matching resources from the
+// cached DPA list with their status; typing a URL or hostname checks it through the same
+// matching as a tab. Choosing a suggestion opens the resource or its details page, and plain
+// text opens the catalog page with that search. Everything is looked up locally.
+// Imported by background.js.
+
+import { getSettings } from './settings.js';
+import { determineOverallStatus } from './overall-status.js';
+import { STATUS_LABELS, buildDetailsUrl } from './display-helpers.js';
+import { getDomainInfo } from './domain-info.js';
+import { lookupSite, normalizeHost } from './site-matching.js';
+import { loadDpaLookup } from './dpa-cache.js';
+
+// Chrome shows at most a handful of suggestions, so there is no point building more.
+export const MAX_OMNIBOX_SUGGESTIONS = 5;
+
+/**
+ * Escapes text for an omnibox suggestion description, which is parsed as XML.
+ *
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+export function escapeOmniboxText(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+    })[char]);
+}
+
+/**
+ * Scores how well a query matches a candidate: whole match, prefix, word prefix, substring,
+ * then the query's letters in order (so 'gclass' finds 'Google Classroom').
+ *
+ * @param {string} query - The lowercase query.
+ * @param {string} candidate - The text to match against.
+ * @returns {number} A score from 0 (no match) to 100 (exact match).
+ */
+export function scoreOmniboxMatch(query, candidate) {
+    const text = String(candidate || '').toLowerCase();
+    if (!query || !text) return 0;
+    if (text === query) return 100;
+    if (text.startsWith(query)) return 80;
+    if (text.split(/[^a-z0-9]+/).some(word => word.startsWith(query))) return 60;
+    if (text.includes(query)) return 40;
+
+    // Subsequence match, scored lower the more spread out the letters are
+    let position = -1;
+    let gaps = 0;
+    for (const char of query) {
+        const next = text.indexOf(char, position + 1);
+        if (next === -1) return 0;
+        if (position !== -1) gaps += next - position - 1;
+        position = next;
+    }
+    return Math.max(1, 20 - gaps);
+}
+
+/**
+ * Checks whether omnibox input looks like a URL or hostname rather than a name.
+ *
+ * @param {string} text - The trimmed input.
+ * @returns {boolean} True for input like 'kahoot.com' or 'https://kahoot.com/x'.
+ */
+export function looksLikeUrl(text) {
+    return /^https?:\/\//i.test(text) || /^[^\s/]+\.[a-z]{2,}(\/\S*)?$/i.test(text);
+}
+
+/**
+ * Finds the DPA rows that best match a name or hostname query.
+ *
+ * @param {object[]} dpaList - The cached DPA list.
+ * @param {string} text - The omnibox input.
+ * @returns {object[]} Up to `MAX_OMNIBOX_SUGGESTIONS` rows, best first.
+ */
+export function findOmniboxMatches(dpaList, text) {
+    const query = text.trim().toLowerCase();
+    if (!query) return [];
+
+    return dpaList
+        .map(row => {
+            let host = '';
+            try {
+                host = normalizeHost(new URL(row.resource_link).hostname);
+            } catch (error) {
+                // Rows without a usable link can still match by name
+            }
+            return { row, score: Math.max(scoreOmniboxMatch(query, row.software_name), scoreOmniboxMatch(query, host)) };
+        })
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score || String(a.row.software_name).localeCompare(String(b.row.software_name)))
+        .slice(0, MAX_OMNIBOX_SUGGESTIONS)
+        .map(match => match.row);
+}
+
+/**
+ * Turns typed input into a URL for `getDomainInfo`, adding 'https://' to a bare hostname.
+ *
+ * @param {string} text - The trimmed input.
+ * @returns {string} The URL.
+ */
+export function toOmniboxUrl(text) {
+    return /^https?:\/\//i.test(text) ? text : `https://${text}`;
+}
+
+/**
+ * Builds the suggestions for the current omnibox input.
+ *
+ * @param {string} text - The omnibox input.
+ * @returns {Promise<{content: string, description: string}[]>} The suggestions.
+ */
+export async function getOmniboxSuggestions(text) {
+    const input = text.trim();
+    const lookup = await loadDpaLookup();
+    if (!input || !lookup) return [];
+
+    const { detailsUrlTemplate } = await getSettings();
+    const describe = (row, status) => `<match>${escapeOmniboxText(row.software_name || row.resource_link)}</match>` +
+        ` <dim>${escapeOmniboxText(STATUS_LABELS[status] || status)}</dim>`;
+
+    const suggestions = [];
+    if (looksLikeUrl(input)) {
+        // A URL or hostname goes through the same matching as a tab
+        const domainInfo = getDomainInfo(toOmniboxUrl(input), lookup.dpaIndex.apps);
+        const siteInfo = domainInfo ? lookupSite(lookup.dpaList, lookup.dpaIndex, domainInfo) : null;
+        const status = determineOverallStatus(siteInfo);
+        if (siteInfo) {
+            suggestions.push({
+                content: buildDetailsUrl(detailsUrlTemplate, siteInfo),
+                description: `${describe(siteInfo, status)} <dim>- details page</dim>`
+            });
+        } else if (domainInfo) {
+            suggestions.push({
+                content: toOmniboxUrl(input),
+                description: `<url>${escapeOmniboxText(domainInfo.fullHostname)}</url> <dim>${STATUS_LABELS.unlisted}: not in the district list</dim>`
+            });
+        }
+    }
+
+    for (const row of findOmniboxMatches(lookup.dpaList, input)) {
+        if (suggestions.length >= MAX_OMNIBOX_SUGGESTIONS) break;
+        const status = determineOverallStatus(row);
+        // The top name match also offers its details page
+        if (suggestions.length === 0) {
+            suggestions.push({
+                content: buildDetailsUrl(detailsUrlTemplate, row),
+                description: `${describe(row, status)} <dim>- details page</dim>`
+            });
+            if (suggestions.length >= MAX_OMNIBOX_SUGGESTIONS) break;
+        }
+        if (/^https?:\/\//i.test(row.resource_link)) {
+            suggestions.push({
+                content: row.resource_link,
+                description: `${describe(row, status)} <url>${escapeOmniboxText(row.resource_link)}</url>`
+            });
+        }
+    }
+
+    // Chrome rejects duplicate suggestion contents
+    const seen = new Set();
+    return suggestions.filter(suggestion => !seen.has(suggestion.content) && seen.add(suggestion.content));
+}
+
+/**
+ * Opens what the teacher chose in the omnibox. Chosen suggestions are URLs and open directly;
+ * anything else opens the catalog page with that search.
+ *
+ * @param {string} text - The chosen suggestion's content, or the typed input.
+ * @param {string} disposition - Where to open it: 'currentTab', 'newForegroundTab' or 'newBackgroundTab'.
+ * @returns {Promise<void>}
+ */
+export async function handleOmniboxInput(text, disposition) {
+    const input = text.trim();
+    const url = /^https?:\/\//i.test(input)
+        ? input
+        : chrome.runtime.getURL(`catalog.html?q=${encodeURIComponent(input)}`);
+
+    if (disposition === 'currentTab') {
+        await chrome.tabs.update({ url: url });
+    } else {
+        await chrome.tabs.create({ url: url, active: disposition === 'newForegroundTab' });
+    }
+}
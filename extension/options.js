@@ -0,0 +1,94 @@
+import { DEFAULT_SETTINGS, getManagedSettings, getSettings, validateSettings } from './settings.js';
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const form = document.getElementById('options-form');
+    const saveStatus = document.getElementById('save-status');
+    const resetButton = document.getElementById('reset-button');
+    const fieldNames = Object.keys(DEFAULT_SETTINGS);
+
+    /**
+     * Fills the form with the given settings and clears any error messages.
+     * @param {object} settings - Settings keyed like `DEFAULT_SETTINGS`.
+     */
+    function fillForm(settings) {
+        for (const name of fieldNames) {
+            const value = settings[name];
+            const field = document.getElementById(name);
+            if (field.type === 'checkbox') {
+                field.checked = value;
+            } else {
+                field.value = Array.isArray(value) ? value.join(', ') : value;
+            }
+            document.getElementById(`${name}-error`).textContent = '';
+        }
+    }
+
+    fillForm(await getSettings());
+
+    // Fields set by enterprise policy can't be changed here
+    const managed = await getManagedSettings();
+    const lockedNames = fieldNames.filter(name => name in managed);
+    for (const name of lockedNames) {
+        document.getElementById(name).disabled = true;
+        document.getElementById(`${name}-error`).insertAdjacentHTML('beforebegin', '<p class="hint">Set by your district administrator.</p>');
+    }
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        saveStatus.textContent = '';
+
+        const input = {};
+        for (const name of fieldNames) {
+            const field = document.getElementById(name);
+            input[name] = field.type === 'checkbox' ? field.checked : field.value;
+        }
+
+        const { values, errors } = validateSettings(input);
+        for (const name of fieldNames) {
+            document.getElementById(`${name}-error`).textContent = errors[name] || '';
+        }
+        if (Object.keys(errors).length) {
+            saveStatus.textContent = 'Please fix the highlighted fields.';
+            return;
+        }
+
+        // The extension needs permission to read from a custom data source's site, and from
+        // Classroom and Docs to annotate links there. This must be requested from the click, in a
+        // single request, before anything else is awaited.
+        const needsSourceAccess = values.dataSource !== 'supabase' && !lockedNames.includes('dataSourceUrl');
+        const needsAnnotatorAccess = values.annotateLinks && !lockedNames.includes('annotateLinks');
+        const origins = [];
+        if (needsSourceAccess) {
+            origins.push(`${new URL(values.dataSourceUrl).origin}/*`);
+        }
+        if (needsAnnotatorAccess) {
+            origins.push('https://classroom.google.com/*', 'https://docs.google.com/*');
+        }
+        if (origins.length) {
+            const granted = await chrome.permissions.request({ origins: origins });
+            if (!granted) {
+                if (needsSourceAccess) {
+                    document.getElementById('dataSourceUrl-error').textContent = 'Permission to read from this site was not granted.';
+                }
+                if (needsAnnotatorAccess) {
+                    document.getElementById('annotateLinks-error').textContent = 'Permission to read Classroom and Docs was not granted.';
+                }
+                saveStatus.textContent = 'Not saved.';
+                return;
+            }
+        }
+
+        // Policy values are already in effect, so only the unlocked fields are saved
+        for (const name of lockedNames) {
+            delete values[name];
+        }
+        await chrome.storage.sync.set(values);
+        saveStatus.textContent = 'Saved.';
+    });
+
+    resetButton.addEventListener('click', async () => {
+        await chrome.storage.sync.remove(fieldNames);
+        fillForm(await getSettings());
+        saveStatus.textContent = 'Defaults restored.';
+    });
+});
@@ -0,0 +1,40 @@
+// --- Overall Status ---
+//
+// Reduces a DPA row's T&L and DPA statuses to one overall status, using the rules table that
+// build.mjs generates from requirements/icon-strategy.yaml (status-rules.js).
+// Shared by the service worker and the extension pages.
+
+import { STATUS_RULES } from './status-rules.js';
+
+/**
+ * Maps a raw status value from the DPA list onto one of the values known to the rules table.
+ * Blank and unrecognized values are treated as '(blank)'.
+ *
+ * @param {string|null|undefined} value - The raw status value.
+ * @param {string[]} knownValues - The values listed in the rules table.
+ * @returns {string} A known status value.
+ */
+export function toRuleValue(value, knownValues) {
+    const trimmed = typeof value === 'string' ? value.trim() : '';
+    if (!trimmed) return '(blank)';
+    if (knownValues.includes(trimmed)) return trimmed;
+
+    console.warn(`Unknown status value "${trimmed}". Treating it as blank.`);
+    return '(blank)';
+}
+
+/**
+ * Analyzes the status of a site from the DPA list and returns a single, simplified status string.
+ * The mapping comes from the rules table generated from requirements/icon-strategy.yaml.
+ *
+ * @param {object|null} siteInfo - The site data object from the DPA list.
+ * @returns {string} A simplified status: 'denied', 'staff_only', 'approved', 'pending', or 'unlisted'.
+ */
+export function determineOverallStatus(siteInfo) {
+    const tlStatus = toRuleValue(siteInfo && siteInfo.current_tl_status, STATUS_RULES.tlStatuses);
+    const dpaStatus = toRuleValue(siteInfo && siteInfo.current_dpa_status, STATUS_RULES.dpaStatuses);
+    // A row only matches a page through its resource_link, so a missing row means an unknown URL
+    const linkState = siteInfo ? 'url_known' : 'url_unknown';
+
+    return STATUS_RULES.table[`${tlStatus}|${dpaStatus}|${linkState}`];
+}
@@ -0,0 +1,119 @@
+// --- Page Signals ---
+//
+// Looks for signs that an unlisted page creates accounts or collects data: sign-in and sign-up
+// forms, password fields, "Sign in with Google" style buttons, file uploads and known ad trackers.
+// Injected on demand into the active tab when the popup is opened on an unlisted site (through the
+// `activeTab` grant), and only reads the page; the result goes back to the extension and nothing
+// leaves the browser. Analytics alone don't make a page "likely", since almost every site has them.
+
+/**
+ * Known tracker hosts and what they are for. A script from the host or any subdomain counts.
+ * @type {Object<string, string>}
+ */
+const TRACKER_HOSTS = {
+    'google-analytics.com': 'analytics',
+    'googletagmanager.com': 'analytics',
+    'hotjar.com': 'analytics',
+    'clarity.ms': 'analytics',
+    'segment.com': 'analytics',
+    'mixpanel.com': 'analytics',
+    'amplitude.com': 'analytics',
+    'doubleclick.net': 'ads',
+    'googlesyndication.com': 'ads',
+    'googleadservices.com': 'ads',
+    'amazon-adsystem.com': 'ads',
+    'connect.facebook.net': 'ads',
+    'bat.bing.com': 'ads',
+    'analytics.tiktok.com': 'ads',
+    'scorecardresearch.com': 'ads',
+    'quantserve.com': 'ads'
+};
+
+// Button and link text that offers sign-in through another account.
+const OAUTH_TEXT_PATTERN = /\b(sign in|log in|login|sign up|continue) with (google|microsoft|apple|clever|classlink|facebook)\b/i;
+
+// Button and link text, or form actions, that lead to creating or using an account.
+const ACCOUNT_TEXT_PATTERN = /\b(sign ?in|log ?in|sign ?up|register|create (an |your )?account|join now)\b/i;
+
+/**
+ * Finds the category of a tracker script.
+ *
+ * @param {string} src - The script's URL.
+ * @returns {string|null} 'analytics' or 'ads', or null if it isn't a known tracker.
+ */
+function getTrackerCategory(src) {
+    let hostname;
+    try {
+        hostname = new URL(src).hostname;
+    } catch (error) {
+        return null;
+    }
+    const match = Object.keys(TRACKER_HOSTS).find(host => hostname === host || hostname.endsWith(`.${host}`));
+    return match ? TRACKER_HOSTS[match] : null;
+}
+
+/**
+ * Collects the raw signals from a document.
+ *
+ * @param {Document} doc - The page's document.
+ * @returns {{passwordFields: number, accountForms: number, accountLinks: number, oauthButtons: number, fileUploads: number, analyticsTrackers: string[], adTrackers: string[]}} The signals found.
+ */
+function collectPageSignals(doc) {
+    const clickables = [...doc.querySelectorAll('a, button, [role="button"], input[type="submit"]')];
+    const labelOf = element => (element.textContent || element.value || element.getAttribute('aria-label') || '').trim();
+
+    const accountForms = [...doc.querySelectorAll('form')].filter(form =>
+        form.querySelector('input[type="password"], input[type="email"], input[autocomplete="username"]') ||
+        ACCOUNT_TEXT_PATTERN.test(form.getAttribute('action') || ''));
+
+    // Google's sign-in button library counts even before it renders a button
+    const oauthScripts = [...doc.querySelectorAll('script[src], iframe[src]')]
+        .filter(element => /accounts\.google\.com\/gsi\//.test(element.getAttribute('src')));
+
+    const trackers = { analytics: new Set(), ads: new Set() };
+    for (const script of doc.querySelectorAll('script[src]')) {
+        const category = getTrackerCategory(script.src);
+        if (category) trackers[category].add(new URL(script.src).hostname);
+    }
+
+    return {
+        passwordFields: doc.querySelectorAll('input[type="password"]').length,
+        accountForms: accountForms.length,
+        accountLinks: clickables.filter(element => ACCOUNT_TEXT_PATTERN.test(labelOf(element))).length,
+        oauthButtons: clickables.filter(element => OAUTH_TEXT_PATTERN.test(labelOf(element))).length + oauthScripts.length,
+        fileUploads: doc.querySelectorAll('input[type="file"]').length,
+        analyticsTrackers: [...trackers.analytics],
+        adTrackers: [...trackers.ads]
+    };
+}
+
+/**
+ * Decides from the signals whether the page likely creates accounts or collects data.
+ *
+ * @param {object} signals - The signals from `collectPageSignals`.
+ * @returns {{pageCheck: string, reasons: string[]}} 'data_collection_likely' or 'informational', and the teacher-facing reasons.
+ */
+function classifyPageSignals(signals) {
+    const reasons = [];
+    if (signals.passwordFields > 0) reasons.push('password field');
+    if (signals.accountForms > 0 && signals.passwordFields === 0) reasons.push('sign-in or sign-up form');
+    if (signals.oauthButtons > 0) reasons.push('"Sign in with…" button');
+    if (signals.accountLinks > 0 && reasons.length === 0) reasons.push('sign-in or sign-up link');
+    if (signals.fileUploads > 0) reasons.push('file upload');
+    if (signals.adTrackers.length > 0) reasons.push('advertising trackers');
+
+    return {
+        pageCheck: reasons.length > 0 ? 'data_collection_likely' : 'informational',
+        reasons: reasons
+    };
+}
+
+/**
+ * Checks the current page. This is what the extension calls after injecting this file.
+ *
+ * @returns {{pageCheck: string, reasons: string[], signals: object}} The classification and the signals behind it.
+ */
+function checkPageSignals() {
+    const signals = collectPageSignals(document);
+    return { ...classifyPageSignals(signals), signals };
+}
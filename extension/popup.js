@@ -1,9 +1,59 @@
-document.addEventListener('DOMContentLoaded', () => {
+import { getSettings } from './settings.js';
+import { PAGE_CHECK_LABELS, STATUS_EXPLANATIONS, buildDetailsUrl, describeDataHealth, fillUrlTemplate } from './display-helpers.js';
+
+document.addEventListener('DOMContentLoaded', async () => {
     // Get references to the HTML elements we need to update
     const statusText = document.getElementById('status-text');
     const tlStatus = document.getElementById('tl-status');
     const dpaStatus = document.getElementById('dpa-status');
     const isAppText = document.getElementById('is-app-text');
+    const detailsLink = document.getElementById('details-link');
+    const explanationText = document.getElementById('explanation');
+    const reviewLink = document.getElementById('review-link');
+    const dataAge = document.getElementById('data-age');
+    const pageCheckText = document.getElementById('page-check');
+    const catalogLink = document.getElementById('catalog-link');
+    const sessionRow = document.getElementById('session-row');
+    const sessionText = document.getElementById('session-text');
+    const sessionButton = document.getElementById('session-button');
+
+    const settings = await getSettings();
+
+    /**
+     * Shows who is signed in, with a button to sign in or out.
+     * @param {{signedIn: boolean, email: string|null, error?: string}} session - The response from the background script.
+     */
+    function renderSession(session) {
+        sessionButton.disabled = false;
+        if (session.signedIn) {
+            sessionText.textContent = `Signed in as ${session.email || 'unknown user'}.`;
+            sessionButton.textContent = 'Sign out';
+        } else {
+            sessionText.textContent = session.error || 'Not signed in.';
+            sessionButton.textContent = 'Sign in';
+        }
+        sessionButton.onclick = () => {
+            // Signing in opens a window, so it must start from this click
+            sessionButton.disabled = true;
+            chrome.runtime.sendMessage({ action: session.signedIn ? 'signOut' : 'signIn' }, (response) => {
+                if (chrome.runtime.lastError || !response) {
+                    renderSession({ ...session, error: 'Could not reach the extension.' });
+                    return;
+                }
+                renderSession(response.error ? { signedIn: false, email: null, error: response.error } : response);
+            });
+        };
+        sessionRow.hidden = false;
+    }
+
+    // The Supabase source is the only one that needs a sign-in
+    if (settings.dataSource === 'supabase') {
+        chrome.runtime.sendMessage({ action: 'getSession' }, (session) => {
+            if (!chrome.runtime.lastError && session) renderSession(session);
+        });
+    }
+    detailsLink.href = buildDetailsUrl(settings.detailsUrlTemplate, null);
+    detailsLink.textContent = `View Details from ${settings.districtName}`;
 
     // Get the current tab to determine its URL
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
@@ -21,12 +71,18 @@ document.addEventListener('DOMContentLoaded', () => {
                 return;
             }
             
+            // Always say how fresh the data is, so teachers know whether to trust the status
+            const freshness = describeDataHealth(response.dataHealth);
+            dataAge.textContent = freshness.text;
+            dataAge.classList.toggle('warning', freshness.isWarning);
+
             if (response.error) {
                  statusText.textContent = response.error;
                  return;
             }
 
-            const { siteInfo, domainInfo } = response;
+            const { siteInfo, domainInfo, overallStatus } = response;
+            detailsLink.href = buildDetailsUrl(settings.detailsUrlTemplate, siteInfo);
 
             // --- Primary Display Logic ---
 
@@ -46,12 +102,43 @@ document.addEventListener('DOMContentLoaded', () => {
                 statusText.textContent = siteInfo.software_name;
                 tlStatus.textContent = `T&L: ${siteInfo.current_tl_status || 'N/A'}`;
                 dpaStatus.textContent = `DPA: ${siteInfo.current_dpa_status || 'N/A'}`;
+
+                // Point the catalog at the same category, to find alternatives
+                if (siteInfo.category) {
+                    catalogLink.href = `catalog.html?q=${encodeURIComponent(siteInfo.category)}`;
+                    catalogLink.textContent = `Find other ${siteInfo.category} resources`;
+                }
             } else {
                 // If no match is found
                 statusText.textContent = 'This site is not in the district list.';
                 tlStatus.textContent = 'Recommend for review submission.';
                 dpaStatus.textContent = '';
+
+                // Offer a pre-filled review request if the district has a submission form
+                if (settings.reviewUrlTemplate && domainInfo) {
+                    reviewLink.href = fillUrlTemplate(settings.reviewUrlTemplate, { hostname: domainInfo.hostname });
+                    reviewLink.hidden = false;
+                }
+
+                // Check the page itself for sign-ins, uploads and ad trackers. Opening the popup
+                // grants access to this tab only, and the page's content stays in the browser.
+                if (domainInfo && !domainInfo.isAppStore) {
+                    chrome.runtime.sendMessage({ action: "checkPageSignals", tabId: tab.id }, (check) => {
+                        if (chrome.runtime.lastError || !check || check.error) return;
+                        const label = PAGE_CHECK_LABELS[check.pageCheck];
+                        pageCheckText.textContent = check.reasons.length
+                            ? `${label} (${check.reasons.join(', ')}).`
+                            : label;
+                        pageCheckText.hidden = false;
+                        if (check.pageCheck === 'informational') {
+                            tlStatus.textContent = 'Review is probably not needed for reading this page.';
+                        }
+                    });
+                }
             }
+
+            // Finally, explain what the status means in plain language
+            explanationText.textContent = STATUS_EXPLANATIONS[overallStatus] || '';
         });
     });
 });
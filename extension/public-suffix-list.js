@@ -0,0 +1,163 @@
+// --- Public Suffix List ---
+//
+// A bundled subset of the Mozilla Public Suffix List (https://publicsuffix.org/list/).
+// It is used to find the registrable domain of a hostname, so that 'district.k12.oh.us',
+// 'foo.co.uk' and 'myschool.github.io' are each treated as their own site instead of
+// collapsing onto 'oh.us', 'co.uk' or 'github.io'.
+//
+// Rule syntax follows the upstream list:
+//   'co.uk'     - a plain suffix
+//   '*.sch.uk'  - a wildcard: every label directly under 'sch.uk' is a suffix
+//   '!www.ck'   - an exception to a wildcard rule
+// Any TLD not listed falls back to the implicit '*' rule (e.g. 'com', 'org', 'edu').
+// When a district resource is hosted under a shared suffix that is missing here, add it to
+// the matching section below, keeping the upstream spelling.
+
+/**
+ * US state and territory codes, used to expand the locality-based '.us' suffixes.
+ * @type {string[]}
+ */
+export const US_STATE_CODES = [
+    'ak', 'al', 'ar', 'as', 'az', 'ca', 'co', 'ct', 'dc', 'de', 'fl', 'ga', 'gu', 'hi', 'ia', 'id', 'il', 'in',
+    'ks', 'ky', 'la', 'ma', 'md', 'me', 'mi', 'mn', 'mo', 'ms', 'mt', 'nc', 'nd', 'ne', 'nh', 'nj', 'nm', 'nv',
+    'ny', 'oh', 'ok', 'or', 'pa', 'pr', 'ri', 'sc', 'sd', 'tn', 'tx', 'ut', 'va', 'vi', 'vt', 'wa', 'wi', 'wv', 'wy'
+];
+
+/**
+ * ICANN-managed suffixes (country-code second levels and the US locality namespace).
+ * @type {string[]}
+ */
+export const ICANN_SUFFIXES = [
+    // United Kingdom
+    'ac.uk', 'co.uk', 'gov.uk', 'ltd.uk', 'me.uk', 'net.uk', 'nhs.uk', 'org.uk', 'plc.uk', 'police.uk', '*.sch.uk',
+    // Canada
+    'ab.ca', 'bc.ca', 'mb.ca', 'nb.ca', 'nf.ca', 'nl.ca', 'ns.ca', 'nt.ca', 'nu.ca', 'on.ca', 'pe.ca', 'qc.ca', 'sk.ca', 'yk.ca', 'gc.ca',
+    // Australia and New Zealand
+    'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au', 'asn.au', 'id.au',
+    'ac.nz', 'co.nz', 'geek.nz', 'gen.nz', 'govt.nz', 'net.nz', 'org.nz', 'school.nz',
+    // Asia
+    'ac.jp', 'co.jp', 'ed.jp', 'go.jp', 'ne.jp', 'or.jp',
+    'ac.kr', 'co.kr', 'go.kr', 'or.kr', 're.kr',
+    'com.cn', 'edu.cn', 'gov.cn', 'net.cn', 'org.cn',
+    'com.hk', 'edu.hk', 'gov.hk', 'org.hk',
+    'com.sg', 'edu.sg', 'gov.sg', 'org.sg',
+    'ac.in', 'co.in', 'edu.in', 'gov.in', 'net.in', 'org.in',
+    // Europe, Africa and the Americas
+    'ac.za', 'co.za', 'gov.za', 'org.za',
+    'com.br', 'edu.br', 'gov.br', 'net.br', 'org.br',
+    'com.mx', 'edu.mx', 'gob.mx', 'org.mx',
+    'com.ar', 'edu.ar', 'gob.ar', 'org.ar',
+    'com.es', 'edu.es', 'gob.es', 'org.es',
+    'com.tr', 'edu.tr', 'gov.tr', 'org.tr',
+    // United States locality namespace, e.g. 'district.k12.oh.us'
+    ...US_STATE_CODES.flatMap(state => [
+        `${state}.us`, `k12.${state}.us`, `cc.${state}.us`, `lib.${state}.us`, `pvt.k12.${state}.us`
+    ])
+];
+
+/**
+ * Privately-managed suffixes where unrelated people publish under a shared domain.
+ * @type {string[]}
+ */
+export const PRIVATE_SUFFIXES = [
+    // Static hosting and app platforms
+    'github.io', 'githubusercontent.com', 'gitlab.io', 'bitbucket.io',
+    'web.app', 'firebaseapp.com', 'appspot.com', 'translate.goog',
+    'vercel.app', 'now.sh', 'netlify.app', 'pages.dev', 'workers.dev',
+    'herokuapp.com', 'onrender.com', 'fly.dev', 'glitch.me', 'repl.co', 'replit.app', 'replit.dev',
+    'azurewebsites.net', 'azurestaticapps.net', 'cloudfront.net', 's3.amazonaws.com', 'amplifyapp.com',
+    'deno.dev', 'surge.sh', 'neocities.org', 'codeberg.page',
+    // Site builders and blogs
+    'blogspot.com', 'weebly.com', 'wixsite.com', 'myshopify.com', 'square.site', 'carrd.co',
+    'webflow.io', 'notion.site', 'tumblr.com'
+];
+
+/**
+ * The combined rule set, split into lookup tables for the matching algorithm.
+ * @type {{exact: Set<string>, wildcard: Set<string>, exception: Set<string>}}
+ */
+export const PUBLIC_SUFFIX_RULES = (() => {
+    const rules = { exact: new Set(), wildcard: new Set(), exception: new Set() };
+    for (const rule of [...ICANN_SUFFIXES, ...PRIVATE_SUFFIXES]) {
+        if (rule.startsWith('!')) {
+            rules.exception.add(rule.substring(1));
+        } else if (rule.startsWith('*.')) {
+            rules.wildcard.add(rule.substring(2));
+        } else {
+            rules.exact.add(rule);
+        }
+    }
+    return rules;
+})();
+
+/**
+ * Finds the public suffix of a hostname using the bundled rules.
+ * Implements the upstream algorithm: the longest matching rule wins, exception rules beat
+ * wildcards, and an unlisted TLD is treated as a one-label suffix.
+ *
+ * @param {string} hostname - A lowercase hostname, e.g. 'myschool.github.io'.
+ * @returns {string} The public suffix, e.g. 'github.io'.
+ */
+export function getPublicSuffix(hostname) {
+    const labels = hostname.split('.');
+
+    for (let i = 0; i < labels.length; i++) {
+        const candidate = labels.slice(i).join('.');
+
+        if (PUBLIC_SUFFIX_RULES.exception.has(candidate)) {
+            // An exception rule means the candidate itself is registrable
+            return labels.slice(i + 1).join('.');
+        }
+        if (PUBLIC_SUFFIX_RULES.exact.has(candidate)) {
+            return candidate;
+        }
+        const parent = labels.slice(i + 1).join('.');
+        if (i + 1 < labels.length && PUBLIC_SUFFIX_RULES.wildcard.has(parent)) {
+            return candidate;
+        }
+    }
+    // Implicit '*' rule
+    return labels[labels.length - 1];
+}
+
+/**
+ * Checks whether a hostname is itself a public suffix (e.g. 'github.io', 'co.uk' or 'com'), so
+ * everything below it belongs to unrelated owners. Single-label hosts such as 'localhost' count
+ * too; IP addresses never do.
+ *
+ * @param {string} hostname - The hostname to check.
+ * @returns {boolean} True if the hostname is a public suffix.
+ */
+export function isPublicSuffix(hostname) {
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    if (/^\d+(\.\d+){3}$/.test(host) || host.startsWith('[')) {
+        return false;
+    }
+    return getPublicSuffix(host) === host;
+}
+
+/**
+ * Finds the registrable domain (public suffix plus one label) of a hostname.
+ * Hostnames that are themselves a public suffix, single-label hosts (e.g. 'localhost')
+ * and IP addresses are returned unchanged.
+ *
+ * @param {string} hostname - The hostname to reduce, e.g. 'app.district.k12.oh.us'.
+ * @returns {string} The registrable domain, e.g. 'district.k12.oh.us'.
+ */
+export function getRegistrableDomain(hostname) {
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+
+    // IPv4 and IPv6 literals have no registrable domain
+    if (/^\d+(\.\d+){3}$/.test(host) || host.startsWith('[')) {
+        return host;
+    }
+
+    const labels = host.split('.');
+    const suffix = getPublicSuffix(host);
+    const suffixLabelCount = suffix.split('.').length;
+
+    if (labels.length <= suffixLabelCount) {
+        return host;
+    }
+    return labels.slice(-(suffixLabelCount + 1)).join('.');
+}
@@ -0,0 +1,308 @@
+// --- Session ---
+//
+// Keeps the teacher's Supabase session: the access token (a short-lived JWT, about an hour),
+// the refresh token used to renew it, and when it expires. The access token is renewed in the
+// background through `/auth/v1/token?grant_type=refresh_token` shortly before it expires, so
+// teachers are not sent back through Google sign-in every hour. The interactive sign-in window is
+// only ever opened from a click in the popup (`signIn`), never from an alarm or tab update.
+// When the `allowedDomains` setting lists the district's Google Workspace domains, sessions for
+// any other account are rejected and cleared, so personal accounts can't be used.
+// Imported by background.js and data-sources.js.
+
+import { API_HOST, API_KEY, USER_AGENT } from './api-config.js';
+import { runInExtensionContext } from './extension-context.js';
+import { getSettings } from './settings.js';
+
+// Renew the access token when it has less than this long left.
+export const SESSION_REFRESH_MARGIN_SECONDS = 5 * 60;
+
+/**
+ * The refresh in progress, if any, so concurrent callers share one request instead of racing
+ * (Supabase rotates refresh tokens, so a second request with the same token would fail).
+ * @type {Promise<object|null>|null}
+ */
+let sessionRefreshInFlight = null;
+
+/**
+ * Decodes the claims (payload) of a JWT without verifying it. The signature is checked by Supabase
+ * on every request; the extension only reads claims such as `email` and `exp` for display and timing.
+ *
+ * @param {string} token - The JWT.
+ * @returns {object|null} The claims, or null if the token is malformed.
+ */
+export function decodeJwtClaims(token) {
+    try {
+        const payload = String(token).split('.')[1];
+        const base64 = payload.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(payload.length / 4) * 4, '=');
+        const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Builds a stored session from Supabase token fields (from the sign-in redirect or a refresh response).
+ *
+ * @param {{access_token: string, refresh_token?: string, expires_in?: number|string, expires_at?: number|string}} fields - The token fields.
+ * @returns {{access_token: string, refresh_token: string|null, expires_at: number, email: string|null}|null} The session, or null without an access token.
+ */
+export function buildSession(fields) {
+    if (!fields.access_token) return null;
+
+    const claims = decodeJwtClaims(fields.access_token) || {};
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    // Prefer an explicit expiry; fall back to expires_in, then to the JWT's own `exp`
+    const expiresAt = Number(fields.expires_at) ||
+        (Number(fields.expires_in) ? nowSeconds + Number(fields.expires_in) : Number(claims.exp) || nowSeconds);
+
+    return {
+        access_token: fields.access_token,
+        refresh_token: fields.refresh_token || null,
+        expires_at: expiresAt,
+        email: claims.email || null
+    };
+}
+
+/**
+ * Finds the domains a signed-in account belongs to, from its JWT claims: the Google Workspace
+ * domain (the `hd` claim, which Supabase keeps in `user_metadata.custom_claims`) and the email's domain.
+ *
+ * @param {object|null} claims - The claims from `decodeJwtClaims`.
+ * @returns {string[]} The lowercase domains, possibly empty.
+ */
+export function getAccountDomains(claims) {
+    if (!claims) return [];
+    const metadata = claims.user_metadata || {};
+    const hostedDomain = claims.hd || (metadata.custom_claims && metadata.custom_claims.hd) || metadata.hd;
+    const email = claims.email || metadata.email || '';
+    const emailDomain = email.includes('@') ? email.split('@').pop() : '';
+    return [...new Set([hostedDomain, emailDomain].filter(Boolean).map(domain => String(domain).toLowerCase()))];
+}
+
+/**
+ * Checks whether an account may sign in. An empty allowed list allows any account.
+ *
+ * @param {object|null} claims - The claims from `decodeJwtClaims`.
+ * @param {string[]} allowedDomains - The `allowedDomains` setting.
+ * @returns {boolean} True if the account's Workspace or email domain is allowed.
+ */
+export function isAllowedAccount(claims, allowedDomains) {
+    if (!allowedDomains || allowedDomains.length === 0) return true;
+    return getAccountDomains(claims).some(domain => allowedDomains.includes(domain));
+}
+
+/**
+ * Reads the stored session.
+ *
+ * @returns {Promise<object|null>} The session, or null if signed out.
+ */
+export async function getSession() {
+    const { supabase_session } = await runInExtensionContext(
+        () => chrome.storage.local.get('supabase_session'),
+        { supabase_session: null }
+    );
+    return supabase_session || null;
+}
+
+/**
+ * Stores the session, or clears it when given null.
+ *
+ * @param {object|null} session - The session to store.
+ * @returns {Promise<void>}
+ */
+export async function saveSession(session) {
+    await runInExtensionContext(
+        () => session
+            ? chrome.storage.local.set({ supabase_session: session })
+            : chrome.storage.local.remove('supabase_session'),
+        Promise.resolve()
+    );
+}
+
+/**
+ * The message shown to a teacher who signed in with an account outside the allowed domains.
+ *
+ * @param {object} session - The rejected session.
+ * @param {string[]} allowedDomains - The `allowedDomains` setting.
+ * @returns {string} The message.
+ */
+function getDisallowedAccountMessage(session, allowedDomains) {
+    return `${session.email || 'This account'} is not a district account. ` +
+        `Sign in with your @${allowedDomains[0]} account.`;
+}
+
+/**
+ * Rejects a session whose account is not in the `allowedDomains` setting, clearing it from storage
+ * and revoking it with Supabase.
+ *
+ * @param {object} session - The session to check.
+ * @returns {Promise<string|null>} A message for the teacher if the session was rejected, otherwise null.
+ */
+export async function rejectDisallowedSession(session) {
+    const { allowedDomains } = await getSettings();
+    if (isAllowedAccount(decodeJwtClaims(session.access_token), allowedDomains)) return null;
+
+    console.warn(`Signed-in account ${session.email} is not from an allowed domain. Signing out.`);
+    await signOut(session);
+    return getDisallowedAccountMessage(session, allowedDomains);
+}
+
+/**
+ * Runs Google OAuth through Supabase and stores the full session from the redirect.
+ * A session for an account outside the allowed domains is revoked without ever being stored.
+ *
+ * @param {boolean} [interactive=false] - If true, the sign-in window is shown. Only pass true from a user gesture.
+ * @returns {Promise<{session: object|null, error: string|null}>} The new session, or an error message on failure or cancellation.
+ */
+export async function authenticate(interactive = false) {
+    return runInExtensionContext(async () => {
+        try {
+            const redirectUrl = chrome.identity.getRedirectURL();
+            const { allowedDomains } = await getSettings();
+
+            // Construct the Supabase OAuth URL using the injected API_HOST
+            const authUrl = new URL(`${API_HOST}/auth/v1/authorize`);
+            authUrl.searchParams.set('provider', 'google');
+            authUrl.searchParams.set('redirect_to', redirectUrl);
+            // Ask Google to offer only accounts from the district's Workspace. This is just a hint
+            // for the account chooser, so the domain is still checked after sign-in.
+            if (allowedDomains.length === 1) {
+                authUrl.searchParams.set('hd', allowedDomains[0]);
+            }
+
+            // Launch the web authentication flow
+            const responseUrl = await chrome.identity.launchWebAuthFlow({
+                url: authUrl.toString(),
+                interactive: interactive
+            });
+
+            if (!responseUrl) {
+                console.warn('Authentication flow was cancelled or failed.');
+                return { session: null, error: 'Sign-in was cancelled or failed.' };
+            }
+
+            // The tokens come back in the URL fragment
+            const params = new URLSearchParams(new URL(responseUrl).hash.substring(1)); // Remove the leading '#'
+            const session = buildSession(Object.fromEntries(params));
+
+            if (session) {
+                if (!isAllowedAccount(decodeJwtClaims(session.access_token), allowedDomains)) {
+                    console.warn(`Signed-in account ${session.email} is not from an allowed domain. Not keeping the session.`);
+                    await revokeSession(session);
+                    return { session: null, error: getDisallowedAccountMessage(session, allowedDomains) };
+                }
+                await saveSession(session);
+                console.log('Successfully authenticated and stored session.');
+                return { session: session, error: null };
+            }
+
+            console.warn('Authentication succeeded, but no access token was found in the response.');
+            return { session: null, error: 'Sign-in did not return a session.' };
+
+        } catch (error) {
+            // This can happen if the user closes the auth window, or silent sign-in isn't possible
+            console.warn('Authentication failed:', error);
+            return { session: null, error: 'Sign-in was cancelled or failed.' };
+        }
+    }, Promise.resolve({ session: null, error: 'Sign-in is not available here.' })); // Fallback for test environments
+}
+
+/**
+ * Exchanges the refresh token for a new session. Concurrent calls share the same request.
+ * If Supabase rejects the refresh token, the session is cleared, since it can't be renewed.
+ *
+ * @param {object} session - The current session.
+ * @returns {Promise<object|null>} The renewed session, or null if it could not be renewed.
+ */
+export function refreshSession(session) {
+    if (sessionRefreshInFlight) return sessionRefreshInFlight;
+    if (!session || !session.refresh_token) return Promise.resolve(null);
+
+    sessionRefreshInFlight = (async () => {
+        try {
+            const response = await fetch(`${API_HOST}/auth/v1/token?grant_type=refresh_token`, {
+                method: 'POST',
+                headers: { 'apikey': API_KEY, 'Content-Type': 'application/json', 'User-Agent': USER_AGENT },
+                body: JSON.stringify({ refresh_token: session.refresh_token })
+            });
+
+            if (response.status === 400 || response.status === 401) {
+                console.warn('Refresh token was rejected. Signing out.');
+                await saveSession(null);
+                return null;
+            }
+            if (!response.ok) {
+                console.error(`Session refresh error: ${response.status} ${response.statusText}`);
+                return null;
+            }
+
+            const renewed = buildSession(await response.json());
+            await saveSession(renewed);
+            console.log('Session refreshed.');
+            return renewed;
+        } catch (error) {
+            console.error('Network error while refreshing session:', error);
+            return null;
+        } finally {
+            sessionRefreshInFlight = null;
+        }
+    })();
+    return sessionRefreshInFlight;
+}
+
+/**
+ * Returns a usable access token, renewing the session first if it is close to expiring.
+ * Never opens a sign-in window; without a session it only tries a silent sign-in.
+ * A stored session from a domain that is no longer allowed (e.g., after a policy change) is cleared.
+ *
+ * @param {{forceRefresh?: boolean}} [options] - Set `forceRefresh` after a 401 to renew regardless of expiry.
+ * @returns {Promise<string|null>} The access token, or null if the user is signed out.
+ */
+export async function getAccessToken({ forceRefresh = false } = {}) {
+    let session = await getSession();
+
+    if (!session) {
+        console.log('No session found, attempting silent authentication...');
+        ({ session } = await authenticate(false));
+        if (!session) return null;
+    } else if (await rejectDisallowedSession(session)) {
+        return null;
+    }
+
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    if (forceRefresh || session.expires_at - nowSeconds < SESSION_REFRESH_MARGIN_SECONDS) {
+        session = await refreshSession(session);
+    }
+    return session ? session.access_token : null;
+}
+
+/**
+ * Revokes a session with Supabase (best effort), so its tokens can't be used again.
+ *
+ * @param {object} session - The session to revoke.
+ * @returns {Promise<void>}
+ */
+async function revokeSession(session) {
+    try {
+        await fetch(`${API_HOST}/auth/v1/logout`, {
+            method: 'POST',
+            headers: { 'apikey': API_KEY, 'Authorization': `Bearer ${session.access_token}`, 'User-Agent': USER_AGENT }
+        });
+    } catch (error) {
+        console.warn('Could not revoke the session with Supabase:', error);
+    }
+}
+
+/**
+ * Signs out: revokes the session with Supabase (best effort) and clears it locally.
+ *
+ * @param {object|null} [session] - The session to revoke; defaults to the stored one.
+ * @returns {Promise<void>}
+ */
+export async function signOut(session) {
+    session = session || await getSession();
+    if (session) await revokeSession(session);
+    await saveSession(null);
+    console.log('Signed out.');
+}
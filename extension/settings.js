@@ -0,0 +1,220 @@
+// --- Settings ---
+//
+// Configuration that district administrators can change without rebuilding the extension.
+// Values are layered, lowest to highest precedence:
+//   1. Build-time defaults from config.mjs.
+//   2. Values saved on the options page, kept in `chrome.storage.sync`.
+//   3. Enterprise policy pushed through the Google Admin console, read from `chrome.storage.managed`
+//      (see managed_schema.json). Policy always wins, and the options page locks those fields.
+// Shared by the service worker and the extension pages, so it must not depend on either.
+
+/**
+ * The data source types an administrator can pick (see data-sources.js).
+ * @type {string[]}
+ */
+export const DATA_SOURCE_TYPES = ['supabase', 'sheet-csv', 'json'];
+
+/**
+ * Placeholders replaced at build time, then the built-in defaults for everything else.
+ * @type {{dataSource: string, dataSourceUrl: string, allowedDomains: string[], refreshMinutes: number, staleAfterDays: number, detailsUrlTemplate: string, reviewUrlTemplate: string, districtName: string, enforceDenied: string, enforceStaffOnly: string, annotateLinks: boolean}}
+ */
+export const DEFAULT_SETTINGS = {
+    dataSource: '__DATA_SOURCE_PLACEHOLDER__',
+    dataSourceUrl: '__DATA_SOURCE_URL_PLACEHOLDER__',
+    // Google Workspace domains whose accounts may sign in (see session.js). Empty allows any account.
+    allowedDomains: parseDomainList('__ALLOWED_DOMAINS_PLACEHOLDER__'),
+    // Refresh the DPA list hourly; unchanged data costs only a conditional request
+    refreshMinutes: 60,
+    // Warn teachers when the cached list is older than this many days
+    staleAfterDays: 3,
+    // Where "View Details" points. '{id}' and '{slug}' are replaced from the matched row.
+    detailsUrlTemplate: 'https://www.mcsapphub.com',
+    // Where unlisted sites can be submitted for review. '{hostname}' is replaced with the site.
+    // Empty means the district has no submission form, so the popup shows no link.
+    reviewUrlTemplate: '',
+    districtName: 'Mason City Schools',
+    // Enforcement level per status: 'off', 'warn' or 'block' (see enforcement.js)
+    enforceDenied: 'off',
+    enforceStaffOnly: 'off',
+    // Mark links in Google Classroom and Docs with their status (see link-annotations.js)
+    annotateLinks: false
+};
+
+// Bounds for the refresh period: no faster than every 15 minutes, no slower than weekly.
+export const MIN_REFRESH_MINUTES = 15;
+export const MAX_REFRESH_MINUTES = 60 * 24 * 7;
+
+/**
+ * Splits a list of domains, e.g. "masonohioschools.com, @staff.example.org", into lowercase domains.
+ * Accepts an array (from policy) or a string separated by commas or spaces (from the options form).
+ *
+ * @param {string|string[]} value - The domain list.
+ * @returns {string[]} The domains, without leading '@' and without duplicates.
+ */
+export function parseDomainList(value) {
+    const parts = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+    const domains = parts
+        .map(part => String(part).trim().toLowerCase().replace(/^@/, ''))
+        .filter(Boolean);
+    return [...new Set(domains)];
+}
+
+/**
+ * Checks that a string is an absolute https URL.
+ *
+ * @param {string} value - The string to check.
+ * @returns {boolean} True if it parses as an https URL.
+ */
+export function isHttpsUrl(value) {
+    try {
+        return new URL(value).protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Validates and normalizes settings, e.g. from the options form or from storage.
+ * Only the keys present in `input` are checked, so partial updates can be validated on their own.
+ *
+ * @param {object} input - Raw setting values keyed like `DEFAULT_SETTINGS`.
+ * @returns {{values: object, errors: Object<string, string>}} The normalized valid values, and an error message per invalid key.
+ */
+export function validateSettings(input) {
+    const values = {};
+    const errors = {};
+
+    if ('dataSource' in input) {
+        if (DATA_SOURCE_TYPES.includes(input.dataSource)) {
+            values.dataSource = input.dataSource;
+        } else {
+            errors.dataSource = `Choose one of: ${DATA_SOURCE_TYPES.join(', ')}.`;
+        }
+    }
+
+    if ('dataSourceUrl' in input) {
+        const url = String(input.dataSourceUrl || '').trim();
+        const needsUrl = (input.dataSource || DEFAULT_SETTINGS.dataSource) !== 'supabase';
+        if (url && !isHttpsUrl(url)) {
+            errors.dataSourceUrl = 'Enter a full https:// address.';
+        } else if (!url && needsUrl) {
+            errors.dataSourceUrl = 'This data source needs a URL.';
+        } else {
+            values.dataSourceUrl = url;
+        }
+    }
+
+    if ('allowedDomains' in input) {
+        const domains = parseDomainList(input.allowedDomains);
+        const invalid = domains.filter(domain => !/^([a-z0-9-]+\.)+[a-z]{2,}$/.test(domain));
+        if (invalid.length) {
+            errors.allowedDomains = `Not a domain: ${invalid.join(', ')}.`;
+        } else {
+            values.allowedDomains = domains;
+        }
+    }
+
+    if ('refreshMinutes' in input) {
+        const minutes = Number(input.refreshMinutes);
+        if (Number.isInteger(minutes) && minutes >= MIN_REFRESH_MINUTES && minutes <= MAX_REFRESH_MINUTES) {
+            values.refreshMinutes = minutes;
+        } else {
+            errors.refreshMinutes = `Enter a whole number of minutes between ${MIN_REFRESH_MINUTES} and ${MAX_REFRESH_MINUTES}.`;
+        }
+    }
+
+    if ('staleAfterDays' in input) {
+        const days = Number(input.staleAfterDays);
+        if (Number.isInteger(days) && days >= 1 && days <= 60) {
+            values.staleAfterDays = days;
+        } else {
+            errors.staleAfterDays = 'Enter a whole number of days between 1 and 60.';
+        }
+    }
+
+    if ('detailsUrlTemplate' in input) {
+        const template = String(input.detailsUrlTemplate || '').trim();
+        if (isHttpsUrl(template.replace(/\{(id|slug)\}/g, '1'))) {
+            values.detailsUrlTemplate = template;
+        } else {
+            errors.detailsUrlTemplate = 'Enter a full https:// address. You may include {id} or {slug}.';
+        }
+    }
+
+    if ('reviewUrlTemplate' in input) {
+        const template = String(input.reviewUrlTemplate || '').trim();
+        if (!template || isHttpsUrl(template.replace(/\{hostname\}/g, 'example.com'))) {
+            values.reviewUrlTemplate = template;
+        } else {
+            errors.reviewUrlTemplate = 'Enter a full https:// address, or leave it empty. You may include {hostname}.';
+        }
+    }
+
+    if ('districtName' in input) {
+        const name = String(input.districtName || '').trim();
+        if (name && name.length <= 60) {
+            values.districtName = name;
+        } else {
+            errors.districtName = 'Enter a name of 1 to 60 characters.';
+        }
+    }
+
+    for (const key of ['enforceDenied', 'enforceStaffOnly']) {
+        if (key in input) {
+            if (['off', 'warn', 'block'].includes(input[key])) {
+                values[key] = input[key];
+            } else {
+                errors[key] = 'Choose off, warn or block.';
+            }
+        }
+    }
+
+    if ('annotateLinks' in input) {
+        if (typeof input.annotateLinks === 'boolean') {
+            values.annotateLinks = input.annotateLinks;
+        } else {
+            errors.annotateLinks = 'Choose on or off.';
+        }
+    }
+
+    return { values, errors };
+}
+
+/**
+ * Reads the settings an administrator has set through enterprise policy.
+ * Browsers without a policy (or without managed storage at all) simply have none.
+ *
+ * @returns {Promise<object>} The valid policy values, keyed like `DEFAULT_SETTINGS`.
+ */
+export async function getManagedSettings() {
+    if (typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.managed) {
+        return {};
+    }
+    try {
+        const managed = await chrome.storage.managed.get(Object.keys(DEFAULT_SETTINGS));
+        const { values, errors } = validateSettings(managed);
+        for (const [key, message] of Object.entries(errors)) {
+            console.warn(`Ignoring invalid managed policy value for ${key}: ${message}`);
+        }
+        return values;
+    } catch (error) {
+        console.warn('Could not read managed storage:', error);
+        return {};
+    }
+}
+
+/**
+ * Reads the effective settings: policy values over saved values over the defaults.
+ * Saved values that no longer validate (e.g., after a rule change) are ignored.
+ *
+ * @returns {Promise<object>} The settings, keyed like `DEFAULT_SETTINGS`.
+ */
+export async function getSettings() {
+    // Outside the extension (e.g., in tests) there is no storage, so only the defaults apply
+    const stored = (typeof chrome !== 'undefined' && chrome.storage)
+        ? await chrome.storage.sync.get(Object.keys(DEFAULT_SETTINGS))
+        : {};
+    const { values } = validateSettings(stored);
+    const managed = await getManagedSettings();
+    return { ...DEFAULT_SETTINGS, ...values, ...managed };
+}
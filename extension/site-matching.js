@@ -0,0 +1,194 @@
+// --- Site Matching ---
+//
+// Turns DPA rows into match rules and resolves a page to its most specific row.
+// The DPA list is indexed once when it is cached (see `buildDpaIndex`), so a tab update only
+// has to look at the rules filed under the page's own host and its parent domains, then, if none
+// of them applies, at the rows for the page's root domain.
+// Imported by the service worker's modules.
+
+import { getDomainInfo } from './domain-info.js';
+import { isPublicSuffix } from './public-suffix-list.js';
+
+/**
+ * Strips a leading 'www.' so that 'www.example.com' and 'example.com' are treated as the same host.
+ *
+ * @param {string} hostname - The hostname to normalize.
+ * @returns {string} The hostname without a leading 'www.' label.
+ */
+export function normalizeHost(hostname) {
+    return hostname.toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Builds the match rule for a DPA row from its `resource_link`.
+ * A row can target one of three scopes, set by the optional `match_scope` column:
+ *   - 'subdomains': the host and every subdomain below it (the default, even for links with a path).
+ *   - 'exact':      only that host.
+ *   - 'path':       the host (and its subdomains) under the link's path prefix.
+ * Links often point at a landing page (e.g. 'https://kahoot.com/schools/') for a tool that covers
+ * the whole site, so a path only narrows the match when the row asks for it.
+ * App store links are matched by app ID instead and produce an 'app' rule.
+ * `domain` is the link's registrable domain (e.g. 'nearpod.com' for 'app.nearpod.com'), which
+ * 'subdomains' rules also cover as a fallback (see `lookupSite`).
+ *
+ * @param {object} site - A row from the DPA list.
+ * @returns {{scope: string, host: string, domain: string, path: string, appID: string|null, appStoreName?: string}|null} The rule, or null if the row has no usable link (including a link to a public suffix).
+ */
+export function getMatchRule(site) {
+    const siteDomainInfo = getDomainInfo(site.resource_link);
+    if (!siteDomainInfo) return null;
+
+    if (siteDomainInfo.isInstalled) {
+        return {
+            scope: 'app',
+            host: siteDomainInfo.fullHostname,
+            domain: siteDomainInfo.hostname,
+            path: '/',
+            appID: siteDomainInfo.appID,
+            appStoreName: siteDomainInfo.appStoreName
+        };
+    }
+    // Generic app store pages are never matched by host
+    if (siteDomainInfo.isAppStore) return null;
+    // A public suffix like 'github.io' (or 'www.co.uk', once 'www.' is dropped) would cover every unrelated site below it
+    if (isPublicSuffix(normalizeHost(siteDomainInfo.fullHostname))) return null;
+
+    let scope = (site.match_scope || '').trim().toLowerCase();
+    if (!['subdomains', 'exact', 'path'].includes(scope)) scope = 'subdomains';
+    // Only path rules keep the path, so it doesn't count toward the specificity of a host rule
+    const path = scope === 'path' ? siteDomainInfo.pathname.replace(/\/+$/, '') || '/' : '/';
+    return { scope, host: normalizeHost(siteDomainInfo.fullHostname), domain: siteDomainInfo.hostname, path, appID: null };
+}
+
+/**
+ * Checks whether a match rule applies to the given page.
+ *
+ * @param {{scope: string, host: string, path: string, appID: string|null}} rule - A rule from `getMatchRule`.
+ * @param {object} domainInfo - The parsed page URL from `getDomainInfo`.
+ * @returns {boolean} True if the rule covers the page.
+ */
+export function ruleMatches(rule, domainInfo) {
+    if (rule.scope === 'app') {
+        return domainInfo.isInstalled && rule.appStoreName === domainInfo.appStoreName && rule.appID === domainInfo.appID;
+    }
+    if (domainInfo.isInstalled || domainInfo.isAppStore) return false;
+
+    const host = normalizeHost(domainInfo.fullHostname);
+    const hostMatches = host === rule.host || host.endsWith(`.${rule.host}`);
+
+    switch (rule.scope) {
+        case 'exact':
+            return host === rule.host;
+        case 'subdomains':
+            return hostMatches;
+        case 'path': {
+            const pathname = domainInfo.pathname.toLowerCase();
+            const prefix = rule.path.toLowerCase();
+            // Match whole path segments only, so '/edu' covers '/edu/x' but not '/education'
+            return hostMatches && (pathname === prefix || pathname.startsWith(`${prefix}/`));
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Scores how specific a rule is, so that the most specific matching row wins.
+ * A longer host beats a shorter one, then a longer path prefix wins, then an exact host beats a subdomain tree.
+ *
+ * @param {{scope: string, host: string, path: string}} rule - A rule from `getMatchRule`.
+ * @returns {number[]} A tuple to compare element by element; larger is more specific.
+ */
+export function getRuleSpecificity(rule) {
+    const hostLabels = rule.host.split('.').length;
+    const isExact = rule.scope === 'exact' ? 1 : 0;
+    const pathSegments = rule.path === '/' ? 0 : rule.path.split('/').length - 1;
+    return [hostLabels, pathSegments, isExact];
+}
+
+/**
+ * Compares two specificity tuples from `getRuleSpecificity`.
+ *
+ * @param {number[]} a - The first tuple.
+ * @param {number[]} b - The second tuple.
+ * @returns {number} A positive number if `a` is more specific, negative if less, 0 if equal.
+ */
+export function compareSpecificity(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+/**
+ * Builds a lookup index for the DPA list so pages can be matched without re-parsing every row.
+ * The index only holds plain objects and row positions, so it can be cached in `chrome.storage.local`.
+ *
+ * @param {object[]} dpaList - The DPA list.
+ * @returns {{hosts: Object<string, object[]>, domains: Object<string, number>, apps: Object<string, Object<string, number>>}}
+ *          Host rules keyed by normalized host, the fallback row for each root domain, and row
+ *          positions keyed by app store name then app ID.
+ */
+export function buildDpaIndex(dpaList) {
+    const index = { hosts: {}, domains: {}, apps: {} };
+
+    dpaList.forEach((site, row) => {
+        const rule = getMatchRule(site);
+        if (!rule) return;
+
+        if (rule.scope === 'app') {
+            const store = index.apps[rule.appStoreName] || (index.apps[rule.appStoreName] = {});
+            // Keep the first row for an app ID, as the linear search used to
+            if (!(rule.appID in store)) store[rule.appID] = row;
+            return;
+        }
+        (index.hosts[rule.host] || (index.hosts[rule.host] = [])).push({ ...rule, row });
+        // 'exact' and 'path' rows asked to be narrower, so only 'subdomains' rows cover their root domain
+        if (rule.scope === 'subdomains' && !(rule.domain in index.domains)) index.domains[rule.domain] = row;
+    });
+    return index;
+}
+
+/**
+ * Finds the DPA row that applies to a page, using longest-match-wins across all matching rules.
+ * Installed apps are matched by store and app ID; regular websites by exact host, subdomain tree
+ * or path prefix, checking the page's host and each of its parent domains in the index. When no
+ * rule applies, the first row for another host on the same root domain is used, so a row for
+ * 'app.nearpod.com' still covers 'www.nearpod.com' unless a more specific row says otherwise.
+ *
+ * @param {object[]} dpaList - The DPA list.
+ * @param {{hosts: object, domains: object, apps: object}} dpaIndex - The index from `buildDpaIndex`.
+ * @param {object} domainInfo - The parsed page URL from `getDomainInfo`.
+ * @returns {object|null} The most specific matching row, or null if none applies.
+ */
+export function lookupSite(dpaList, dpaIndex, domainInfo) {
+    if (domainInfo.isInstalled) {
+        const store = dpaIndex.apps[domainInfo.appStoreName];
+        const row = store ? store[domainInfo.appID] : undefined;
+        return row === undefined ? null : dpaList[row];
+    }
+    if (domainInfo.isAppStore) return null;
+
+    const labels = normalizeHost(domainInfo.fullHostname).split('.');
+    let best = null;
+    let bestSpecificity = null;
+
+    for (let i = 0; i < labels.length; i++) {
+        const rules = dpaIndex.hosts[labels.slice(i).join('.')] || [];
+        for (const rule of rules) {
+            if (!ruleMatches(rule, domainInfo)) continue;
+
+            const specificity = getRuleSpecificity(rule);
+            // Ties keep the earliest row in the list
+            if (!bestSpecificity || compareSpecificity(specificity, bestSpecificity) > 0 ||
+                (compareSpecificity(specificity, bestSpecificity) === 0 && rule.row < best.row)) {
+                best = rule;
+                bestSpecificity = specificity;
+            }
+        }
+    }
+    if (best) return dpaList[best.row];
+
+    const domains = dpaIndex.domains || {};
+    return domainInfo.hostname in domains ? dpaList[domains[domainInfo.hostname]] : null;
+}
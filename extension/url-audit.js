@@ -0,0 +1,151 @@
+// --- URL Audit ---
+//
+// The batch logic behind the audit page (audit.html): pulls the links out of pasted text or an
+// uploaded file (a list of URLs, a CSV, or a Classroom/Takeout export), checks each against the
+// DPA list, and builds the CSV export. The matching is passed in by the caller: the service
+// worker runs the audit against its cached list and the page only shows the results.
+// Imported by audit.js and background.js.
+
+import { buildCsv } from './csv-export.js';
+
+// More links than this in one audit is almost certainly the wrong file.
+export const MAX_AUDIT_URLS = 2000;
+
+/**
+ * Finds where a link really goes, unwrapping Google's redirect links (google.com/url?q=...),
+ * which is how links appear in Classroom and Docs exports.
+ *
+ * @param {string} url - The link.
+ * @returns {string} The destination, or the link unchanged.
+ */
+export function unwrapRedirectUrl(url) {
+    try {
+        const parsed = new URL(url);
+        if (/(^|\.)google\.com$/.test(parsed.hostname) && parsed.pathname === '/url') {
+            return parsed.searchParams.get('q') || parsed.searchParams.get('url') || url;
+        }
+    } catch (error) {
+        // Left for the audit to report as invalid
+    }
+    return url;
+}
+
+/**
+ * Turns one token from the input into a link, if it looks like one: a full http(s) URL, or a
+ * bare hostname like 'kahoot.com/join' (which gets 'https://'). Email addresses are skipped.
+ *
+ * @param {string} token - A piece of the input with no whitespace, commas or quotes.
+ * @returns {string|null} The link, or null.
+ */
+export function toAuditUrl(token) {
+    // Trailing punctuation is usually the end of a sentence, not part of the link
+    const cleaned = token.replace(/^[(<[]+|[)>\].;:!?]+$/g, '');
+    if (/^https?:\/\//i.test(cleaned)) return unwrapRedirectUrl(cleaned);
+    if (!cleaned.includes('@') && /^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}(\/\S*)?$/i.test(cleaned)) {
+        return `https://${cleaned}`;
+    }
+    return null;
+}
+
+/**
+ * Pulls the links out of pasted text or a file's contents, one entry per distinct link in the
+ * order they first appear.
+ *
+ * @param {string} text - The pasted text or file contents.
+ * @returns {{urls: {line: number, url: string}[], truncated: boolean}} The links with the line they were found on, and whether there were more than `MAX_AUDIT_URLS`.
+ */
+export function extractAuditUrls(text) {
+    const seen = new Set();
+    const urls = [];
+    let truncated = false;
+
+    String(text || '').split(/\r?\n/).forEach((line, index) => {
+        // Split on whitespace and CSV/JSON punctuation; URLs with a comma in them are rare enough
+        for (const token of line.split(/[\s,;"'`]+/)) {
+            const url = token ? toAuditUrl(token) : null;
+            if (!url || seen.has(url)) continue;
+            if (urls.length >= MAX_AUDIT_URLS) {
+                truncated = true;
+                return;
+            }
+            seen.add(url);
+            urls.push({ line: index + 1, url });
+        }
+    });
+    return { urls, truncated };
+}
+
+/**
+ * Explains how a link got its status.
+ *
+ * @param {object|null} domainInfo - The parsed link from `getDomainInfo`, or null if it isn't valid.
+ * @param {object|null} row - The matching DPA row, or null.
+ * @returns {string} The reason.
+ */
+export function describeAuditMatch(domainInfo, row) {
+    if (!domainInfo) return 'Not a valid web address.';
+    if (row) {
+        return domainInfo.isInstalled
+            ? `Matched ${domainInfo.appStoreName} app ${domainInfo.appID}.`
+            : `Matched the district list entry for ${row.resource_link}.`;
+    }
+    if (domainInfo.isInstalled) return `${domainInfo.appStoreName} app ${domainInfo.appID} is not in the district list.`;
+    if (domainInfo.isAppStore) return `This ${domainInfo.appStoreName} page is not a specific app.`;
+    return `No district list entry covers ${domainInfo.fullHostname}.`;
+}
+
+/**
+ * Checks each link against the DPA list.
+ *
+ * @param {{line: number, url: string}[]} urls - The links from `extractAuditUrls`.
+ * @param {{getDomainInfo: function(string): object|null, findRow: function(object): object|null, getOverallStatus: function(object|null): string}} matcher -
+ *        Parses a link, finds its DPA row, and works out the overall status (the service worker's
+ *        `getDomainInfo`, `lookupSite` and `determineOverallStatus`).
+ * @returns {{line: number, url: string, overallStatus: string, row: object|null, reason: string}[]} One result per link. Invalid links get the status 'invalid'.
+ */
+export function auditUrls(urls, matcher) {
+    return urls.map(({ line, url }) => {
+        const domainInfo = matcher.getDomainInfo(url);
+        const row = domainInfo ? matcher.findRow(domainInfo) : null;
+        return {
+            line,
+            url,
+            overallStatus: domainInfo ? matcher.getOverallStatus(row) : 'invalid',
+            row,
+            reason: describeAuditMatch(domainInfo, row)
+        };
+    });
+}
+
+/**
+ * Counts the results by overall status.
+ *
+ * @param {object[]} results - Results from `auditUrls`.
+ * @returns {Object<string, number>} The number of links per status.
+ */
+export function summarizeAudit(results) {
+    const counts = {};
+    for (const result of results) {
+        counts[result.overallStatus] = (counts[result.overallStatus] || 0) + 1;
+    }
+    return counts;
+}
+
+/**
+ * Builds a CSV export of the results.
+ *
+ * @param {object[]} results - Results from `auditUrls`.
+ * @returns {string} The CSV text, with a header row.
+ */
+export function buildAuditCsv(results) {
+    const rows = results.map(result => [
+        result.line,
+        result.url,
+        result.overallStatus,
+        result.row ? result.row.software_name : '',
+        result.row ? result.row.current_tl_status || '' : '',
+        result.row ? result.row.current_dpa_status || '' : '',
+        result.reason
+    ]);
+    return buildCsv(['line', 'url', 'status', 'resource', 'tl_status', 'dpa_status', 'reason'], rows);
+}
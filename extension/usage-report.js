@@ -0,0 +1,82 @@
+// --- Usage Report ---
+//
+// Turns the on-device usage tally (see usage-tally.js) into the review request a teacher can
+// choose to send: a list sorted by visits, a CSV export and an email draft. Nothing here sends
+// anything; the insights page only opens the draft when the teacher asks it to.
+// Imported by insights.js.
+
+import { buildCsv } from './csv-export.js';
+
+// Mail clients truncate long mailto: links, so the email draft lists at most this many sites.
+export const MAX_EMAILED_SITES = 25;
+
+/**
+ * Lists the tally's entries, most visited first, then most recently visited.
+ *
+ * @param {Object<string, {status: string, count: number, firstSeen: number, lastSeen: number}>} tally - The tally from storage.
+ * @returns {{site: string, status: string, count: number, firstSeen: number, lastSeen: number}[]} The entries.
+ */
+export function getUsageEntries(tally) {
+    return Object.entries(tally || {})
+        .map(([site, entry]) => ({ site, ...entry }))
+        .sort((a, b) => b.count - a.count || b.lastSeen - a.lastSeen);
+}
+
+/**
+ * Formats a timestamp as a date for the report, e.g. '2026-10-19'.
+ *
+ * @param {number} time - The time in milliseconds.
+ * @returns {string} The date.
+ */
+export function formatUsageDate(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Builds a CSV export of the chosen entries.
+ *
+ * @param {object[]} entries - Entries from `getUsageEntries`.
+ * @returns {string} The CSV text, with a header row.
+ */
+export function buildUsageCsv(entries) {
+    const rows = entries.map(entry => [entry.site, entry.status, entry.count, formatUsageDate(entry.firstSeen), formatUsageDate(entry.lastSeen)]);
+    return buildCsv(['site', 'status', 'visits', 'first_seen', 'last_seen'], rows);
+}
+
+/**
+ * Builds the "please review these tools" request for the chosen entries.
+ *
+ * @param {object[]} entries - Entries from `getUsageEntries`.
+ * @param {string} districtName - The district name from the settings.
+ * @returns {{subject: string, body: string}} The email subject and body.
+ */
+export function buildReviewRequest(entries, districtName) {
+    const listed = entries.slice(0, MAX_EMAILED_SITES);
+    const lines = listed.map(entry =>
+        `- ${entry.site} (${entry.status}, ${entry.count} visit${entry.count === 1 ? '' : 's'}, last ${formatUsageDate(entry.lastSeen)})`);
+    if (entries.length > listed.length) {
+        lines.push(`- ...and ${entries.length - listed.length} more (ask me for the full list)`);
+    }
+    return {
+        subject: `Please review ${entries.length} tool${entries.length === 1 ? '' : 's'} for the ${districtName} resource list`,
+        body: [
+            'Hello,',
+            '',
+            `I use these tools that are not yet approved in the ${districtName} resource list. Could they be reviewed?`,
+            '',
+            ...lines,
+            '',
+            'Thank you!'
+        ].join('\n')
+    };
+}
+
+/**
+ * Builds a mailto: link for the review request. The teacher picks the recipient in their mail app.
+ *
+ * @param {{subject: string, body: string}} request - The request from `buildReviewRequest`.
+ * @returns {string} The mailto: URL.
+ */
+export function buildReviewMailto(request) {
+    return `mailto:?subject=${encodeURIComponent(request.subject)}&body=${encodeURIComponent(request.body)}`;
+}
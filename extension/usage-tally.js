@@ -0,0 +1,97 @@
+// --- Usage Tally ---
+//
+// An on-device tally of the unlisted and pending sites a teacher visits, so they can ask the
+// tech team to review the tools they actually use (see insights.html). It keeps only the site
+// (never the full URL), its status, a visit count and the first and last visit dates. Nothing is
+// sent anywhere unless the teacher chooses to export or email it. Old entries are pruned and the
+// tally is capped. Imported by background.js.
+
+/**
+ * The statuses worth tallying: sites the district hasn't finished reviewing.
+ * @type {string[]}
+ */
+export const TALLIED_STATUSES = ['unlisted', 'pending'];
+
+// The most sites kept; the least recently visited are dropped first.
+export const MAX_USAGE_TALLY_ENTRIES = 200;
+
+// Sites not visited for this long are dropped.
+export const USAGE_TALLY_RETENTION_DAYS = 90;
+
+/**
+ * Writes to the tally one at a time, so visits in several tabs at once don't overwrite each other.
+ * @type {Promise<void>}
+ */
+let usageTallyQueue = Promise.resolve();
+
+/**
+ * Names the site for the tally: the registrable domain, or the store and app ID for an app page.
+ *
+ * @param {object} domainInfo - The parsed page URL from `getDomainInfo`.
+ * @returns {string} The tally key.
+ */
+export function getUsageTallyKey(domainInfo) {
+    return domainInfo.isInstalled
+        ? `${domainInfo.appStoreName}: ${domainInfo.appID}`
+        : domainInfo.hostname;
+}
+
+/**
+ * Drops entries not visited within the retention period, then the least recently visited
+ * entries beyond the cap. Returns a new tally.
+ *
+ * @param {Object<string, {status: string, count: number, firstSeen: number, lastSeen: number}>} tally - The tally.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {Object<string, object>} The pruned tally.
+ */
+export function pruneUsageTally(tally, now) {
+    const cutoff = now - USAGE_TALLY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const kept = Object.entries(tally)
+        .filter(([, entry]) => entry.lastSeen >= cutoff)
+        .sort(([, a], [, b]) => b.lastSeen - a.lastSeen)
+        .slice(0, MAX_USAGE_TALLY_ENTRIES);
+    return Object.fromEntries(kept);
+}
+
+/**
+ * Counts a visit in the tally. Returns a new, pruned tally.
+ *
+ * @param {Object<string, object>} tally - The tally.
+ * @param {string} key - The site, from `getUsageTallyKey`.
+ * @param {string} overallStatus - The site's current status.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {Object<string, object>} The updated tally.
+ */
+export function addToUsageTally(tally, key, overallStatus, now) {
+    const entry = tally[key] || { count: 0, firstSeen: now };
+    return pruneUsageTally({
+        ...tally,
+        [key]: { ...entry, status: overallStatus, count: entry.count + 1, lastSeen: now }
+    }, now);
+}
+
+/**
+ * Records a page visit if the site is unlisted or pending. A site that has since been reviewed
+ * is removed, so the tally only lists sites that still need attention.
+ *
+ * @param {object} domainInfo - The parsed page URL from `getDomainInfo`.
+ * @param {string} overallStatus - The page's status.
+ * @returns {Promise<void>}
+ */
+export function recordUsage(domainInfo, overallStatus) {
+    usageTallyQueue = usageTallyQueue.then(async () => {
+        const key = getUsageTallyKey(domainInfo);
+        const { usageTally = {} } = await chrome.storage.local.get('usageTally');
+        if (!TALLIED_STATUSES.includes(overallStatus) && !(key in usageTally)) return;
+
+        let updated;
+        if (TALLIED_STATUSES.includes(overallStatus)) {
+            updated = addToUsageTally(usageTally, key, overallStatus, Date.now());
+        } else {
+            updated = { ...usageTally };
+            delete updated[key];
+        }
+        await chrome.storage.local.set({ usageTally: updated });
+    }).catch(error => console.warn('Could not update the usage tally:', error));
+    return usageTallyQueue;
+}
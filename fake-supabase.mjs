@@ -0,0 +1,383 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+
+// A stand-in for the Supabase endpoints the extension uses, for local development without a
+// Supabase project or a Google account, and for the end-to-end tests in __tests__/. Run
+// `npm run fake-supabase [rows.json]`, then build with:
+//   API_HOST: "http://localhost:54321"
+//   API_URI:  "http://localhost:54321/rest/v1/dpa_list"
+//   API_KEY:  "fake-anon-key"
+// It serves:
+//   GET  /auth/v1/authorize                    - "signs in" straight away and redirects back with tokens
+//   POST /auth/v1/token?grant_type=refresh_token - renews a session (refresh tokens are single-use)
+//   POST /auth/v1/logout                       - revokes the session's refresh tokens
+//   GET  /rest/v1/<table>                      - the rows, with ETag, `updated_at=gt.`/`gte.` and `order=`
+// and a few controls for trying out the awkward cases by hand (e.g. with curl):
+//   POST   /__fake/expire-tokens - expires every access token, so the next fetch gets a 401
+//   POST   /__fake/rows          - adds or replaces rows (a JSON row or array, matched by `id`)
+//   DELETE /__fake/rows/<id>     - deletes a row, leaving a tombstone for delta sync
+//   GET    /__fake/state         - the rows and sessions
+// Tests call the same controls directly on the object from `createFakeSupabase`.
+// Everything is kept in memory and lost when the server stops.
+
+export const FAKE_ANON_KEY = 'fake-anon-key';
+
+export const SAMPLE_ROWS = [
+    { id: 1, software_name: 'Kahoot!', resource_link: 'https://kahoot.com', current_tl_status: 'Approved', current_dpa_status: 'Received', category: 'Assessment' },
+    { id: 2, software_name: 'Quizlet', resource_link: 'https://quizlet.com', current_tl_status: 'Pending', current_dpa_status: 'Requested', category: 'Study Tools' },
+    { id: 3, software_name: 'Canva', resource_link: 'https://www.canva.com', current_tl_status: 'Approved', current_dpa_status: 'Denied', category: 'Design' },
+    { id: 4, software_name: 'Example Games', resource_link: 'https://games.example.com', current_tl_status: 'Rejected', current_dpa_status: '', category: 'Games' },
+    { id: 5, software_name: 'Khan Academy (Math)', resource_link: 'https://www.khanacademy.org/math', current_tl_status: 'Not Required', current_dpa_status: 'Received', category: 'Math' },
+    { id: 6, software_name: 'Google Classroom (iOS)', resource_link: 'https://apps.apple.com/us/app/google-classroom/id924620788', current_tl_status: 'Approved', current_dpa_status: 'Not Required', category: 'LMS' }
+];
+
+/**
+ * Gives every row an `id` and an `updated_at`, so delta sync works from the first fetch.
+ *
+ * @param {object[]} rows - The starting rows.
+ * @returns {object[]} Copies of the rows.
+ */
+function prepareRows(rows) {
+    const now = new Date().toISOString();
+    return rows.map((row, i) => ({ id: i + 1, updated_at: now, ...row }));
+}
+
+/**
+ * Encodes a value as base64url, as used in JWTs.
+ *
+ * @param {string} text - The text to encode.
+ * @returns {string} The encoded text.
+ */
+function base64Url(text) {
+    return Buffer.from(text).toString('base64url');
+}
+
+/**
+ * Reads and parses a JSON request body.
+ *
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Promise<*>} The parsed body, or null if it is empty.
+ */
+async function readJson(req) {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    return body ? JSON.parse(body) : null;
+}
+
+/**
+ * Sends a JSON response.
+ *
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} status - The HTTP status.
+ * @param {*} body - The value to send.
+ * @param {Object<string, string>} [headers={}] - Extra headers.
+ */
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Creates a fake Supabase server. It doesn't listen until `listen` is called.
+ *
+ * @param {object} [options]
+ * @param {object[]} [options.rows=SAMPLE_ROWS] - The starting rows.
+ * @param {string} [options.anonKey=FAKE_ANON_KEY] - The API key the REST endpoint accepts.
+ * @param {number} [options.tokenTtlSeconds=3600] - How long access tokens last.
+ * @param {string} [options.defaultEmail='teacher@example.org'] - Who signs in without an `hd` hint.
+ * @param {boolean} [options.logRequests=false] - If true, logs each request to the console.
+ * @returns {object} The server, its state, and the controls.
+ */
+export function createFakeSupabase({
+    rows = SAMPLE_ROWS,
+    anonKey = FAKE_ANON_KEY,
+    tokenTtlSeconds = 3600,
+    defaultEmail = 'teacher@example.org',
+    logRequests = false
+} = {}) {
+    const state = {
+        rows: prepareRows(rows),
+        // access token -> expiry (seconds since the epoch)
+        accessTokens: new Map(),
+        // refresh token -> email
+        refreshTokens: new Map(),
+        // every request as "METHOD /path?query", so tests can check what the extension asked for
+        requests: []
+    };
+
+    /**
+     * Issues a session for an email address. The access token is an unsigned JWT with the claims
+     * the extension reads (`email`, `exp` and, for Workspace accounts, `hd`).
+     *
+     * @param {string} email - The account's email address.
+     * @returns {{access_token: string, refresh_token: string, expires_in: number, token_type: string}} The session fields.
+     */
+    function issueSession(email) {
+        const exp = Math.floor(Date.now() / 1000) + tokenTtlSeconds;
+        const domain = email.split('@')[1];
+        const claims = {
+            sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 32),
+            email,
+            exp,
+            role: 'authenticated',
+            // Like Supabase's, so every token is different even within the same second
+            session_id: crypto.randomUUID()
+        };
+        if (domain !== 'gmail.com') claims.hd = domain;
+
+        const accessToken = `${base64Url(JSON.stringify({ alg: 'none', typ: 'JWT' }))}.${base64Url(JSON.stringify(claims))}.`;
+        const refreshToken = crypto.randomBytes(16).toString('hex');
+        state.accessTokens.set(accessToken, exp);
+        state.refreshTokens.set(refreshToken, email);
+        return { access_token: accessToken, refresh_token: refreshToken, expires_in: tokenTtlSeconds, token_type: 'bearer' };
+    }
+
+    /**
+     * Expires every access token, so the next REST request gets a 401.
+     *
+     * @returns {number} How many tokens were expired.
+     */
+    function expireTokens() {
+        for (const token of state.accessTokens.keys()) state.accessTokens.set(token, 0);
+        return state.accessTokens.size;
+    }
+
+    /**
+     * Adds or replaces rows, matched by `id`, and stamps them with a new `updated_at`.
+     *
+     * @param {object|object[]} changes - A row or rows. Rows without an `id` get the next one.
+     * @returns {object[]} All rows.
+     */
+    function upsertRows(changes) {
+        const now = new Date().toISOString();
+        for (const change of [].concat(changes || [])) {
+            const index = state.rows.findIndex(row => String(row.id) === String(change.id));
+            const row = { ...(index === -1 ? {} : state.rows[index]), ...change, updated_at: now };
+            if (row.id === undefined) row.id = Math.max(0, ...state.rows.map(r => Number(r.id) || 0)) + 1;
+            if (index === -1) state.rows.push(row); else state.rows[index] = row;
+        }
+        return state.rows;
+    }
+
+    /**
+     * Deletes a row, leaving a tombstone (`deleted_at`) that delta requests still return.
+     *
+     * @param {string|number} id - The row's id.
+     * @returns {object|null} The tombstone, or null if there is no row with that id.
+     */
+    function deleteRow(id) {
+        const row = state.rows.find(r => String(r.id) === String(id));
+        if (!row) return null;
+        row.deleted_at = row.updated_at = new Date().toISOString();
+        return row;
+    }
+
+    /**
+     * Checks the bearer token on a request.
+     *
+     * @param {http.IncomingMessage} req - The request.
+     * @returns {boolean} True if it carries an access token this server issued that hasn't expired.
+     */
+    function hasValidAccessToken(req) {
+        const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+        const exp = match ? state.accessTokens.get(match[1]) : undefined;
+        return exp !== undefined && exp > Date.now() / 1000;
+    }
+
+    /**
+     * Serves the REST endpoint like PostgREST does for the filters the extension sends.
+     *
+     * @param {http.IncomingMessage} req - The request.
+     * @param {http.ServerResponse} res - The response.
+     * @param {URL} url - The parsed request URL.
+     */
+    function handleRest(req, res, url) {
+        if (req.headers.apikey !== anonKey) {
+            sendJson(res, 401, { message: 'Invalid API key' });
+            return;
+        }
+        if (!hasValidAccessToken(req)) {
+            sendJson(res, 401, { code: 'PGRST301', message: 'JWT expired' });
+            return;
+        }
+
+        let rows = state.rows;
+        const updatedFilter = /^(gte?)\.(.+)$/.exec(url.searchParams.get('updated_at') || '');
+        if (updatedFilter) {
+            const [, operator, value] = updatedFilter;
+            const since = Date.parse(value);
+            rows = rows.filter(row => operator === 'gte'
+                ? Date.parse(row.updated_at) >= since
+                : Date.parse(row.updated_at) > since);
+        } else {
+            // A full download leaves out deleted rows, like a view over the live table would
+            rows = rows.filter(row => !row.deleted_at);
+        }
+        if (url.searchParams.get('order') === 'updated_at.asc') {
+            rows = [...rows].sort((a, b) => Date.parse(a.updated_at) - Date.parse(b.updated_at));
+        }
+
+        const body = JSON.stringify(rows);
+        const etag = `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+        if (req.headers['if-none-match'] === etag) {
+            res.writeHead(304, { ETag: etag });
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json', ETag: etag });
+        res.end(body);
+    }
+
+    /**
+     * Routes a request.
+     *
+     * @param {http.IncomingMessage} req - The request.
+     * @param {http.ServerResponse} res - The response.
+     * @returns {Promise<void>}
+     */
+    async function handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        state.requests.push(`${req.method} ${url.pathname}${url.search}`);
+        if (logRequests) console.log(`${req.method} ${url.pathname}${url.search}`);
+
+        if (req.method === 'GET' && url.pathname === '/auth/v1/authorize') {
+            const redirectTo = url.searchParams.get('redirect_to');
+            if (!redirectTo) {
+                sendJson(res, 400, { error: 'redirect_to is required' });
+                return;
+            }
+            // With an `hd` hint, sign in as a teacher in that Workspace domain
+            const hd = url.searchParams.get('hd');
+            const email = hd ? `teacher@${hd}` : defaultEmail;
+            const fragment = new URLSearchParams(Object.entries(issueSession(email)).map(([k, v]) => [k, String(v)]));
+            res.writeHead(302, { Location: `${redirectTo}#${fragment}` });
+            res.end();
+            return;
+        }
+
+        if (req.method === 'POST' && url.pathname === '/auth/v1/token' && url.searchParams.get('grant_type') === 'refresh_token') {
+            const body = await readJson(req);
+            const email = body ? state.refreshTokens.get(body.refresh_token) : undefined;
+            if (!email) {
+                sendJson(res, 400, { error: 'invalid_grant', error_description: 'Invalid Refresh Token' });
+                return;
+            }
+            state.refreshTokens.delete(body.refresh_token);
+            sendJson(res, 200, issueSession(email));
+            return;
+        }
+
+        if (req.method === 'POST' && url.pathname === '/auth/v1/logout') {
+            const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+            const claims = match ? JSON.parse(Buffer.from(match[1].split('.')[1] || '', 'base64url').toString() || '{}') : {};
+            for (const [token, email] of state.refreshTokens) {
+                if (email === claims.email) state.refreshTokens.delete(token);
+            }
+            if (match) state.accessTokens.delete(match[1]);
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        if (req.method === 'GET' && url.pathname.startsWith('/rest/v1/')) {
+            handleRest(req, res, url);
+            return;
+        }
+
+        if (req.method === 'POST' && url.pathname === '/__fake/expire-tokens') {
+            sendJson(res, 200, { expired: expireTokens() });
+            return;
+        }
+
+        if (req.method === 'POST' && url.pathname === '/__fake/rows') {
+            sendJson(res, 200, upsertRows(await readJson(req)));
+            return;
+        }
+
+        const deleteMatch = /^\/__fake\/rows\/([^/]+)$/.exec(url.pathname);
+        if (req.method === 'DELETE' && deleteMatch) {
+            const row = deleteRow(decodeURIComponent(deleteMatch[1]));
+            if (!row) {
+                sendJson(res, 404, { error: 'No row with that id' });
+                return;
+            }
+            sendJson(res, 200, row);
+            return;
+        }
+
+        if (req.method === 'GET' && url.pathname === '/__fake/state') {
+            sendJson(res, 200, { rows: state.rows, sessions: [...state.refreshTokens.values()] });
+            return;
+        }
+
+        sendJson(res, 404, { error: `No fake for ${req.method} ${url.pathname}` });
+    }
+
+    const server = http.createServer((req, res) => {
+        handleRequest(req, res).catch(error => {
+            console.error(error);
+            sendJson(res, 500, { error: error.message });
+        });
+    });
+
+    return {
+        state,
+        server,
+        issueSession,
+        expireTokens,
+        upsertRows,
+        deleteRow,
+
+        /**
+         * Starts listening.
+         *
+         * @param {number} [port=0] - The port; 0 picks a free one.
+         * @returns {Promise<string>} The server's origin, e.g. 'http://127.0.0.1:54321'.
+         */
+        listen(port = 0) {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, () => resolve(`http://127.0.0.1:${server.address().port}`));
+            });
+        },
+
+        /**
+         * Stops the server, dropping any kept-alive connections.
+         *
+         * @returns {Promise<void>}
+         */
+        close() {
+            return new Promise(resolve => {
+                server.close(() => resolve());
+                server.closeAllConnections();
+            });
+        }
+    };
+}
+
+// Started from the command line, as opposed to imported by a test
+if (path.basename(process.argv[1] || '') === 'fake-supabase.mjs') {
+    const rowsPath = process.argv[2];
+    const rows = rowsPath ? JSON.parse(fs.readFileSync(rowsPath, 'utf8')) : SAMPLE_ROWS;
+    if (!Array.isArray(rows)) {
+        throw new Error(`${rowsPath} must contain a JSON array of rows.`);
+    }
+
+    const port = Number(process.env.PORT) || 54321;
+    const anonKey = process.env.FAKE_ANON_KEY || FAKE_ANON_KEY;
+    const fake = createFakeSupabase({
+        rows,
+        anonKey,
+        tokenTtlSeconds: Number(process.env.FAKE_TOKEN_TTL) || 3600,
+        defaultEmail: process.env.FAKE_EMAIL || 'teacher@example.org',
+        logRequests: true
+    });
+    fake.listen(port).then(() => {
+        console.log(`🧪 Fake Supabase listening on http://localhost:${port} with ${fake.state.rows.length} row(s).`);
+        console.log(`   - API_HOST: http://localhost:${port}`);
+        console.log(`   - API_URI:  http://localhost:${port}/rest/v1/dpa_list`);
+        console.log(`   - API_KEY:  ${anonKey}`);
+    });
+}
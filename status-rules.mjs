@@ -0,0 +1,133 @@
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+
+// Turns requirements/icon-strategy.yaml into the rules table that overall-status.js evaluates.
+// The YAML is the authoritative source for the [tl, dpa, link] -> status mapping, so it is
+// validated strictly here: a gap or a conflict fails the build instead of shipping a wrong icon.
+
+const WILDCARD = '*';
+
+/**
+ * Expands one state-combo into every concrete combination it covers.
+ *
+ * @param {string[]} combo - A [tl, dpa, link] triple, possibly containing '*'.
+ * @param {string[][]} dimensions - The allowed values for each position.
+ * @returns {string[][]} The concrete combinations.
+ */
+function expandCombo(combo, dimensions) {
+    return combo.reduce((partials, value, position) => {
+        const values = value === WILDCARD ? dimensions[position] : [value];
+        return partials.flatMap(partial => values.map(v => [...partial, v]));
+    }, [[]]);
+}
+
+/**
+ * Reads the icon strategy YAML and validates it.
+ * Throws an Error listing every problem found: unknown status values, malformed combos,
+ * combinations claimed by two different cases, combinations no case covers, and missing icons.
+ *
+ * @param {string} yamlPath - Path to icon-strategy.yaml.
+ * @param {string} extensionDir - The extension source directory, used to check icon paths exist.
+ * @returns {{tlStatuses: string[], dpaStatuses: string[], linkStates: string[], table: Object<string, string>, icons: Object<string, Object<string, string>>}}
+ */
+export function loadStatusRules(yamlPath, extensionDir) {
+    const doc = yaml.load(fs.readFileSync(yamlPath, 'utf8'));
+    const errors = [];
+
+    const states = doc && doc.states;
+    if (!states || !Array.isArray(states.current_tl_status) || !Array.isArray(states.current_dpa_status) || !Array.isArray(states.resource_link)) {
+        throw new Error(`${yamlPath}: 'states' must list current_tl_status, current_dpa_status and resource_link values.`);
+    }
+    if (!Array.isArray(doc.case)) {
+        throw new Error(`${yamlPath}: 'case' must be a list.`);
+    }
+
+    const dimensions = [states.current_tl_status, states.current_dpa_status, states.resource_link];
+    const dimensionNames = ['current_tl_status', 'current_dpa_status', 'resource_link'];
+    const table = {};
+    const icons = {};
+
+    for (const entry of doc.case) {
+        const [status, body] = Object.entries(entry || {})[0] || [];
+        if (!status || !body) {
+            errors.push('Every case must be a single "<status>: {...}" entry.');
+            continue;
+        }
+
+        // Icon paths: a single path is the 48px icon; a list is keyed by the size in each file name
+        const paths = Array.isArray(body.path) ? body.path : [body.path];
+        icons[status] = {};
+        for (const iconPath of paths) {
+            if (typeof iconPath !== 'string') {
+                errors.push(`${status}: path must be a string or a list of strings.`);
+                continue;
+            }
+            if (!fs.existsSync(path.join(extensionDir, iconPath))) {
+                errors.push(`${status}: icon "${iconPath}" does not exist in /${extensionDir}.`);
+            }
+            const size = Array.isArray(body.path) ? (iconPath.match(/(\d+)\.png$/) || [])[1] : '48';
+            icons[status][size || '48'] = iconPath;
+        }
+
+        if (status === 'default') continue;
+
+        for (const combo of body['state-combos'] || []) {
+            if (!Array.isArray(combo) || combo.length !== 3) {
+                errors.push(`${status}: ${JSON.stringify(combo)} must be a [tl, dpa, link] triple.`);
+                continue;
+            }
+            const unknown = combo.filter((value, i) => value !== WILDCARD && !dimensions[i].includes(value));
+            if (unknown.length) {
+                combo.forEach((value, i) => {
+                    if (unknown.includes(value)) {
+                        errors.push(`${status}: "${value}" is not a known ${dimensionNames[i]} value (expected one of ${dimensions[i].join(', ')}).`);
+                    }
+                });
+                continue;
+            }
+
+            for (const concrete of expandCombo(combo, dimensions)) {
+                const key = concrete.join('|');
+                if (table[key] && table[key] !== status) {
+                    errors.push(`[${concrete.join(', ')}] is claimed by both "${table[key]}" and "${status}".`);
+                    continue;
+                }
+                table[key] = status;
+            }
+        }
+    }
+
+    if (!icons.default) {
+        errors.push('A "default" case with the neutral icon path(s) is required.');
+    }
+    for (const concrete of expandCombo([WILDCARD, WILDCARD, WILDCARD], dimensions)) {
+        if (!table[concrete.join('|')]) {
+            errors.push(`[${concrete.join(', ')}] is not covered by any case.`);
+        }
+    }
+
+    if (errors.length) {
+        throw new Error(`${yamlPath} is invalid:\n     - ${errors.join('\n     - ')}`);
+    }
+
+    return {
+        tlStatuses: states.current_tl_status,
+        dpaStatuses: states.current_dpa_status,
+        linkStates: states.resource_link,
+        table,
+        icons
+    };
+}
+
+/**
+ * Renders the validated rules as an ES module that exports `STATUS_RULES`, for the service worker and the pages.
+ *
+ * @param {object} rules - The result of `loadStatusRules`.
+ * @returns {string} The contents of status-rules.js.
+ */
+export function renderStatusRules(rules) {
+    return `// Generated by build.mjs from requirements/icon-strategy.yaml. Do not edit by hand.
+export const STATUS_RULES = ${JSON.stringify(rules, null, 4)};
+`;
+}